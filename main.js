@@ -5,29 +5,61 @@
  * - Parse DXF (PERIMETER layer focus)
  * - Render to canvas with pan/zoom/grid + fit-to-view
  * - Close perimeter (tolerance-based)
- * - Export to versioned JSON (schemaVersion "v0.1")
+ * - Export to versioned JSON (schemaVersion "v0.3": parts with cutouts, holes and machining operations)
  *
  * Notes:
  * - Keep this file as a lightweight controller. Heavy logic is in /src/*
- * - Preview linearizes arcs for speed; export preserves bulge values if present.
+ * - Preview draws bulge segments as arcs; export preserves bulge values if present.
  */
 
-import { parseDXF } from "./src/parse/dxfParser.js";
 import { createCanvasRenderer } from "./src/viewer/canvasRenderer.js";
 import { isClosed } from "./src/geom/closedness.js";
 import { attemptClosePerimeter } from "./src/geom/join.js";
+import { convertToWorkingUnits, pickBatchUnit, scaleLabels } from "./src/units/units.js";
+import { createLayerPanel } from "./src/ui/layerPanel.js";
+import { createImportReport } from "./src/ui/importReport.js";
+import { createGapPanel } from "./src/ui/gapPanel.js";
+import { createProfilePanel } from "./src/ui/profilePanel.js";
+import { joinTwoPolylines, sharedProperties } from "./src/geom/autoJoin.js";
+import { findGapCandidates, applyGapBridges } from "./src/geom/gapBridge.js";
+import { cleanupSegments } from "./src/geom/cleanup.js";
+import { buildRegions, findRegionAt } from "./src/geom/regions.js";
+import { analysePart } from "./src/geom/validity.js";
+import { buildParts } from "./src/export/mozaikExport.js";
+import { SCHEMA_VERSION, validateMozaikJson } from "./src/export/mozaikSchema.js";
+import { createZip } from "./src/export/zipStore.js";
+import { nameParts, toPartFiles } from "./src/export/partFiles.js";
+import { toDXFFormat } from "./src/export/dxfExport.js";
+import { matchLayerOperation } from "./src/export/layerOperations.js";
+import { loadProfiles, saveProfiles, normalizeRule } from "./src/export/profileStore.js";
+import { polylinesBounds } from "./src/geom/bounds.js";
+import { explodeSegments } from "./src/geom/segments.js";
+import { assignPartNames, findPartLabel, labelsInside, labelPartName } from "./src/geom/labels.js";
+import { createWorkerPool } from "./src/workers/workerPool.js";
+import { isMozaikJsonName, readMozaikJson } from "./src/parse/readMozaikJson.js";
+import { packPolylines, unpackPolylines, packedTransferables } from "./src/workers/polylinePacking.js";
 
 const els = {
   canvas: document.getElementById("canvas"),
   fileInput: document.getElementById("fileInput"),
+  curveTolInput: document.getElementById("curveTolInput"),
   btnClearAll: document.getElementById("btnClearAll"),
   partCount: document.getElementById("partCount"),
   spacingInput: document.getElementById("spacingInput"),
   btnFit: document.getElementById("btnFit"),
   gridToggle: document.getElementById("gridToggle"),
   unitsSelect: document.getElementById("unitsSelect"),
+  importUnitsSelect: document.getElementById("importUnitsSelect"),
   btnJoin: document.getElementById("btnJoin"),
   btnAutoJoin: document.getElementById("btnAutoJoin"),
+  btnClose: document.getElementById("btnClose"),
+  btnCleanup: document.getElementById("btnCleanup"),
+  btnPickRegion: document.getElementById("btnPickRegion"),
+  maxGapInput: document.getElementById("maxGapInput"),
+  btnFindGaps: document.getElementById("btnFindGaps"),
+  gapList: document.getElementById("gapList"),
+  btnApplyGaps: document.getElementById("btnApplyGaps"),
+  btnCancelGaps: document.getElementById("btnCancelGaps"),
   btnUnjoin: document.getElementById("btnUnjoin"),
   btnDelete: document.getElementById("btnDelete"),
   btnClearSelection: document.getElementById("btnClearSelection"),
@@ -38,26 +70,45 @@ const els = {
   btnExportDXF: document.getElementById("btnExportDXF"),
   btnExportJSON: document.getElementById("btnExportJSON"),
   fileName: document.getElementById("fileName"),
+  jsonOutput: document.getElementById("jsonOutput"),
   statusText: document.getElementById("statusText"),
+  btnCancelImport: document.getElementById("btnCancelImport"),
   unitsLabel: document.getElementById("unitsLabel"),
   polyCount: document.getElementById("polyCount"),
   selectedCount: document.getElementById("selectedCount"),
+  invalidCount: document.getElementById("invalidCount"),
+  layerList: document.getElementById("layerList"),
+  profileSelect: document.getElementById("profileSelect"),
+  profileName: document.getElementById("profileName"),
+  btnSaveProfile: document.getElementById("btnSaveProfile"),
+  btnDeleteProfile: document.getElementById("btnDeleteProfile"),
+  ruleList: document.getElementById("ruleList"),
+  btnAddRule: document.getElementById("btnAddRule"),
+  importReport: document.getElementById("importReport"),
 };
 
 const state = {
-  unitsAuto: null,        // "in" | "mm" | null
-  unitsOverride: "",      // "", "in", "mm"
+  unitsAuto: null,        // unit id of loaded geometry ("in", "mm", "ft", ...) | null
+  unitsOverride: "",      // "", "in", "mm", ...
+  workingUnits: "",       // "" = keep file units; otherwise convert geometry on import
   get units() {
     return this.unitsOverride || this.unitsAuto || "";
   },
   allPolylines: [],       // all parsed polylines (all layers)
   perimPolylines: [],     // filtered to PERIMETER
+  labels: [],             // TEXT/MTEXT labels { kind, layer, text, x, y, height, rotation } (name closed parts)
   perimClosed: false,     // whether PERIMETER perimeter is closed
   perimClosedPath: null,  // single closed path vertices when closed (for export)
   sourceName: "",         // last loaded filename (without extension)
   selectedPolylines: new Set(), // indices of selected polylines
   closedParts: new Set(), // indices of polylines that are complete closed parts (rendered blue)
+  invalidParts: new Set(), // closed parts failing validity checks (rendered pink)
+  partIssues: new Map(),  // closed part index -> validity issues [{ kind, x, y, message }]
+  gapSession: null,       // { polylines, candidates, accepted:Set<id> } while gap bridges are previewed
+  regionPick: null,       // { polylines, tol, regions } while Pick Region is active (regions cached per geometry)
   draggingPart: null,     // { partIndex: number, startX: number, startY: number, lastX: number, lastY: number }
+  layers: new Map(),      // layer name -> { name, colorHex, linetype, visible, locked, useColor, count, fromTable }
+  machining: loadProfiles(), // { active, profiles:[{ name, rules }] } layer -> operation profiles (saved in localStorage)
   history: [],            // Undo/redo history
   historyIndex: -1,       // Current position in history
 };
@@ -67,6 +118,7 @@ const renderer = createCanvasRenderer(els.canvas, {
   onTransform: () => {},
   selectedIndices: state.selectedPolylines,
   closedParts: state.closedParts, // Indices of closed parts (rendered blue)
+  invalidParts: state.invalidParts, // Closed parts with validity problems (rendered pink)
   onPolylineClick: (polylineIndex, shiftKey) => {
     handlePolylineClick(polylineIndex, shiftKey);
   },
@@ -82,8 +134,52 @@ const renderer = createCanvasRenderer(els.canvas, {
   onSelectionDrag: (selectedIndices, shiftKey) => {
     handleSelectionDrag(selectedIndices, shiftKey);
   },
+  onPointPick: (worldPos) => {
+    handleRegionPick(worldPos);
+  },
 });
 
+const layerPanel = createLayerPanel(els.layerList, {
+  onChange: (name, patch) => {
+    handleLayerChange(name, patch);
+  },
+});
+
+const profilePanel = createProfilePanel(els.ruleList, {
+  onRuleChange: (index, patch) => {
+    handleRuleChange(index, patch);
+  },
+  onRuleRemove: (index) => {
+    handleRuleRemove(index);
+  },
+});
+
+const importReport = createImportReport(els.importReport);
+
+const gapPanel = createGapPanel(els.gapList, {
+  onToggle: (id, accepted) => {
+    handleGapToggle(id, accepted);
+  },
+  onHover: (id) => {
+    showGapPreview(id);
+  },
+  formatDistance: (d) => `${d.toFixed(3)} ${state.units}`.trim(),
+});
+
+// Parsing and auto-join run off the UI thread
+const geometryPool = createWorkerPool(new URL("./src/workers/geometryWorker.js", import.meta.url));
+
+// Diagnostic entry for failures outside the parser (read errors, exceptions)
+function failureDiagnostic(err) {
+  return { severity: "error", code: "PARSE_FAILED", message: err?.message || String(err), line: null };
+}
+
+// One console line per imported file; the entries themselves are in the import report
+function logDiagnosticsSummary(fileName, diagnostics) {
+  const count = (severity) => diagnostics.filter((d) => d.severity === severity).length;
+  console.log("[DXF-PARSE]", fileName, "diagnostics:", count("error"), "errors,", count("warning"), "warnings,", count("info"), "info");
+}
+
 function setStatus(msg) {
   els.statusText.textContent = msg;
 }
@@ -95,6 +191,67 @@ function setUnitsLabel() {
 
 function setPolyCount() {
   els.polyCount.textContent = String(state.perimPolylines.length);
+  refreshLayers(); // per-layer entity counts follow the polyline count
+}
+
+// Merge DXF layer table records into state.layers (keeps user toggles across loads)
+function syncLayers(tableLayers = []) {
+  for (const rec of tableLayers) {
+    const prev = state.layers.get(rec.name);
+    state.layers.set(rec.name, {
+      name: rec.name,
+      colorHex: rec.colorHex,
+      linetype: rec.linetype,
+      visible: prev ? prev.visible : !(rec.frozen || rec.off),
+      locked: prev ? prev.locked : rec.locked,
+      useColor: prev ? prev.useColor : false,
+      count: 0,
+      fromTable: true,
+    });
+  }
+  refreshLayers();
+}
+
+// Recount entities per layer, add layers created by editing (JOINED, UNJOINED), push to UI
+function refreshLayers() {
+  for (const layer of state.layers.values()) layer.count = 0;
+  for (const poly of state.perimPolylines) {
+    const name = poly.layer || "";
+    if (!state.layers.has(name)) {
+      state.layers.set(name, {
+        name, colorHex: "#ffffff", linetype: "CONTINUOUS",
+        visible: true, locked: false, useColor: false, count: 0, fromTable: false,
+      });
+    }
+    state.layers.get(name).count++;
+  }
+  for (const [name, layer] of state.layers) {
+    if (!layer.fromTable && layer.count === 0) state.layers.delete(name);
+  }
+  renderer.setLayers(state.layers);
+  layerPanel.update(state.layers);
+  refreshProfiles(); // the layer -> operation list follows the layers
+}
+
+// Hidden or locked layers are excluded from selection and auto-join
+function isPolylineEditable(poly) {
+  const layer = state.layers.get(poly?.layer || "");
+  return !layer || (layer.visible && !layer.locked);
+}
+
+function handleLayerChange(name, patch) {
+  const layer = state.layers.get(name);
+  if (!layer) return;
+  Object.assign(layer, patch);
+  console.log("[LAYERS] Layer", name, "updated:", patch);
+
+  // Drop selections that are no longer editable
+  for (const idx of Array.from(state.selectedPolylines)) {
+    if (!isPolylineEditable(state.perimPolylines[idx])) state.selectedPolylines.delete(idx);
+  }
+  refreshLayers();
+  updateSelectionUI();
+  enableActions();
 }
 
 function enableActions() {
@@ -103,6 +260,10 @@ function enableActions() {
   
   els.btnFit.disabled = !hasData;
   els.btnAutoJoin.disabled = !hasData;
+  els.btnClose.disabled = !hasData;
+  els.btnCleanup.disabled = !hasData;
+  els.btnPickRegion.disabled = !hasData && !state.regionPick;
+  els.btnFindGaps.disabled = !hasData;
   els.btnUnjoin.disabled = !hasSelection; // Enable when polylines are selected
   els.btnDelete.disabled = !hasSelection;
 
@@ -110,9 +271,9 @@ function enableActions() {
   const closed = computeClosedness(state.perimPolylines, tol);
   state.perimClosed = closed;
 
-  // Export buttons are enabled when we have data (for DXF) and closed perimeter (for JSON)
+  // Export buttons are enabled when we have data (for DXF) and closed parts (for JSON)
   els.btnExportDXF.disabled = !hasData; // DXF export works with any polylines
-  els.btnExportJSON.disabled = !closed; // JSON export requires closed perimeter
+  els.btnExportJSON.disabled = !closed && state.closedParts.size === 0; // JSON exports every closed part
   
   // Update dimensions
   updateDimensions();
@@ -147,8 +308,13 @@ function onDXFParsed(result, filenameBase) {
   state.allPolylines = result.polylines || [];
   console.log("[DXF-PARSE] All polylines found:", state.allPolylines.length, state.allPolylines);
   
+  endGapSession();
   state.perimPolylines = filterPerimeter(state.allPolylines);
   console.log("[DXF-PARSE] PERIMETER polylines:", state.perimPolylines.length, state.perimPolylines);
+  state.labels = result.labels || [];
+  
+  state.layers = new Map();
+  syncLayers(result.layers || []);
   
   state.sourceName = filenameBase || "mozaik-part";
 
@@ -158,8 +324,10 @@ function onDXFParsed(result, filenameBase) {
     els.fileName.value = state.sourceName;
   }
 
-  // render
+  // render (closed parts are detected first so labels can name them)
+  updateClosedParts();
   console.log("[DXF-RENDER] Sending to renderer:", state.perimPolylines);
+  renderer.setLabels(state.labels);
   renderer.setData(state.perimPolylines);
   renderer.fitToView();
 
@@ -168,21 +336,72 @@ function onDXFParsed(result, filenameBase) {
   setStatus(`Loaded. ${layerInfo}`);
 }
 
-async function handleTextLoad(text, filename = "") {
+// Options forwarded to parseDXF (curve-to-arc conversion for ELLIPSE/SPLINE)
+function getParseOptions() {
+  const chordTolerance = parseFloat(els.curveTolInput?.value || "0.001") || 0.001;
+  return { chordTolerance };
+}
+
+// Parse one file in the worker pool; resolves with parseDXF()-shaped output
+function parseInWorker(content, onProgress) {
+  const transfer = content instanceof ArrayBuffer ? [content] : [];
+  const task = geometryPool.run("parse", { buffer: content, options: getParseOptions() }, transfer, { onProgress });
+  return {
+    promise: task.promise.then(({ packed, ...rest }) => ({ ...rest, polylines: unpackPolylines(packed) })),
+    cancel: task.cancel,
+  };
+}
+
+// Parse one imported file: Mozaik JSON is small and read here, DXF goes to the worker pool
+function parseImport(content, filename, onProgress) {
+  if (!isMozaikJsonName(filename)) return parseInWorker(content, onProgress);
+  const spacing = parseFloat(els.spacingInput?.value || "2.0") || 2.0;
+  const text = typeof content === "string" ? content : new TextDecoder("utf-8").decode(content);
+  return { promise: Promise.resolve().then(() => readMozaikJson(text, { spacing })), cancel: () => {} };
+}
+
+// Cancel button is only shown while a worker task (import, auto-join) is running
+function setBusy(busy) {
+  if (els.btnCancelImport) els.btnCancelImport.hidden = !busy;
+}
+
+// content: file text or ArrayBuffer (binary DXF is detected by the parser)
+async function handleTextLoad(content, filename = "") {
   try {
-    setStatus("Parsing DXF…");
-    console.log("[DXF-PARSE] Starting parse of", filename, "text length:", text.length);
-    const parsed = parseDXF(text);
+    setStatus(`Parsing ${filename || "DXF"}…`);
+    console.log("[DXF-PARSE] Starting parse of", filename, "size:", content.byteLength ?? content.length);
+    setBusy(true);
+    const parsed = await parseImport(content, filename, ({ stage }) => setStatus(`Parsing ${filename || "DXF"}… (${stage})`)).promise;
     console.log("[DXF-PARSE] Raw parsed result:", parsed);
     const base = (filename || "").replace(/\.[^.]+$/, "");
-    onDXFParsed(parsed, base);
+    const conv = convertToWorkingUnits(parsed.polylines || [], parsed.unitsAuto, state.workingUnits);
+    const labels = scaleLabels(parsed.labels || [], conv.factor);
+    onDXFParsed({ ...parsed, polylines: conv.polylines, labels, unitsAuto: conv.units }, base);
+    logDiagnosticsSummary(filename, parsed.diagnostics || []);
+    importReport.show([{ fileName: filename, diagnostics: parsed.diagnostics || [] }]);
+    if (state.workingUnits && !parsed.unitsAuto) {
+      setStatus(`Loaded without $INSUNITS; geometry NOT converted to ${state.workingUnits}. Set units manually.`);
+      console.warn("[UNITS] No $INSUNITS in", filename, "- cannot convert to", state.workingUnits);
+    }
   } catch (err) {
+    if (err?.cancelled) {
+      setStatus("Import cancelled.");
+      return;
+    }
     console.error("[ERROR] parseDXF failed:", err);
-    setStatus("Failed to parse DXF. See console for details.");
+    importReport.show([{ fileName: filename, diagnostics: [failureDiagnostic(err)] }]);
+    setStatus(`Failed to load ${filename || "file"}. See import report for details.`);
+  } finally {
+    setBusy(false);
   }
 }
 
 function wireFileInput() {
+  els.btnCancelImport?.addEventListener("click", () => {
+    console.log("[WORKERS] Cancel requested");
+    geometryPool.cancelAll();
+  });
+  
   els.fileInput?.addEventListener("change", async (e) => {
     const files = e.target.files;
     if (!files || files.length === 0) return;
@@ -214,81 +433,131 @@ async function handleMultipleFiles(files) {
   if (files.length === 1) {
     // Single file - use existing logic
     const file = files[0];
-    const text = await file.text();
-    await handleTextLoad(text, file.name);
+    const buffer = await file.arrayBuffer();
+    await handleTextLoad(buffer, file.name);
     return;
   }
   
-  // Multiple files - clear existing and load all with spacing
-  state.allPolylines = [];
-  state.perimPolylines = [];
-  clearSelection();
-  
   const spacing = parseFloat(els.spacingInput?.value || "2.0") || 2.0;
   let currentOffsetX = 0;
   let partCount = 0;
   let filesProcessed = 0;
   let skippedFiles = [];
   let errorFiles = [];
+  const reports = []; // per-file diagnostics for the import report
   
-  for (const file of files) {
+  // Pass 1: parse every file in the worker pool so the batch unit can be chosen from all of them.
+  // The workspace is left untouched until parsing is done, so a cancelled batch changes nothing.
+  const results = new Array(files.length);
+  let cancelled = false;
+  setBusy(true);
+  setStatus(`Parsing 0/${files.length} files…`);
+  
+  await Promise.all(files.map(async (file, idx) => {
     try {
-      filesProcessed++;
-      setStatus(`Loading ${file.name}... (${filesProcessed}/${files.length})`);
+      const buffer = await file.arrayBuffer();
+      if (cancelled) return;
       console.log("[MULTI-DXF] Processing file:", file.name);
-      
-      const text = await file.text();
-      const parsed = parseDXF(text);
-      const polylines = filterPerimeter(parsed.polylines || []);
-      
-      if (polylines.length === 0) {
-        console.log("[MULTI-DXF] No polylines found in", file.name, "- skipping empty file");
-        skippedFiles.push(file.name);
-        continue;
-      }
-      
-      // Calculate bounds of this part
-      let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
-      for (const poly of polylines) {
-        for (const v of poly.vertices || []) {
-          minX = Math.min(minX, v.x);
-          maxX = Math.max(maxX, v.x);
-          minY = Math.min(minY, v.y);
-          maxY = Math.max(maxY, v.y);
-        }
-      }
-      
-      console.log("[MULTI-DXF] Part bounds:", file.name, "X:", minX.toFixed(3), "to", maxX.toFixed(3), "Width:", (maxX - minX).toFixed(3));
-      
-      // Offset all polylines to start at currentOffsetX (normalize to 0 first)
-      const offsetPolylines = polylines.map(poly => ({
-        ...poly,
-        vertices: poly.vertices.map(v => ({
-          ...v,
-          x: (v.x - minX) + currentOffsetX, // Normalize then offset
-          y: v.y - minY // Normalize Y to start at 0
-        })),
-        partName: file.name.replace(/\.[^.]+$/, "") // Store part name
-      }));
-      
-      state.perimPolylines.push(...offsetPolylines);
-      partCount++;
-      
-      // Update offset for next part - use actual width + spacing
-      if (isFinite(maxX) && isFinite(minX)) {
-        const partWidth = maxX - minX;
-        currentOffsetX += partWidth + spacing;
-        console.log("[MULTI-DXF] Next offset will be:", currentOffsetX.toFixed(3), "(part width:", partWidth.toFixed(3), "+ spacing:", spacing, ")");
-      } else {
-        currentOffsetX += spacing;
-      }
-      
-      console.log("[MULTI-DXF] Added", polylines.length, "polylines from", file.name, "at offset", currentOffsetX - spacing);
-      
+      const onProgress = ({ stage }) => setStatus(`Parsing ${filesProcessed}/${files.length} files… (${file.name}: ${stage})`);
+      results[idx] = { parsed: await parseImport(buffer, file.name, onProgress).promise };
     } catch (err) {
+      if (err?.cancelled) {
+        cancelled = true;
+        return;
+      }
+      results[idx] = { err };
+    }
+    filesProcessed++;
+    setStatus(`Parsing ${filesProcessed}/${files.length} files… (${file.name})`);
+  }));
+  setBusy(false);
+  
+  if (cancelled) {
+    setStatus(`Import cancelled after ${filesProcessed}/${files.length} files. Workspace unchanged.`);
+    console.log("[MULTI-DXF] Batch cancelled after", filesProcessed, "files");
+    return;
+  }
+  
+  // Multiple files - clear existing and load all with spacing
+  endGapSession();
+  state.allPolylines = [];
+  state.perimPolylines = [];
+  state.labels = [];
+  state.layers = new Map();
+  clearSelection();
+  
+  const loaded = [];
+  files.forEach((file, idx) => {
+    const { parsed, err } = results[idx];
+    if (err) {
       console.error("[MULTI-DXF] Failed to load", file.name, ":", err);
       errorFiles.push(`${file.name}: ${err.message}`);
+      reports.push({ fileName: file.name, diagnostics: [failureDiagnostic(err)] });
+      return;
+    }
+    
+    const polylines = filterPerimeter(parsed.polylines || []);
+    logDiagnosticsSummary(file.name, parsed.diagnostics || []);
+    reports.push({ fileName: file.name, diagnostics: parsed.diagnostics || [] });
+    
+    if (polylines.length === 0) {
+      console.log("[MULTI-DXF] No polylines found in", file.name, "- skipping empty file");
+      skippedFiles.push(file.name);
+      return;
+    }
+    
+    loaded.push({ file, polylines, labels: parsed.labels || [], unitsAuto: parsed.unitsAuto || null });
+    syncLayers(parsed.layers || []);
+  });
+  
+  importReport.show(reports);
+  
+  // Normalise every file to one unit (working unit, else the most common detected unit)
+  const batchUnit = pickBatchUnit(loaded.map((f) => f.unitsAuto), state.workingUnits);
+  const unconvertedFiles = [];
+  console.log("[UNITS] Batch unit:", batchUnit, "from", loaded.map((f) => `${f.file.name}=${f.unitsAuto}`));
+  
+  // Pass 2: convert and lay out parts side by side
+  for (const { file, unitsAuto, polylines: native, labels } of loaded) {
+    const conv = convertToWorkingUnits(native, unitsAuto, batchUnit || "");
+    const polylines = conv.polylines;
+    if (batchUnit && unitsAuto !== batchUnit && !conv.converted) {
+      unconvertedFiles.push(file.name);
+    }
+    
+    // Calculate bounds of this part (arc bulges included)
+    const { minX, maxX, minY, maxY } = polylinesBounds(polylines) ||
+      { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity };
+    
+    console.log("[MULTI-DXF] Part bounds:", file.name, "X:", minX.toFixed(3), "to", maxX.toFixed(3), "Width:", (maxX - minX).toFixed(3));
+    
+    // Offset all polylines to start at currentOffsetX (normalize to 0 first)
+    const offsetPolylines = polylines.map(poly => ({
+      ...poly,
+      vertices: poly.vertices.map(v => ({
+        ...v,
+        x: (v.x - minX) + currentOffsetX, // Normalize then offset
+        y: v.y - minY // Normalize Y to start at 0
+      })),
+      partName: poly.partName || file.name.replace(/\.[^.]+$/, "") // Store part name (Mozaik JSON parts keep theirs)
+    }));
+    
+    state.perimPolylines.push(...offsetPolylines);
+    for (const label of scaleLabels(labels, conv.factor)) {
+      state.labels.push({ ...label, x: (label.x - minX) + currentOffsetX, y: label.y - minY });
     }
+    partCount++;
+    
+    // Update offset for next part - use actual width + spacing
+    if (isFinite(maxX) && isFinite(minX)) {
+      const partWidth = maxX - minX;
+      currentOffsetX += partWidth + spacing;
+      console.log("[MULTI-DXF] Next offset will be:", currentOffsetX.toFixed(3), "(part width:", partWidth.toFixed(3), "+ spacing:", spacing, ")");
+    } else {
+      currentOffsetX += spacing;
+    }
+    
+    console.log("[MULTI-DXF] Added", polylines.length, "polylines from", file.name, "at offset", currentOffsetX - spacing);
   }
   
   if (partCount > 0) {
@@ -297,10 +566,13 @@ async function handleMultipleFiles(files) {
     els.btnClearAll.disabled = false;
     setPolyCount();
     
-    // Set units from first valid file
+    // All parts share the batch unit
+    state.unitsAuto = batchUnit;
     setUnitsLabel();
     
-    // Render
+    // Render (closed parts are detected first so labels can name them)
+    updateClosedParts();
+    renderer.setLabels(state.labels);
     renderer.setData(state.perimPolylines);
     renderer.fitToView();
     
@@ -317,6 +589,10 @@ async function handleMultipleFiles(files) {
       statusMsg += ` Failed ${errorFiles.length} file(s): ${errorFiles.join("; ")}.`;
     }
     
+    if (unconvertedFiles.length > 0) {
+      statusMsg += ` No $INSUNITS (left unscaled, assumed ${batchUnit}): ${unconvertedFiles.join(", ")}.`;
+    }
+    
     setStatus(statusMsg);
     console.log("[MULTI-DXF] Final result:", partCount, "parts from", filesProcessed, "files.", 
       "Skipped:", skippedFiles.length, "Error:", errorFiles.length);
@@ -346,9 +622,14 @@ function wireView() {
 
 function wireUnits() {
   els.unitsSelect?.addEventListener("change", (e) => {
-    state.unitsOverride = e.target.value; // "", "in", "mm"
+    state.unitsOverride = e.target.value; // "", "in", "mm", ...
     setUnitsLabel();
-    // We don't rescale geometry; units are metadata for export and UI.
+    refreshProfiles(); // rule values are shown in drawing units
+    // Override relabels only; geometry is rescaled on import via "Import as".
+  });
+  els.importUnitsSelect?.addEventListener("change", (e) => {
+    state.workingUnits = e.target.value; // "" keeps file units
+    console.log("[UNITS] Working unit for next import:", state.workingUnits || "(file units)");
   });
 }
 
@@ -356,22 +637,289 @@ function wireClose() {
   els.btnClose?.addEventListener("click", () => {
     const tol = parseFloat(els.tolInput?.value || "0.001") || 0.001;
     const result = attemptClosePerimeter(state.perimPolylines, tol);
-    if (!result || !result.closed) {
-      setStatus("Close failed: Could not join into a closed path with current tolerance.");
+    if (!result) {
+      setStatus("Close failed: nothing to close.");
       return;
     }
-    // Replace current PERIMETER data with the single closed path for viewing and export
-    state.perimClosedPath = { vertices: result.vertices, closed: true, layer: "PERIMETER" };
-    state.perimPolylines = [state.perimClosedPath];
+    saveState("Close Loops");
+    
+    // Keep every loop and every leftover open chain; single-source pieces keep their properties,
+    // pieces joined from several keep the layer and part name their sources share
+    const source = (sources) => (sources.length === 1 ? state.perimPolylines[sources[0]] : null);
+    const shared = (sources, layer) => sharedProperties(sources.map((i) => state.perimPolylines[i]), layer);
+    const loops = result.loops.map(({ vertices, sources }) => {
+      const orig = source(sources);
+      return orig ? { ...orig, vertices, closed: true, openGap: undefined } : { vertices, closed: true, ...shared(sources, "PERIMETER") };
+    });
+    const open = result.open.map(({ vertices, sources, gap, nearestGap }) => {
+      const orig = source(sources);
+      const base = orig ? { ...orig, vertices } : { vertices, closed: false, ...shared(sources, "JOINED") };
+      return { ...base, openGap: gap, nearestGap }; // flagged so the renderer shows it as still open
+    });
+    
+    endGapSession();
+    state.perimClosedPath = loops[0] || null; // largest loop = outline (for export)
+    state.perimPolylines = [...loops, ...open];
+    clearSelection();
+    updateClosedParts();
     renderer.setData(state.perimPolylines);
     renderer.fitToView();
+    setPolyCount();
     enableActions();
-    setStatus(`Perimeter closed with tolerance ${tol}.`);
+    
+    let msg = `Closed ${loops.length} loop(s) with tolerance ${tol}.`;
+    if (open.length) {
+      const gaps = open.slice(0, 5).map((c) => Math.min(c.openGap, c.nearestGap).toFixed(3));
+      msg += ` ${open.length} open chain(s) remain (shown dashed red); smallest gaps: ${gaps.join(", ")}${open.length > 5 ? ", …" : ""}.`;
+    }
+    setStatus(msg);
+    console.log("[CLOSE] Loops:", loops.length, "Open chains:", result.open);
+  });
+}
+
+// Gap bridging: preview candidates, let the user accept/reject each, apply as one undo step
+function showGapPreview(activeId = null) {
+  const session = state.gapSession;
+  if (!session) {
+    renderer.setPreview([]);
+    return;
+  }
+  renderer.setPreview(session.candidates.map((c) => ({
+    a: c.a,
+    b: c.b,
+    accepted: session.accepted.has(c.id),
+    active: c.id === activeId,
+  })));
+}
+
+function handleGapToggle(id, accepted) {
+  const session = state.gapSession;
+  if (!session) return;
+  if (accepted) session.accepted.add(id);
+  else session.accepted.delete(id);
+  showGapPreview();
+  setStatus(`${session.accepted.size} of ${session.candidates.length} gap(s) accepted.`);
+}
+
+function endGapSession() {
+  state.gapSession = null;
+  gapPanel.update([]);
+  els.gapList.hidden = true;
+  els.btnApplyGaps.hidden = true;
+  els.btnCancelGaps.hidden = true;
+  renderer.setPreview([]);
+}
+
+function wireGaps() {
+  els.btnFindGaps?.addEventListener("click", () => {
+    const tol = parseFloat(els.tolInput?.value || "0.001") || 0.001;
+    const maxGap = parseFloat(els.maxGapInput?.value || "0");
+    if (!(maxGap > tol)) {
+      setStatus(`Max gap must be larger than the join tolerance (${tol}).`);
+      return;
+    }
+    const candidates = findGapCandidates(state.perimPolylines, maxGap, tol, isPolylineEditable);
+    // Everything starts accepted; the user rejects the ones that should stay open
+    state.gapSession = {
+      polylines: state.perimPolylines,
+      candidates,
+      accepted: new Set(candidates.map((c) => c.id)),
+    };
+    gapPanel.update(candidates, state.gapSession.accepted);
+    els.gapList.hidden = false;
+    els.btnApplyGaps.hidden = !candidates.length;
+    els.btnCancelGaps.hidden = false;
+    showGapPreview();
+    setStatus(candidates.length
+      ? `Found ${candidates.length} gap(s) between ${tol} and ${maxGap}. Untick any to reject, then Apply Accepted.`
+      : `No open ends within ${maxGap} of each other.`);
+    console.log("[BRIDGE] Candidates:", candidates);
+  });
+
+  els.btnApplyGaps?.addEventListener("click", () => {
+    const session = state.gapSession;
+    if (!session) return;
+    if (session.polylines !== state.perimPolylines) {
+      endGapSession();
+      setStatus("Geometry changed since the gaps were found. Run Find Gaps again.");
+      return;
+    }
+    const accepted = session.candidates.filter((c) => session.accepted.has(c.id));
+    if (!accepted.length) {
+      setStatus("No gaps accepted.");
+      return;
+    }
+    saveState("Bridge Gaps");
+    const result = applyGapBridges(state.perimPolylines, accepted);
+    state.perimPolylines = result.polylines;
+    endGapSession();
+    clearSelection();
+    updateClosedParts();
+    renderer.setData(state.perimPolylines);
+    setPolyCount();
+    enableActions();
+    let msg = `Bridged ${result.applied} gap(s).`;
+    if (result.skipped) msg += ` ${result.skipped} skipped (end already bridged).`;
+    setStatus(`${msg} Run Auto-Join or Close Loops to connect them.`);
+    console.log("[BRIDGE] Applied:", result.applied, "Skipped:", result.skipped);
+  });
+
+  els.btnCancelGaps?.addEventListener("click", () => {
+    endGapSession();
+    setStatus("Gap bridging cancelled.");
+  });
+}
+
+// Region picking: click inside an area bounded by crossing/T-ing lines to make it a closed part
+function setRegionPick(enabled) {
+  state.regionPick = enabled ? { polylines: null, tol: 0, regions: null } : null;
+  renderer.setPickMode(enabled);
+  els.btnPickRegion.classList.toggle("btn-primary", enabled);
+  els.btnPickRegion.textContent = enabled ? "Stop Picking" : "Pick Region";
+  setStatus(enabled ? "Click inside an area to turn it into a closed part. Esc to stop." : "Region picking stopped.");
+}
+
+function currentRegions() {
+  const tol = parseFloat(els.tolInput?.value || "0.001") || 0.001;
+  const pick = state.regionPick;
+  if (pick.regions && pick.polylines === state.perimPolylines && pick.tol === tol) return pick.regions;
+  const t0 = performance.now();
+  pick.regions = buildRegions(state.perimPolylines, tol, isPolylineEditable);
+  pick.polylines = state.perimPolylines;
+  pick.tol = tol;
+  console.log("[REGION] Built", pick.regions.faces.length, "faces in", Math.round(performance.now() - t0), "ms");
+  return pick.regions;
+}
+
+function handleRegionPick(worldPos) {
+  if (!state.regionPick) return;
+  const face = findRegionAt(currentRegions(), worldPos);
+  if (!face) {
+    setStatus("No closed region around that point.");
+    return;
+  }
+
+  saveState("Create Region");
+  const parts = [face.vertices, ...face.holes].map((vertices) => ({
+    layer: "REGION",
+    closed: true,
+    vertices: vertices.map((v) => ({ ...v })),
+  }));
+  endGapSession();
+  state.perimPolylines = [...state.perimPolylines, ...parts];
+  // The new parts only retrace existing edges, so the faces stay valid
+  state.regionPick.polylines = state.perimPolylines;
+  clearSelection();
+  updateClosedParts();
+  renderer.setData(state.perimPolylines);
+  setPolyCount();
+  enableActions();
+
+  const holes = face.holes.length ? ` with ${face.holes.length} hole(s)` : "";
+  setStatus(`Created region part${holes}, area ${face.area.toFixed(3)}. Click another area or Esc to stop.`);
+  console.log("[REGION] Created part at", worldPos, "area:", face.area, "holes:", face.holes.length);
+}
+
+function wireRegions() {
+  els.btnPickRegion?.addEventListener("click", () => {
+    setRegionPick(!state.regionPick);
+  });
+}
+
+function activeProfile() {
+  const { active, profiles } = state.machining;
+  return profiles.find((p) => p.name === active) || profiles[0];
+}
+
+// Machining operation of a polyline's layer under the active profile (values in export units)
+function layerOperationOf(poly) {
+  return matchLayerOperation(poly?.layer, activeProfile().rules, state.units || "in");
+}
+
+function describeOperation({ operation, diameter, depth }) {
+  const fmt = (v) => `${+v.toFixed(3)} ${state.units || "in"}`;
+  const parts = [operation];
+  if (operation === "drill") parts.push(diameter != null ? `⌀ ${fmt(diameter)}` : "⌀ from circle");
+  if (depth != null) parts.push(`depth ${fmt(depth)}`);
+  return parts.join(", ");
+}
+
+// Profile select, rule rows and the per-layer mapping
+function refreshProfiles() {
+  const profile = activeProfile();
+  if (els.profileSelect) {
+    els.profileSelect.innerHTML = "";
+    for (const p of state.machining.profiles) {
+      const option = document.createElement("option");
+      option.value = p.name;
+      option.textContent = p.name;
+      els.profileSelect.appendChild(option);
+    }
+    els.profileSelect.value = profile.name;
+  }
+  els.btnDeleteProfile.disabled = state.machining.profiles.length < 2;
+  const layerOps = Array.from(state.layers.values())
+    .filter((layer) => layer.count > 0)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map((layer) => ({ name: layer.name, text: describeOperation(layerOperationOf({ layer: layer.name })) }));
+  profilePanel.update(profile.rules, layerOps);
+}
+
+function persistProfiles() {
+  if (!saveProfiles(state.machining)) setStatus("Could not save machining profiles (storage unavailable).");
+  refreshProfiles();
+}
+
+function handleRuleChange(index, patch) {
+  const rules = activeProfile().rules;
+  if (!rules[index]) return;
+  rules[index] = normalizeRule({ ...rules[index], ...patch });
+  console.log("[PROFILES] Rule", index + 1, "of", activeProfile().name, "updated:", patch);
+  persistProfiles();
+}
+
+function handleRuleRemove(index) {
+  activeProfile().rules.splice(index, 1);
+  persistProfiles();
+}
+
+function wireProfiles() {
+  els.profileSelect?.addEventListener("change", () => {
+    state.machining.active = els.profileSelect.value;
+    persistProfiles();
+  });
+  els.btnAddRule?.addEventListener("click", () => {
+    activeProfile().rules.push(normalizeRule({ pattern: "", operation: "drill" }));
+    persistProfiles();
+  });
+  // Save As copies the active profile's rules under a new name (or over a profile of that name)
+  els.btnSaveProfile?.addEventListener("click", () => {
+    const name = els.profileName.value.trim();
+    if (!name) {
+      setStatus("Enter a profile name to save the current rules.");
+      return;
+    }
+    const rules = activeProfile().rules.map((r) => ({ ...r }));
+    const existing = state.machining.profiles.find((p) => p.name.toLowerCase() === name.toLowerCase());
+    if (existing) existing.rules = rules;
+    else state.machining.profiles.push({ name, rules });
+    state.machining.active = existing ? existing.name : name;
+    els.profileName.value = "";
+    persistProfiles();
+    setStatus(`Saved machining profile "${state.machining.active}".`);
+  });
+  els.btnDeleteProfile?.addEventListener("click", () => {
+    if (state.machining.profiles.length < 2) return;
+    const name = activeProfile().name;
+    state.machining.profiles = state.machining.profiles.filter((p) => p.name !== name);
+    state.machining.active = state.machining.profiles[0].name;
+    persistProfiles();
+    setStatus(`Deleted machining profile "${name}".`);
   });
 }
 
 function download(filename, dataText, mimeType = "application/json") {
-  const blob = new Blob([dataText], { type: mimeType });
+  const blob = dataText instanceof Blob ? dataText : new Blob([dataText], { type: mimeType });
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
@@ -380,155 +928,44 @@ function download(filename, dataText, mimeType = "application/json") {
   URL.revokeObjectURL(url);
 }
 
-function toDXFFormat(polylines, filename) {
-  const units = state.units || "in";
-  const insunitsValue = units === "mm" ? 4 : 1; // 1=inches, 4=millimeters
-  
-  let dxfContent = `999
-DXF Convert App - Exported ${new Date().toISOString()}
-0
-SECTION
-2
-HEADER
-9
-$INSUNITS
-70
-${insunitsValue}
-0
-ENDSEC
-0
-SECTION
-2
-TABLES
-0
-TABLE
-2
-LAYER
-5
-2
-100
-AcDbSymbolTable
-70
-2
-0
-LAYER
-5
-10
-100
-AcDbSymbolTableRecord
-100
-AcDbLayerTableRecord
-2
-0
-70
-0
-62
-7
-6
-CONTINUOUS
-0
-LAYER
-5
-11
-100
-AcDbSymbolTableRecord
-100
-AcDbLayerTableRecord
-2
-JOINED
-70
-0
-62
-3
-6
-CONTINUOUS
-0
-ENDTAB
-0
-ENDSEC
-0
-SECTION
-2
-ENTITIES
-`;
-
-  // Add polylines
-  polylines.forEach((poly, index) => {
-    const vertices = poly.vertices || [];
-    if (vertices.length < 2) return;
-    
-    const layer = poly.layer || "0";
-    const isClosed = poly.closed || false;
-    const flags = isClosed ? 1 : 0;
-    
-    dxfContent += `0
-LWPOLYLINE
-5
-${(100 + index).toString(16).toUpperCase()}
-100
-AcDbEntity
-8
-${layer}
-100
-AcDbPolyline
-90
-${vertices.length}
-70
-${flags}
-`;
-
-    // Add vertices
-    vertices.forEach(v => {
-      dxfContent += `10
-${v.x.toFixed(6)}
-20
-${v.y.toFixed(6)}
-`;
-      if (v.bulge && v.bulge !== 0) {
-        dxfContent += `42
-${v.bulge.toFixed(6)}
-`;
-      }
-    });
-  });
-
-  dxfContent += `0
-ENDSEC
-0
-EOF
-`;
-
-  return dxfContent;
-}
-
-function toExportSchema(name) {
+// skipped collects machining geometry left out of the export ({ index, layer, reason })
+function toExportSchema(name, skipped = []) {
   const units = state.units || "in";
+  const tol = parseFloat(els.tolInput?.value || "0.001") || 0.001;
   const partName = name?.trim() || state.sourceName || "mozaik-part";
-  const poly = state.perimClosedPath || state.perimPolylines?.[0];
-  const vertices = (poly?.vertices || []).map((v) => {
-    const out = { x: v.x, y: v.y };
-    if (typeof v.bulge === "number" && !Number.isNaN(v.bulge) && v.bulge !== 0) {
-      out.bulge = v.bulge;
-    }
-    return out;
+
+  // Every outer closed contour is a part; contours inside it are its cutouts/holes
+  let indices = Array.from(state.closedParts);
+  if (!indices.length) {
+    const poly = state.perimClosedPath || state.perimPolylines?.[0];
+    const idx = state.perimPolylines.indexOf(poly);
+    indices = idx >= 0 ? [idx] : [];
+  }
+  // A TEXT/MTEXT label inside the part names it
+  const nameOf = (poly) => poly.partName || labelPartName(findPartLabel(poly, state.labels));
+  // Layer rules of the active machining profile: drill/pocket/groove layers become operations
+  const parts = buildParts(state.perimPolylines, indices, {
+    tolerance: tol,
+    nameOf,
+    rezero: true,
+    operationOf: layerOperationOf,
+    onSkip: (skip) => skipped.push(skip),
   });
+  if (skipped.length) console.warn("[EXPORT-JSON] Machining geometry left out:", skipped);
+  // Fill in missing names and number repeats (a file loaded twice gives two parts of the same name)
+  nameParts(parts, partName);
+
+  const invalid = indices.filter((idx) => state.invalidParts.has(idx));
+  if (invalid.length) console.warn("[EXPORT-JSON] Exporting contours that failed validity checks:", invalid);
 
   return {
-    schemaVersion: "v0.1",
+    schemaVersion: SCHEMA_VERSION,
     meta: {
       source: "DXF Convert App",
       exportedAt: new Date().toISOString(),
     },
     units,
-    parts: [
-      {
-        name: partName,
-        perimeter: {
-          closed: true,
-          vertices,
-        },
-      },
-    ],
+    parts,
   };
 }
 
@@ -537,7 +974,7 @@ function wireExport() {
   els.btnExportDXF?.addEventListener("click", () => {
     try {
       const fname = (els.fileName?.value || "mozaik-part").replace(/\.(dxf|json)$/i, "");
-      const dxfContent = toDXFFormat(state.perimPolylines, fname);
+      const dxfContent = toDXFFormat(state.perimPolylines, state.units || "in");
       download(`${fname}.dxf`, dxfContent, "application/dxf");
       setStatus("Exported to DXF format.");
       console.log("[EXPORT-DXF] Exported", state.perimPolylines.length, "polylines to", `${fname}.dxf`);
@@ -551,10 +988,34 @@ function wireExport() {
   els.btnExportJSON?.addEventListener("click", () => {
     try {
       const fname = (els.fileName?.value || "mozaik-part").replace(/\.(dxf|json)$/i, "");
-      const payload = toExportSchema(fname);
-      download(`${fname}.json`, JSON.stringify(payload, null, 2), "application/json");
-      setStatus("Exported JSON v0.1 for Mozaik.");
-      console.log("[EXPORT-JSON] Exported closed perimeter to", `${fname}.json`);
+      const skipped = [];
+      const payload = toExportSchema(fname, skipped);
+      const { valid, errors } = validateMozaikJson(payload);
+      if (!valid) {
+        importReport.show([{
+          fileName: `${fname}.json (not exported)`,
+          diagnostics: errors.map((e) => ({ severity: "error", code: "SCHEMA", message: `${e.path}: ${e.message}`, line: null })),
+        }]);
+        setStatus(`JSON export blocked: ${errors.length} schema error(s). See Import Report.`);
+        console.warn("[EXPORT-JSON] Schema errors:", errors);
+        return;
+      }
+      if (els.jsonOutput?.value === "zip") {
+        download(`${fname}.zip`, createZip(toPartFiles(payload)), "application/zip");
+      } else {
+        download(`${fname}.json`, JSON.stringify(payload, null, 2), "application/json");
+      }
+      if (skipped.length) {
+        importReport.show([{
+          fileName: `${fname}.json (machining)`,
+          diagnostics: skipped.map((s) => ({ severity: "warning", code: "OPERATION_SKIPPED", message: `Polyline ${s.index + 1} on layer ${s.layer}: ${s.reason}`, line: null })),
+        }]);
+      }
+      const inner = payload.parts.reduce((n, p) => n + p.cutouts.length + p.holes.length, 0);
+      const ops = payload.parts.reduce((n, p) => n + p.operations.length, 0);
+      setStatus(`Exported JSON ${payload.schemaVersion} for Mozaik: ${payload.parts.length} part(s), ${inner} cutout(s)/hole(s), ${ops} operation(s)` +
+        (skipped.length ? `; ${skipped.length} left out (see Import Report).` : "."));
+      console.log("[EXPORT-JSON] Exported", payload.parts.length, "part(s) as", els.jsonOutput?.value || "combined");
     } catch (err) {
       console.error("[ERROR] JSON export failed:", err);
       setStatus("JSON export failed. See console.");
@@ -724,6 +1185,7 @@ function updateSelectionUI() {
 function saveState(action = "Unknown Action") {
   const currentState = {
     perimPolylines: JSON.parse(JSON.stringify(state.perimPolylines)),
+    labels: JSON.parse(JSON.stringify(state.labels)),
     selectedPolylines: new Set(state.selectedPolylines),
     action: action,
     timestamp: Date.now()
@@ -756,7 +1218,9 @@ function undo() {
   const savedState = state.history[state.historyIndex];
   
   // Restore state
+  endGapSession(); // candidates refer to the geometry being replaced
   state.perimPolylines = JSON.parse(JSON.stringify(savedState.perimPolylines));
+  state.labels = JSON.parse(JSON.stringify(savedState.labels || []));
   state.selectedPolylines = new Set(savedState.selectedPolylines);
   
   // Update UI - closedParts will be recalculated from geometry
@@ -764,6 +1228,7 @@ function undo() {
   updateClosedParts(); // This will properly recalculate closed parts from current geometry
   
   // IMPORTANT: Re-sync renderer with current state references
+  renderer.setLabels(state.labels);
   renderer.setData(state.perimPolylines);
   renderer.selectedIndices = state.selectedPolylines;
   renderer.closedParts = state.closedParts;
@@ -787,7 +1252,9 @@ function redo() {
   const savedState = state.history[state.historyIndex];
   
   // Restore state
+  endGapSession(); // candidates refer to the geometry being replaced
   state.perimPolylines = JSON.parse(JSON.stringify(savedState.perimPolylines));
+  state.labels = JSON.parse(JSON.stringify(savedState.labels || []));
   state.selectedPolylines = new Set(savedState.selectedPolylines);
   
   // Update UI - closedParts will be recalculated from geometry
@@ -795,6 +1262,7 @@ function redo() {
   updateClosedParts(); // This will properly recalculate closed parts from current geometry
   
   // IMPORTANT: Re-sync renderer with current state references
+  renderer.setLabels(state.labels);
   renderer.setData(state.perimPolylines);
   renderer.selectedIndices = state.selectedPolylines;
   renderer.closedParts = state.closedParts;
@@ -822,9 +1290,10 @@ function updateClosedParts() {
   
   for (let i = 0; i < state.perimPolylines.length; i++) {
     const poly = state.perimPolylines[i];
-    if (!poly?.vertices || poly.vertices.length < 3) continue;
+    if (!poly?.vertices || poly.vertices.length < 2) continue;
     
-    // Check if polyline is closed (either explicitly or geometrically)
+    // Check if polyline is closed (either explicitly or geometrically).
+    // Two-vertex closed polylines are valid when bulged (e.g. CIRCLE).
     const isPolylineClosed = poly.closed || isClosed(poly.vertices, tol);
     
     if (isPolylineClosed) {
@@ -834,6 +1303,25 @@ function updateClosedParts() {
   }
   
   console.log("[CLOSED-PARTS] Found", state.closedParts.size, "closed parts:", Array.from(state.closedParts));
+  
+  // Closed is not enough: self-intersections, duplicate vertices, tiny segments and spikes make a part invalid
+  state.invalidParts.clear();
+  state.partIssues.clear();
+  for (const idx of state.closedParts) {
+    const { valid, issues } = analysePart(state.perimPolylines[idx], { tolerance: tol });
+    if (valid) continue;
+    state.invalidParts.add(idx);
+    state.partIssues.set(idx, issues);
+    console.log("[VALIDITY] Part", idx, "is invalid:", issues.map((i) => i.message));
+  }
+  els.invalidCount.textContent = String(state.invalidParts.size);
+  renderer.setMarkers(Array.from(state.partIssues.values()).flat());
+  
+  // Name closed parts from the labels sitting inside them
+  for (const [idx, label] of assignPartNames(state.perimPolylines, state.closedParts, state.labels)) {
+    state.perimPolylines[idx].partName = labelPartName(label);
+    console.log("[LABELS] Part", idx, "named from", label.kind, "label:", label.text);
+  }
 }
 
 // Part dragging handlers
@@ -845,6 +1333,7 @@ function handlePartDragStart(partIndex, canvasX, canvasY) {
   
   state.draggingPart = {
     partIndex,
+    labelIndices: labelsInside(state.perimPolylines[partIndex], state.labels), // labels travel with the part
     startX: canvasX,
     startY: canvasY,
     lastX: canvasX,
@@ -874,6 +1363,9 @@ function rotatePart(partIndex, angleDegrees = 90) {
   const cos = Math.cos(angleRad);
   const sin = Math.sin(angleRad);
   
+  // Labels inside the part rotate with it (found before the vertices move)
+  const labelIndices = labelsInside(poly, state.labels);
+  
   // Rotate each vertex around the center
   for (const vertex of poly.vertices) {
     const dx = vertex.x - centerX;
@@ -882,6 +1374,15 @@ function rotatePart(partIndex, angleDegrees = 90) {
     vertex.y = centerY + (dx * sin + dy * cos);
   }
   
+  for (const idx of labelIndices) {
+    const label = state.labels[idx];
+    const dx = label.x - centerX;
+    const dy = label.y - centerY;
+    label.x = centerX + (dx * cos - dy * sin);
+    label.y = centerY + (dx * sin + dy * cos);
+    label.rotation = (label.rotation || 0) + angleDegrees;
+  }
+  
   console.log("[PART-ROTATE] Rotated part", partIndex, "by", angleDegrees, "degrees around center", centerX.toFixed(2), centerY.toFixed(2));
   return true;
 }
@@ -902,6 +1403,11 @@ function handlePartDrag(canvasX, canvasY) {
     }
   }
   
+  for (const idx of drag.labelIndices || []) {
+    state.labels[idx].x += deltaX;
+    state.labels[idx].y += deltaY;
+  }
+  
   // Update drag position
   drag.lastX = canvasX;
   drag.lastY = canvasY;
@@ -927,6 +1433,7 @@ function handlePartDragEnd() {
   setStatus(`Moved part ${drag.partIndex} by ${totalDeltaX.toFixed(2)}, ${totalDeltaY.toFixed(2)}`);
   
   state.draggingPart = null;
+  updateClosedParts(); // validity markers follow the moved part
 }
 
 // Dimensions calculation
@@ -937,26 +1444,17 @@ function updateDimensions() {
     return;
   }
 
-  // Calculate overall bounding box
-  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  // Calculate overall bounding box (arc bulges included)
+  const bounds = polylinesBounds(state.perimPolylines);
   
-  for (const poly of state.perimPolylines) {
-    for (const v of poly.vertices || []) {
-      minX = Math.min(minX, v.x);
-      maxX = Math.max(maxX, v.x);
-      minY = Math.min(minY, v.y);
-      maxY = Math.max(maxY, v.y);
-    }
-  }
-  
-  if (!isFinite(minX)) {
+  if (!bounds) {
     els.partWidth.textContent = "—";
     els.partHeight.textContent = "—";
     return;
   }
   
-  const width = maxX - minX;
-  const height = maxY - minY;
+  const width = bounds.maxX - bounds.minX;
+  const height = bounds.maxY - bounds.minY;
   const units = state.units || "";
   
   els.partWidth.textContent = `${width.toFixed(3)} ${units}`.trim();
@@ -965,128 +1463,57 @@ function updateDimensions() {
   console.log("[DIMENSIONS] Width:", width.toFixed(3), "Height:", height.toFixed(3), "Units:", units);
 }
 
-// Distance between two points
-function distance(p1, p2) {
-  const dx = p1.x - p2.x;
-  const dy = p1.y - p2.y;
-  return Math.sqrt(dx * dx + dy * dy);
-}
-
-// Join two polylines if their endpoints are close
-function joinTwoPolylines(poly1, poly2, tolerance) {
-  const p1Start = poly1.vertices[0];
-  const p1End = poly1.vertices[poly1.vertices.length - 1];
-  const p2Start = poly2.vertices[0];
-  const p2End = poly2.vertices[poly2.vertices.length - 1];
-  
-  console.log("[JOIN-TWO] Checking distances:");
-  console.log("  p1End to p2Start:", distance(p1End, p2Start).toFixed(6));
-  console.log("  p1End to p2End:", distance(p1End, p2End).toFixed(6));
-  console.log("  p1Start to p2Start:", distance(p1Start, p2Start).toFixed(6));
-  console.log("  p1Start to p2End:", distance(p1Start, p2End).toFixed(6));
-  console.log("  Tolerance:", tolerance);
-  
-  // Try different connection combinations
-  if (distance(p1End, p2Start) <= tolerance) {
-    // Connect p1End to p2Start: p1 + p2[1...]
-    const result = [...poly1.vertices, ...poly2.vertices.slice(1)];
-    console.log("[JOIN-TWO] Connected p1End to p2Start");
-    return { vertices: result, closed: false, layer: "JOINED" };
-  }
-  
-  if (distance(p1End, p2End) <= tolerance) {
-    // Connect p1End to p2End: p1 + p2.reverse()[1...]
-    const p2Rev = [...poly2.vertices].reverse();
-    const result = [...poly1.vertices, ...p2Rev.slice(1)];
-    console.log("[JOIN-TWO] Connected p1End to p2End (reversed p2)");
-    return { vertices: result, closed: false, layer: "JOINED" };
-  }
-  
-  if (distance(p1Start, p2Start) <= tolerance) {
-    // Connect p1Start to p2Start: p1.reverse() + p2[1...]
-    const p1Rev = [...poly1.vertices].reverse();
-    const result = [...p1Rev, ...poly2.vertices.slice(1)];
-    console.log("[JOIN-TWO] Connected p1Start to p2Start (reversed p1)");
-    return { vertices: result, closed: false, layer: "JOINED" };
-  }
-  
-  if (distance(p1Start, p2End) <= tolerance) {
-    // Connect p1Start to p2End: p2 + p1[1...]
-    const result = [...poly2.vertices, ...poly1.vertices.slice(1)];
-    console.log("[JOIN-TWO] Connected p1Start to p2End");
-    return { vertices: result, closed: false, layer: "JOINED" };
-  }
-  
-  console.log("[JOIN-TWO] No connection found within tolerance");
-  return null;
-}
-
-// Auto-join all polylines
-function autoJoinAll() {
+// Auto-join all polylines (runs in the geometry worker pool)
+async function autoJoinAll() {
   let tol = parseFloat(els.tolInput?.value || "0.001") || 0.001;
   
   // Use a more generous tolerance for auto-join
   tol = Math.max(tol, 0.01); // At least 0.01 units
   
   console.log("[AUTO-JOIN] Starting auto-join with tolerance:", tol);
-  console.log("[AUTO-JOIN] Starting with", state.perimPolylines.length, "polylines");
   
-  let joinedAny = false;
-  let iterations = 0;
-  const maxIterations = 20; // Allow more iterations
+  const lockedLayers = Array.from(state.layers.values())
+    .filter((l) => !l.visible || l.locked)
+    .map((l) => l.name);
+  const packed = packPolylines(state.perimPolylines);
   
-  while (iterations < maxIterations) {
-    iterations++;
-    let foundConnection = false;
-    
-    console.log("[AUTO-JOIN] Iteration", iterations, "- checking", state.perimPolylines.length, "polylines");
-    
-    // Try to join each polyline with others
-    for (let i = 0; i < state.perimPolylines.length - 1; i++) {
-      for (let j = i + 1; j < state.perimPolylines.length; j++) {
-        const poly1 = state.perimPolylines[i];
-        const poly2 = state.perimPolylines[j];
-        
-        if (!poly1?.vertices?.length || !poly2?.vertices?.length) continue;
-        if (poly1.vertices.length < 2 || poly2.vertices.length < 2) continue;
-        
-        console.log("[AUTO-JOIN] Trying to join polyline", i, "with", j);
-        const result = joinTwoPolylines(poly1, poly2, tol);
-        
-        if (result) {
-          console.log("[AUTO-JOIN] Successfully joined polylines", i, "and", j);
-          
-          // Remove the two original polylines (j first to maintain indices)
-          state.perimPolylines.splice(j, 1);
-          state.perimPolylines.splice(i, 1);
-          
-          // Add the new joined polyline
-          state.perimPolylines.push(result);
-          
-          foundConnection = true;
-          joinedAny = true;
-          break; // Start over with new array
-        }
-      }
-      if (foundConnection) break;
-    }
-    
-    if (!foundConnection) {
-      console.log("[AUTO-JOIN] No more connections possible after", iterations, "iterations");
-      break;
+  setStatus("Auto-joining…");
+  setBusy(true);
+  let result;
+  try {
+    result = await geometryPool.run("autoJoin", { packed, tol, lockedLayers }, packedTransferables(packed)).promise;
+  } catch (err) {
+    if (err?.cancelled) {
+      setStatus("Auto-join cancelled.");
+      return;
     }
+    console.error("[ERROR] Auto-join failed:", err);
+    setStatus("Auto-join failed. See console.");
+    return;
+  } finally {
+    setBusy(false);
   }
   
-  if (joinedAny) {
+  // Junctions where 3+ ends meet are left open for the user to resolve
+  const junctions = result.junctions || [];
+  const junctionNote = junctions.length
+    ? ` ${junctions.length} ambiguous junction(s) left open, e.g. at ${junctions.slice(0, 3)
+      .map((j) => `(${j.x.toFixed(3)}, ${j.y.toFixed(3)}) ×${j.count}`).join(", ")}.`
+    : "";
+  if (junctions.length) console.warn("[AUTO-JOIN] Ambiguous junctions:", junctions);
+  
+  if (result.joinedAny) {
+    endGapSession();
+    state.perimPolylines = unpackPolylines(result.packed);
     clearSelection();
     updateClosedParts(); // Check for newly closed parts (blue)
     renderer.setData(state.perimPolylines);
     setPolyCount();
     enableActions();
-    setStatus(`Auto-join completed. ${state.perimPolylines.length} polylines remaining.`);
-    console.log("[AUTO-JOIN] Completed after", iterations, "iterations. Final count:", state.perimPolylines.length);
+    setStatus(`Auto-join made ${result.joins} connection(s). ${state.perimPolylines.length} polylines remaining.${junctionNote}`);
+    console.log("[AUTO-JOIN] Completed with", result.joins, "connections. Final count:", state.perimPolylines.length);
   } else {
-    setStatus(`Auto-join found no connections within tolerance ${tol.toFixed(3)}. Try increasing tolerance.`);
+    setStatus(`Auto-join found no connections within tolerance ${tol.toFixed(3)}. Try increasing tolerance.${junctionNote}`);
     console.log("[AUTO-JOIN] No connections found within tolerance", tol);
   }
 }
@@ -1134,30 +1561,14 @@ function unjoinSelected() {
     const poly = state.perimPolylines[idx];
     console.log("[UNJOIN] Breaking polyline with", poly.vertices.length, "vertices");
     
-    // Break polyline into 2-point segments (individual lines)
-    for (let i = 0; i < poly.vertices.length - 1; i++) {
-      const segment = {
-        vertices: [poly.vertices[i], poly.vertices[i + 1]],
-        closed: false,
-        layer: "UNJOINED"
-      };
-      newPolylines.push(segment);
-      totalSegments++;
-    }
-    
-    // If original was closed, add closing segment
-    if (poly.closed && poly.vertices.length > 2) {
-      const closingSegment = {
-        vertices: [poly.vertices[poly.vertices.length - 1], poly.vertices[0]], 
-        closed: false,
-        layer: "UNJOINED"
-      };
-      newPolylines.push(closingSegment);
-      totalSegments++;
-    }
+    // Break polyline into 2-point segments (individual lines); each keeps its own arc
+    const pieces = explodeSegments(poly, { layer: "UNJOINED" });
+    newPolylines.push(...pieces);
+    totalSegments += pieces.length;
   }
   
   // Remove only the unjoinable polylines (in reverse order to maintain indices)
+  endGapSession();
   for (const idx of sortedUnjoinable) {
     state.perimPolylines.splice(idx, 1);
   }
@@ -1178,6 +1589,58 @@ function unjoinSelected() {
   console.log("[UNJOIN] Created", totalSegments, "segments from", unjoinableIndices.length, "polylines");
 }
 
+// Remove duplicate, overlapping and zero-length segments across all editable polylines
+const CLEANUP_CODES = {
+  "zero-length": "ZERO_LENGTH",
+  "duplicate": "DUPLICATE",
+  "reversed-duplicate": "REVERSED_DUPLICATE",
+  "overlap": "OVERLAP",
+};
+
+function cleanupAll() {
+  const tol = parseFloat(els.tolInput?.value || "0.001") || 0.001;
+  const result = cleanupSegments(state.perimPolylines, tol, isPolylineEditable);
+  const { report } = result;
+  if (!result.changed) {
+    setStatus(`Clean up: no duplicate, overlapping or zero-length segments within tolerance ${tol}.`);
+    return;
+  }
+
+  saveState("Clean Up Segments");
+  endGapSession();
+  state.perimPolylines = result.polylines;
+  clearSelection();
+  updateClosedParts();
+  renderer.setData(state.perimPolylines);
+  setPolyCount();
+  enableActions();
+
+  // Itemised changes go to the report panel (polyline/segment numbers are from before clean up)
+  importReport.show([{
+    fileName: "Segment clean up",
+    diagnostics: report.changes.map((c) => {
+      const kept = c.keptPoly != null ? ` (kept polyline ${c.keptPoly + 1} segment ${c.keptSegment + 1})` : "";
+      const verb = c.kind === "overlap" ? "Trimmed" : "Removed";
+      return {
+        severity: "info",
+        code: CLEANUP_CODES[c.kind],
+        message: `${verb} ${c.length.toFixed(4)} of polyline ${c.poly + 1} segment ${c.segment + 1}${kept}`,
+        line: null,
+      };
+    }),
+  }]);
+
+  const parts = [];
+  if (report.duplicates) parts.push(`${report.duplicates} duplicate(s)`);
+  if (report.reversedDuplicates) parts.push(`${report.reversedDuplicates} reversed duplicate(s)`);
+  if (report.overlaps) parts.push(`${report.overlaps} overlap(s)`);
+  if (report.zeroLength) parts.push(`${report.zeroLength} zero-length segment(s)`);
+  let msg = `Cleaned up ${parts.join(", ")}.`;
+  if (report.polylinesRemoved) msg += ` ${report.polylinesRemoved} polyline(s) removed entirely.`;
+  setStatus(msg);
+  console.log("[CLEANUP] Report:", report);
+}
+
 // Delete selected polylines
 function deleteSelected() {
   if (state.selectedPolylines.size === 0) return;
@@ -1186,6 +1649,7 @@ function deleteSelected() {
   console.log("[DELETE] Deleting polylines at indices:", selectedIndices);
   
   // Remove selected polylines (in reverse order to maintain indices)
+  endGapSession();
   for (const idx of selectedIndices) {
     state.perimPolylines.splice(idx, 1);
   }
@@ -1264,6 +1728,7 @@ function wireSelection() {
     
     if (joinedAny) {
       // Remove selected polylines from main array (in reverse order to maintain indices)
+      endGapSession();
       const sortedIndices = selectedIndices.sort((a, b) => b - a);
       for (const idx of sortedIndices) {
         state.perimPolylines.splice(idx, 1);
@@ -1297,6 +1762,11 @@ function wireSelection() {
     unjoinSelected();
   });
 
+  // Clean up button (records its own history entry when something changes)
+  els.btnCleanup?.addEventListener('click', () => {
+    cleanupAll();
+  });
+
   // Delete button
   els.btnDelete?.addEventListener('click', () => {
     saveState("Delete Selected");
@@ -1370,8 +1840,9 @@ function wireKeyboard() {
       e.preventDefault();
     }
     
-    // Escape key - clear selection
+    // Escape key - clear selection (and leave region picking)
     if (e.key === 'Escape') {
+      if (state.regionPick) setRegionPick(false);
       clearSelection();
       e.preventDefault();
     }
@@ -1384,12 +1855,18 @@ function wireClearAll() {
   els.btnClearAll?.addEventListener('click', () => {
     state.allPolylines = [];
     state.perimPolylines = [];
+    state.labels = [];
+    state.layers = new Map();
+    endGapSession();
+    if (state.regionPick) setRegionPick(false);
     clearSelection();
+    updateClosedParts(); // drops validity markers
     
     els.partCount.textContent = "0";
     els.btnClearAll.disabled = true;
     setPolyCount();
     
+    renderer.setLabels([]);
     renderer.setData([]);
     renderer.render();
     enableActions();
@@ -1416,6 +1893,9 @@ function init() {
   wireView();
   wireUnits();
   wireClose();
+  wireGaps();
+  wireRegions();
+  wireProfiles();
   wireExport();
   wireSelection();
   wireKeyboard();
@@ -1426,6 +1906,7 @@ function init() {
   setPolyCount();
   enableActions();
   updateSelectionUI();
+  refreshProfiles();
 
   // Initial canvas sizing/render
   renderer.render();
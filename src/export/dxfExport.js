@@ -0,0 +1,138 @@
+/**
+ * src/export/dxfExport.js
+ * Write polylines back to an ASCII DXF (R2000-style LWPOLYLINEs with bulges).
+ *
+ * - $INSUNITS is written from the unit id (unknown units fall back to inches)
+ * - each polyline keeps its layer and closed flag; bulges are written with 6 decimals
+ * - polylines with fewer than 2 vertices are left out
+ *
+ * Re-parsing the output with parseDXF gives the same segment geometry
+ * (see test/dxfExport.test.mjs).
+ */
+
+import { insunitsCode } from "../units/units.js";
+
+/**
+ * @param {Array<{ layer?:string, closed?:boolean, vertices:Array<{x:number,y:number,bulge?:number}> }>} polylines
+ * @param {string} [units] - unit id ("in", "mm", ...)
+ * @returns {string} DXF text
+ */
+export function toDXFFormat(polylines, units = "in") {
+  const insunitsValue = insunitsCode(units) || 1; // unknown units fall back to inches
+  
+  let dxfContent = `999
+DXF Convert App - Exported ${new Date().toISOString()}
+0
+SECTION
+2
+HEADER
+9
+$INSUNITS
+70
+${insunitsValue}
+0
+ENDSEC
+0
+SECTION
+2
+TABLES
+0
+TABLE
+2
+LAYER
+5
+2
+100
+AcDbSymbolTable
+70
+2
+0
+LAYER
+5
+10
+100
+AcDbSymbolTableRecord
+100
+AcDbLayerTableRecord
+2
+0
+70
+0
+62
+7
+6
+CONTINUOUS
+0
+LAYER
+5
+11
+100
+AcDbSymbolTableRecord
+100
+AcDbLayerTableRecord
+2
+JOINED
+70
+0
+62
+3
+6
+CONTINUOUS
+0
+ENDTAB
+0
+ENDSEC
+0
+SECTION
+2
+ENTITIES
+`;
+
+  // Add polylines
+  polylines.forEach((poly, index) => {
+    const vertices = poly.vertices || [];
+    if (vertices.length < 2) return;
+    
+    const layer = poly.layer || "0";
+    const isClosed = poly.closed || false;
+    const flags = isClosed ? 1 : 0;
+    
+    dxfContent += `0
+LWPOLYLINE
+5
+${(100 + index).toString(16).toUpperCase()}
+100
+AcDbEntity
+8
+${layer}
+100
+AcDbPolyline
+90
+${vertices.length}
+70
+${flags}
+`;
+
+    // Add vertices
+    vertices.forEach(v => {
+      dxfContent += `10
+${v.x.toFixed(6)}
+20
+${v.y.toFixed(6)}
+`;
+      if (v.bulge && v.bulge !== 0) {
+        dxfContent += `42
+${v.bulge.toFixed(6)}
+`;
+      }
+    });
+  });
+
+  dxfContent += `0
+ENDSEC
+0
+EOF
+`;
+
+  return dxfContent;
+}
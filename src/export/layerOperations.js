@@ -0,0 +1,99 @@
+/**
+ * src/export/layerOperations.js
+ * Map layer names to machining operations for the Mozaik JSON export.
+ *
+ * A profile is { name, rules: [{ pattern, operation, diameter?, depth?, unit? }] }:
+ * - pattern: layer name, case-insensitive and matched whole. `*` matches any text,
+ *   `?` one character, `{diameter}` / `{depth}` a number (5, 2.5, 2,5) read from the name.
+ *   Other braces are literal text (SLOT{2}); an unknown placeholder such as {width}
+ *   makes the pattern invalid
+ * - operation: "perimeter" | "drill" | "pocket" | "groove" | "ignore"
+ * - diameter / depth: fixed values, used when the pattern does not read them
+ * - unit: unit of the values ("mm", "in", ...); "" means the drawing's units
+ * The first matching rule wins; layers no rule matches are perimeters (outlines).
+ *
+ * Example: DRILL_{diameter}MM_{depth}D maps DRILL_5MM_12D to a 5 mm drill, 12 mm deep.
+ */
+
+import { unitScale } from "../units/units.js";
+
+export const OPERATIONS = ["perimeter", "drill", "pocket", "groove", "ignore"];
+
+export const DEFAULT_PROFILE = {
+  name: "Default",
+  rules: [
+    { pattern: "DRILL_{diameter}MM_{depth}D", operation: "drill", unit: "mm" },
+    { pattern: "DRILL*", operation: "drill" },
+    { pattern: "POCKET_{depth}", operation: "pocket", unit: "mm" },
+    { pattern: "POCKET*", operation: "pocket" },
+    { pattern: "GROOVE*", operation: "groove" },
+    { pattern: "DEFPOINTS", operation: "ignore" },
+  ],
+};
+
+const PLACEHOLDER = /\{(diameter|depth)\}/g;
+const UNKNOWN_PLACEHOLDER = /\{(?!(?:diameter|depth)\})[A-Za-z_]+\}/;
+const compiled = new Map(); // pattern -> { regex, fields } | null
+
+// Glob with {diameter}/{depth} placeholders -> anchored case-insensitive RegExp
+function compilePattern(pattern) {
+  if (compiled.has(pattern)) return compiled.get(pattern);
+  if (UNKNOWN_PLACEHOLDER.test(pattern)) {
+    compiled.set(pattern, null);
+    return null;
+  }
+  const fields = [];
+  let source = "";
+  let last = 0;
+  const literal = (text) =>
+    text.replace(/[.+^$(){}|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+  for (const m of pattern.matchAll(PLACEHOLDER)) {
+    source += literal(pattern.slice(last, m.index)) + "(\\d+(?:[.,]\\d+)?)";
+    fields.push(m[1]);
+    last = m.index + m[0].length;
+  }
+  source += literal(pattern.slice(last));
+  let entry = null;
+  try {
+    entry = { regex: new RegExp(`^${source}$`, "i"), fields };
+  } catch {
+    // Anything the escaping above missed: the rule never matches
+  }
+  compiled.set(pattern, entry);
+  return entry;
+}
+
+/**
+ * @param {string} pattern
+ * @returns {boolean} false when the pattern cannot be used (empty or malformed)
+ */
+export function isValidPattern(pattern) {
+  return typeof pattern === "string" && pattern.trim() !== "" && compilePattern(pattern.trim()) !== null;
+}
+
+/**
+ * Operation for one layer.
+ * @param {string} layerName
+ * @param {Array} rules - profile rules, first match wins
+ * @param {string} [units] - drawing units; rule values are converted into them
+ * @returns {{ operation:string, diameter:number|null, depth:number|null, rule:object|null }}
+ */
+export function matchLayerOperation(layerName, rules, units = "") {
+  const name = layerName || "0";
+  for (const rule of rules || []) {
+    if (!isValidPattern(rule?.pattern) || !OPERATIONS.includes(rule.operation)) continue;
+    const { regex, fields } = compilePattern(rule.pattern.trim());
+    const m = regex.exec(name);
+    if (!m) continue;
+
+    const values = { diameter: rule.diameter ?? null, depth: rule.depth ?? null };
+    fields.forEach((field, i) => {
+      values[field] = parseFloat(m[i + 1].replace(",", "."));
+    });
+    // Values in a known unit other than the drawing's are converted; unknown units are kept as written
+    const scale = (rule.unit && units && unitScale(rule.unit, units)) || 1;
+    const convert = (v) => (Number.isFinite(v) && v > 0 ? v * scale : null);
+    return { operation: rule.operation, diameter: convert(values.diameter), depth: convert(values.depth), rule };
+  }
+  return { operation: "perimeter", diameter: null, depth: null, rule: null };
+}
@@ -0,0 +1,158 @@
+/**
+ * src/export/mozaikExport.js
+ * Build Mozaik JSON parts from closed contours.
+ *
+ * Closed contours are nested (see geom/nesting.js): every outer contour becomes a
+ * part and the contours directly inside it become its inner loops:
+ * - holes:   circular inner loops (two half-circle bulges), with center and diameter
+ * - cutouts: every other inner loop (sink openings, notches, ...)
+ * Outer perimeters are written CCW, inner loops CW. Bulges are kept; zero bulges are omitted.
+ * With `rezero`, each part is moved so its perimeter's (arc-aware) bounds start at 0,0.
+ *
+ * With `operationOf` (layer -> operation, see layerOperations.js) only perimeter-layer
+ * contours are nested; ignored layers are dropped and machining layers become operations
+ * of the smallest part around them:
+ * - drill:  circles become drill points { x, y, diameter, depth } (the rule's diameter, else the circle's)
+ * - pocket: closed loops { depth, closed:true, vertices } (CW)
+ * - groove: open or closed paths { depth, closed, vertices }
+ * A depth or diameter carried by the polyline itself (imported Mozaik JSON) wins over the rule's.
+ * Geometry that cannot be used, or lies outside every part, is reported through `onSkip`.
+ *
+ * The part layout is defined (and validated) in mozaikSchema.js.
+ */
+
+import { nestParts, orientLoop } from "../geom/nesting.js";
+import { polylineBounds } from "../geom/bounds.js";
+import { pointOnBulgeSegment } from "../geom/bulge.js";
+import { isClosed } from "../geom/closedness.js";
+import { pointInPolyline } from "../geom/labels.js";
+
+function exportVertices(vertices) {
+  return vertices.map((v) => {
+    const out = { x: v.x, y: v.y };
+    if (typeof v.bulge === "number" && !Number.isNaN(v.bulge) && v.bulge !== 0) {
+      out.bulge = v.bulge;
+    }
+    return out;
+  });
+}
+
+// Drop a snapped duplicate closing vertex (last == first)
+function loopVertices(vertices, tol) {
+  const n = vertices.length;
+  if (n > 2 && Math.hypot(vertices[0].x - vertices[n - 1].x, vertices[0].y - vertices[n - 1].y) <= tol) {
+    return vertices.slice(0, -1);
+  }
+  return vertices;
+}
+
+// Circle as written by CIRCLE import: two vertices, each a half circle turning the same way
+function circleOf(vertices) {
+  if (vertices.length !== 2) return null;
+  const [a, b] = vertices;
+  const half = (v) => Math.abs(Math.abs(v.bulge || 0) - 1) <= 1e-6;
+  if (!half(a) || !half(b) || Math.sign(a.bulge) !== Math.sign(b.bulge)) return null;
+  return {
+    center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+    diameter: Math.hypot(b.x - a.x, b.y - a.y),
+  };
+}
+
+// Shift a part's loops, hole centers and operations so its perimeter starts at the origin
+function rezeroPart(part) {
+  const b = polylineBounds(part.perimeter);
+  if (!b) return;
+  const shift = (v) => {
+    v.x -= b.minX;
+    v.y -= b.minY;
+  };
+  part.perimeter.vertices.forEach(shift);
+  for (const loop of [...part.cutouts, ...part.holes]) loop.vertices.forEach(shift);
+  part.holes.forEach((h) => shift(h.center));
+  for (const op of part.operations || []) {
+    if (op.vertices) op.vertices.forEach(shift);
+    else shift(op);
+  }
+}
+
+/**
+ * One machining operation from a polyline on a drill/pocket/groove layer.
+ * @returns {{ op:object, at:{x:number,y:number} } | { reason:string }} `at` decides the owning part
+ */
+function toOperation(poly, { operation, ...rule }, tol) {
+  const diameter = poly.diameter ?? rule.diameter;
+  const depth = poly.depth ?? rule.depth;
+  const closed = !!poly.closed || isClosed(poly.vertices, tol);
+  const vertices = closed ? loopVertices(poly.vertices, tol) : poly.vertices;
+  const withDepth = (op) => (depth != null ? { ...op, depth } : op);
+  const base = { type: operation, layer: poly.layer || "0" };
+
+  if (operation === "drill") {
+    const circle = closed ? circleOf(vertices) : null;
+    if (!circle) return { reason: "is not a circle" };
+    const op = withDepth({ ...base, x: circle.center.x, y: circle.center.y, diameter: diameter ?? circle.diameter });
+    return { op, at: circle.center };
+  }
+  if (operation === "pocket" && !closed) return { reason: "is not closed" };
+  if (vertices.length < 2) return { reason: "has fewer than 2 vertices" };
+
+  const out = operation === "pocket" ? orientLoop(vertices, false) : vertices;
+  const op = withDepth({ ...base, closed, vertices: exportVertices(out) });
+  // A point on the first segment, not a vertex (ends often touch the perimeter)
+  return { op, at: pointOnBulgeSegment(out[0], out[1], out[0].bulge || 0, 0.5) };
+}
+
+/**
+ * @param {Array} polylines
+ * @param {Iterable<number>} closedIndices - closed contours to export
+ * @param {{ tolerance?:number, rezero?:boolean, nameOf?:(poly:object, k:number) => string,
+ *   operationOf?:(poly:object) => { operation:string, diameter:number|null, depth:number|null },
+ *   onSkip?:(skip:{ index:number, layer:string, reason:string }) => void }} [opts]
+ *   nameOf names the k-th part (0-based, largest first)
+ * @returns {Array<object>} parts at SCHEMA_VERSION, largest first
+ */
+export function buildParts(polylines, closedIndices, opts = {}) {
+  const tol = opts.tolerance ?? 1e-6;
+  const nameOf = opts.nameOf || ((poly, k) => poly.partName || `part-${k + 1}`);
+  const onSkip = opts.onSkip || (() => {});
+  const operationOf = opts.operationOf || (() => ({ operation: "perimeter" }));
+
+  const contours = Array.from(closedIndices || []).filter((idx) => operationOf(polylines[idx]).operation === "perimeter");
+  const nested = nestParts(polylines, contours);
+  const parts = nested.map(({ outer, inners }, k) => {
+    const poly = polylines[outer];
+    const part = {
+      name: nameOf(poly, k),
+      perimeter: { closed: true, vertices: exportVertices(orientLoop(loopVertices(poly.vertices, tol), true)) },
+      cutouts: [],
+      holes: [],
+      operations: [],
+    };
+    for (const idx of inners) {
+      const vertices = exportVertices(orientLoop(loopVertices(polylines[idx].vertices, tol), false));
+      const circle = circleOf(vertices);
+      if (circle) part.holes.push({ closed: true, ...circle, vertices });
+      else part.cutouts.push({ closed: true, vertices });
+    }
+    return part;
+  });
+
+  polylines.forEach((poly, index) => {
+    const match = operationOf(poly);
+    if (match.operation === "perimeter" || match.operation === "ignore" || (poly.vertices?.length || 0) < 2) return;
+    const layer = poly.layer || "0";
+    const built = toOperation(poly, match, tol);
+    if (!built.op) {
+      onSkip({ index, layer, reason: `${match.operation} ${built.reason}` });
+      return;
+    }
+    // Parts are largest first, so scanning backwards meets the smallest container first
+    let k = nested.length - 1;
+    while (k >= 0 && !pointInPolyline(built.at, polylines[nested[k].outer])) k--;
+    if (k < 0) onSkip({ index, layer, reason: `${match.operation} is outside every part` });
+    else parts[k].operations.push(built.op);
+  });
+
+  if (opts.rezero) parts.forEach(rezeroPart);
+  return parts;
+}
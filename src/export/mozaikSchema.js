@@ -0,0 +1,192 @@
+/**
+ * src/export/mozaikSchema.js
+ * Mozaik JSON schema: current version, validator and upgrades from older versions.
+ *
+ * Document (v0.3):
+ * {
+ *   schemaVersion: "v0.3",
+ *   meta: { source, exportedAt },
+ *   units: "in" | "mm" | ...,
+ *   parts: [{
+ *     name,                                        // non-empty, unique across parts
+ *     perimeter: { closed:true, vertices },        // CCW
+ *     cutouts:   [{ closed:true, vertices }],      // CW
+ *     holes:     [{ closed:true, center:{x,y}, diameter, vertices }],
+ *     operations: [                                // machining, from layer rules
+ *       { type:"drill",  layer?, x, y, diameter, depth? }
+ *       { type:"pocket", layer?, depth?, closed:true, vertices }   // CW
+ *       { type:"groove", layer?, depth?, closed, vertices }        // open: 2+ vertices
+ *     ],
+ *   }]
+ * }
+ * vertices: [{ x, y, bulge? }] with finite numbers; a loop needs 3+ vertices, or 2 with bulges.
+ * diameter and depth are positive, in the document's units.
+ *
+ * History:
+ * - v0.1: one perimeter per part, no inner loops, orientation not fixed
+ * - v0.2: cutouts and holes; perimeters CCW, inner loops CW
+ * - v0.3: machining operations per part
+ */
+
+import { isKnownUnit } from "../units/units.js";
+import { orientLoop } from "../geom/nesting.js";
+
+export const SCHEMA_VERSION = "v0.3";
+
+// Upgrade steps: version -> function returning the document at the next version
+const UPGRADES = {
+  "v0.1": (doc) => ({
+    ...doc,
+    schemaVersion: "v0.2",
+    parts: (doc.parts || []).map((part) => ({
+      ...part,
+      perimeter: part.perimeter?.vertices
+        ? { ...part.perimeter, vertices: orientLoop(part.perimeter.vertices, true) }
+        : part.perimeter,
+      cutouts: [],
+      holes: [],
+    })),
+  }),
+  "v0.2": (doc) => ({
+    ...doc,
+    schemaVersion: "v0.3",
+    parts: (doc.parts || []).map((part) => ({ ...part, operations: [] })),
+  }),
+};
+
+export const SUPPORTED_VERSIONS = [...Object.keys(UPGRADES), SCHEMA_VERSION];
+
+/**
+ * Bring a parsed document up to SCHEMA_VERSION. The input is not mutated.
+ * @param {object} doc
+ * @returns {{ doc:object, from:string, steps:Array<string> }} steps lists the versions passed through
+ * @throws {Error} for a missing or unsupported schemaVersion
+ */
+export function upgradeMozaikJson(doc) {
+  const from = doc?.schemaVersion;
+  if (!SUPPORTED_VERSIONS.includes(from)) {
+    throw new Error(`Unsupported schemaVersion ${JSON.stringify(from)} (supported: ${SUPPORTED_VERSIONS.join(", ")})`);
+  }
+  let current = doc;
+  const steps = [];
+  while (current.schemaVersion !== SCHEMA_VERSION) {
+    steps.push(current.schemaVersion);
+    current = UPGRADES[current.schemaVersion](current);
+  }
+  return { doc: current, from, steps };
+}
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+const OPERATION_TYPES = ["drill", "pocket", "groove"];
+
+// what: "perimeter" | "cutout" | "hole" | "pocket" | "groove" (for messages); open paths only need 2 vertices
+function checkLoop(loop, path, what, errors, open = false) {
+  if (!loop || typeof loop !== "object") {
+    errors.push({ path, message: `${what} is missing` });
+    return;
+  }
+  if (open) {
+    if (typeof loop.closed !== "boolean") errors.push({ path: `${path}.closed`, message: "closed must be true or false" });
+  } else if (loop.closed !== true) {
+    errors.push({ path: `${path}.closed`, message: `${what} is not closed` });
+  }
+  const verts = loop.vertices;
+  if (!Array.isArray(verts)) {
+    errors.push({ path: `${path}.vertices`, message: "vertices must be an array" });
+    return;
+  }
+  const bulged = verts.some((v) => v?.bulge);
+  if (open && loop.closed === false) {
+    if (verts.length < 2) errors.push({ path: `${path}.vertices`, message: `only ${verts.length} vertex(es); a path needs 2` });
+  } else if (verts.length < 3 && !(verts.length === 2 && bulged)) {
+    errors.push({ path: `${path}.vertices`, message: `only ${verts.length} vertex(es); a closed loop needs 3, or 2 with arcs` });
+  }
+  verts.forEach((v, i) => {
+    const vp = `${path}.vertices[${i}]`;
+    if (!v || typeof v !== "object") {
+      errors.push({ path: vp, message: "vertex must be an object" });
+      return;
+    }
+    if (!isNum(v.x)) errors.push({ path: `${vp}.x`, message: `x is ${Number.isNaN(v.x) ? "NaN" : JSON.stringify(v.x)}, expected a finite number` });
+    if (!isNum(v.y)) errors.push({ path: `${vp}.y`, message: `y is ${Number.isNaN(v.y) ? "NaN" : JSON.stringify(v.y)}, expected a finite number` });
+    if (v.bulge !== undefined && !isNum(v.bulge)) errors.push({ path: `${vp}.bulge`, message: "bulge must be a finite number" });
+  });
+}
+
+function checkOperation(op, path, errors) {
+  if (!op || typeof op !== "object") {
+    errors.push({ path, message: "operation must be an object" });
+    return;
+  }
+  if (!OPERATION_TYPES.includes(op.type)) {
+    errors.push({ path: `${path}.type`, message: `unknown operation type ${JSON.stringify(op.type)} (expected ${OPERATION_TYPES.join(", ")})` });
+    return;
+  }
+  if (op.layer !== undefined && typeof op.layer !== "string") errors.push({ path: `${path}.layer`, message: "layer must be a string" });
+  if (op.depth !== undefined && (!isNum(op.depth) || op.depth <= 0)) {
+    errors.push({ path: `${path}.depth`, message: "depth must be a positive number" });
+  }
+  if (op.type === "drill") {
+    if (!isNum(op.x) || !isNum(op.y)) errors.push({ path, message: "drill must have finite x and y" });
+    if (!isNum(op.diameter) || op.diameter <= 0) errors.push({ path: `${path}.diameter`, message: "diameter must be a positive number" });
+  } else {
+    checkLoop(op, path, op.type, errors, op.type === "groove");
+  }
+}
+
+/**
+ * Validate a document at SCHEMA_VERSION.
+ * @param {object} doc
+ * @returns {{ valid:boolean, errors:Array<{ path:string, message:string }> }}
+ */
+export function validateMozaikJson(doc) {
+  const errors = [];
+  if (!doc || typeof doc !== "object") {
+    return { valid: false, errors: [{ path: "", message: "document must be an object" }] };
+  }
+  if (doc.schemaVersion !== SCHEMA_VERSION) {
+    errors.push({ path: "schemaVersion", message: `expected "${SCHEMA_VERSION}", got ${JSON.stringify(doc.schemaVersion)}` });
+  }
+  if (typeof doc.units !== "string" || !isKnownUnit(doc.units)) {
+    errors.push({ path: "units", message: `unknown units ${JSON.stringify(doc.units)}` });
+  }
+  if (!Array.isArray(doc.parts) || doc.parts.length === 0) {
+    errors.push({ path: "parts", message: "at least one part is required" });
+    return { valid: false, errors };
+  }
+
+  const names = new Map(); // lower-cased name -> first part index
+  doc.parts.forEach((part, k) => {
+    const pp = `parts[${k}]`;
+    if (!part || typeof part !== "object") {
+      errors.push({ path: pp, message: "part must be an object" });
+      return;
+    }
+    const name = typeof part.name === "string" ? part.name.trim() : "";
+    if (!name) {
+      errors.push({ path: `${pp}.name`, message: "name is empty" });
+    } else if (names.has(name.toLowerCase())) {
+      errors.push({ path: `${pp}.name`, message: `duplicate part name "${name}" (same as parts[${names.get(name.toLowerCase())}])` });
+    } else {
+      names.set(name.toLowerCase(), k);
+    }
+
+    checkLoop(part.perimeter, `${pp}.perimeter`, "perimeter", errors);
+    for (const key of ["cutouts", "holes", "operations"]) {
+      if (!Array.isArray(part[key])) {
+        errors.push({ path: `${pp}.${key}`, message: `${key} must be an array` });
+        continue;
+      }
+      if (key === "operations") part[key].forEach((op, i) => checkOperation(op, `${pp}.${key}[${i}]`, errors));
+      else part[key].forEach((loop, i) => checkLoop(loop, `${pp}.${key}[${i}]`, key.slice(0, -1), errors));
+    }
+    (Array.isArray(part.holes) ? part.holes : []).forEach((hole, i) => {
+      const hp = `${pp}.holes[${i}]`;
+      if (!isNum(hole?.center?.x) || !isNum(hole?.center?.y)) errors.push({ path: `${hp}.center`, message: "center must have finite x and y" });
+      if (!isNum(hole?.diameter) || hole.diameter <= 0) errors.push({ path: `${hp}.diameter`, message: "diameter must be a positive number" });
+    });
+  });
+
+  return { valid: errors.length === 0, errors };
+}
@@ -0,0 +1,54 @@
+/**
+ * src/export/partFiles.js
+ * Part names and per-part files for the Mozaik JSON export.
+ *
+ * - nameParts(parts, baseName): fill in missing names and make every name unique
+ *   (case-insensitive, as validateMozaikJson compares them)
+ * - toPartFiles(payload): one JSON file per part, same envelope as the combined
+ *   export; file names made file-safe and unique
+ */
+
+/**
+ * Names already given (labels, imported parts) are kept on their first use. Repeats
+ * become "name (2)", "name (3)", ... and unnamed parts "baseName-k" (just baseName
+ * for a single part); a generated name never takes one that is already used.
+ * @param {Array<{ name?:string }>} parts - renamed in place
+ * @param {string} baseName
+ * @returns {Array} the same parts
+ */
+export function nameParts(parts, baseName) {
+  const taken = new Set();
+  const key = (name) => name.trim().toLowerCase();
+  const rename = [];
+  parts.forEach((part, k) => {
+    const name = typeof part.name === "string" ? part.name.trim() : "";
+    if (name && !taken.has(key(name))) {
+      part.name = name;
+      taken.add(key(name));
+    } else {
+      rename.push({ part, base: name || (parts.length > 1 ? `${baseName}-${k + 1}` : baseName), repeat: !!name });
+    }
+  });
+  for (const { part, base, repeat } of rename) {
+    let name = base;
+    for (let n = 2; taken.has(key(name)); n++) name = repeat ? `${base} (${n})` : `${base}-${n}`;
+    part.name = name;
+    taken.add(key(name));
+  }
+  return parts;
+}
+
+/**
+ * @param {{ parts:Array<{ name:string }> }} payload - a Mozaik JSON document
+ * @returns {Array<{ name:string, data:string }>} input for createZip (zipStore.js)
+ */
+export function toPartFiles(payload) {
+  const used = new Set();
+  return payload.parts.map((part) => {
+    const base = part.name.replace(/[\\/:*?"<>|]+/g, "_").trim() || "part";
+    let fileName = `${base}.json`;
+    for (let n = 2; used.has(fileName.toLowerCase()); n++) fileName = `${base}-${n}.json`;
+    used.add(fileName.toLowerCase());
+    return { name: fileName, data: JSON.stringify({ ...payload, parts: [part] }, null, 2) };
+  });
+}
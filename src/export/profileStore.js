@@ -0,0 +1,75 @@
+/**
+ * src/export/profileStore.js
+ * Saved layer-to-operation profiles (see layerOperations.js), kept in localStorage.
+ *
+ * Stored value: { active: name, profiles: [{ name, rules }] }
+ * - the Default profile is seeded when nothing usable is stored
+ * - rules are normalised on load, so hand-edited or older entries cannot break the export
+ *
+ * API:
+ * const store = loadProfiles();   // { active, profiles }
+ * saveProfiles(store);            // false when storage is unavailable (private mode, quota)
+ */
+
+import { DEFAULT_PROFILE, OPERATIONS } from "./layerOperations.js";
+
+const STORAGE_KEY = "dxf-convert.machiningProfiles";
+
+const positive = (v) => (typeof v === "number" && Number.isFinite(v) && v > 0 ? v : undefined);
+
+export function normalizeRule(rule) {
+  const out = {
+    pattern: typeof rule?.pattern === "string" ? rule.pattern : "",
+    operation: OPERATIONS.includes(rule?.operation) ? rule.operation : "perimeter",
+  };
+  const diameter = positive(rule?.diameter);
+  const depth = positive(rule?.depth);
+  if (diameter !== undefined) out.diameter = diameter;
+  if (depth !== undefined) out.depth = depth;
+  if (typeof rule?.unit === "string" && rule.unit) out.unit = rule.unit;
+  return out;
+}
+
+function normalizeProfile(profile) {
+  const name = typeof profile?.name === "string" ? profile.name.trim() : "";
+  if (!name) return null;
+  return { name, rules: (Array.isArray(profile.rules) ? profile.rules : []).map(normalizeRule) };
+}
+
+function defaultStore() {
+  const profile = normalizeProfile(DEFAULT_PROFILE);
+  return { active: profile.name, profiles: [profile] };
+}
+
+/**
+ * @param {Storage} [storage]
+ * @returns {{ active:string, profiles:Array<{ name:string, rules:Array }> }}
+ */
+export function loadProfiles(storage = globalThis.localStorage) {
+  let raw = null;
+  try {
+    raw = JSON.parse(storage?.getItem(STORAGE_KEY) || "null");
+  } catch (err) {
+    console.warn("[PROFILES] Ignoring unreadable saved profiles:", err.message);
+  }
+  const seen = new Set();
+  const profiles = (Array.isArray(raw?.profiles) ? raw.profiles : [])
+    .map(normalizeProfile)
+    .filter((p) => p && !seen.has(p.name.toLowerCase()) && seen.add(p.name.toLowerCase()));
+  if (!profiles.length) return defaultStore();
+  const active = profiles.some((p) => p.name === raw.active) ? raw.active : profiles[0].name;
+  return { active, profiles };
+}
+
+/**
+ * @returns {boolean} whether the profiles were written
+ */
+export function saveProfiles(store, storage = globalThis.localStorage) {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify({ active: store.active, profiles: store.profiles }));
+    return true;
+  } catch (err) {
+    console.warn("[PROFILES] Could not save profiles:", err.message);
+    return false;
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * src/geom/arcFit.js
+ * Approximate a parametric 2D curve with bulge arcs within a chord tolerance.
+ *
+ * Used by curve entities (ELLIPSE, SPLINE) that have no exact bulge form.
+ * Each span [t0, t1] is replaced by the circular arc through its start, middle
+ * and end points. The span is split in half while the curve deviates from
+ * that arc by more than the tolerance (checked at the quarter points).
+ *
+ * Output vertices follow the polyline convention: the bulge on vertex i
+ * describes the segment i -> i+1; the last vertex carries no bulge.
+ */
+
+import { arcFromBulge, bulgeFromThreePoints } from "./bulge.js";
+
+const MAX_DEPTH = 16; // safety cap: at most 2^16 arcs per initial span
+
+/**
+ * Fit bulge arcs to curve(t) for t in [t0, t1].
+ * @param {(t:number) => {x:number,y:number}} curve
+ * @param {number} t0
+ * @param {number} t1
+ * @param {{ tolerance?: number, minSpans?: number }} [opts]
+ *   tolerance - max deviation between curve and arcs (model units)
+ *   minSpans  - initial uniform subdivisions before adaptive splitting
+ * @returns {Array<{x:number,y:number,bulge?:number}>}
+ */
+export function fitArcsToCurve(curve, t0, t1, opts = {}) {
+  const tol = Math.max(opts.tolerance || 0.001, 1e-9);
+  const minSpans = Math.max(1, Math.floor(opts.minSpans || 4));
+
+  const out = [];
+  const step = (t1 - t0) / minSpans;
+  for (let k = 0; k < minSpans; k++) {
+    const a = t0 + step * k;
+    const b = k === minSpans - 1 ? t1 : a + step;
+    fitSpan(curve, a, b, tol, 0, out);
+  }
+
+  const end = curve(t1);
+  out.push({ x: end.x, y: end.y });
+  return out;
+}
+
+function fitSpan(curve, a, b, tol, depth, out) {
+  const p0 = curve(a);
+  const p1 = curve(b);
+  const pm = curve((a + b) / 2);
+  const bulge = bulgeFromThreePoints(p0, pm, p1);
+
+  if (depth < MAX_DEPTH) {
+    const q1 = curve(a + (b - a) / 4);
+    const q3 = curve(a + (3 * (b - a)) / 4);
+    const err = Math.max(
+      deviationFromSegment(q1, p0, p1, bulge),
+      deviationFromSegment(q3, p0, p1, bulge)
+    );
+    if (err > tol) {
+      const mid = (a + b) / 2;
+      fitSpan(curve, a, mid, tol, depth + 1, out);
+      fitSpan(curve, mid, b, tol, depth + 1, out);
+      return;
+    }
+  }
+
+  const v = { x: p0.x, y: p0.y };
+  if (bulge !== 0) v.bulge = bulge;
+  out.push(v);
+}
+
+// Distance from p to the arc (or straight chord) described by p0, p1 and bulge
+function deviationFromSegment(p, p0, p1, bulge) {
+  const arc = arcFromBulge(p0, p1, bulge);
+  if (arc) {
+    return Math.abs(Math.hypot(p.x - arc.cx, p.y - arc.cy) - arc.r);
+  }
+  const dx = p1.x - p0.x;
+  const dy = p1.y - p0.y;
+  const len = Math.hypot(dx, dy);
+  if (len === 0) return Math.hypot(p.x - p0.x, p.y - p0.y);
+  return Math.abs((p.x - p0.x) * dy - (p.y - p0.y) * dx) / len;
+}
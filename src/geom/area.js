@@ -0,0 +1,30 @@
+/**
+ * src/geom/area.js
+ * Signed area of a closed bulge polyline.
+ *
+ * Shoelace area of the vertex polygon plus the circular segment of every bulge
+ * arc (a two-vertex circle therefore has its full area). Positive = CCW.
+ * A duplicated closing vertex adds a zero-length segment and does not change the result.
+ */
+
+/**
+ * @param {Array<{x:number,y:number,bulge?:number}>} vertices - treated as closed
+ * @returns {number}
+ */
+export function signedArea(vertices) {
+  let a = 0;
+  const n = vertices?.length || 0;
+  for (let k = 0; k < n; k++) {
+    const p = vertices[k];
+    const q = vertices[(k + 1) % n];
+    a += (p.x * q.y - q.x * p.y) / 2;
+    if (p.bulge) {
+      const theta = 4 * Math.atan(p.bulge);
+      const c = Math.hypot(q.x - p.x, q.y - p.y);
+      if (c === 0) continue;
+      const r = c / (2 * Math.sin(Math.abs(theta) / 2));
+      a += Math.sign(theta) * (r * r / 2) * (Math.abs(theta) - Math.sin(Math.abs(theta)));
+    }
+  }
+  return a;
+}
@@ -0,0 +1,136 @@
+/**
+ * src/geom/autoJoin.js
+ * Endpoint joining of polylines (pure functions, no DOM or app state).
+ *
+ * - joinTwoPolylines(poly1, poly2, tol): connect two polylines whose ends meet
+ * - autoJoinPolylines(polylines, tol, isEditable): join every chain of touching ends
+ *   in a single pass over a spatial-hash endpoint graph
+ * - sharedProperties(sources, layer): layer and partName every source agrees on
+ *
+ * Runs on the main thread (manual join) and inside the geometry worker (auto-join).
+ * Reversal and concatenation use segments.js so bulges stay on their own arc.
+ */
+
+import { reverseVertices, concatVertices } from "./segments.js";
+import { buildEndpointGraph, extractChains } from "./endpointGraph.js";
+
+// Distance between two points
+function distance(p1, p2) {
+  const dx = p1.x - p2.x;
+  const dy = p1.y - p2.y;
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+/**
+ * Properties a polyline built from several sources keeps: the layer and partName
+ * when every source has the same one. Sources on different layers get `layer`.
+ * @param {Array<object>} sources
+ * @param {string} layer - fallback layer ("JOINED", "PERIMETER")
+ * @returns {{ layer:string, partName?:string }}
+ */
+export function sharedProperties(sources, layer) {
+  const same = (key) => (sources.every((poly) => poly?.[key] === sources[0]?.[key]) ? sources[0]?.[key] : undefined);
+  const out = { layer: same("layer") || layer };
+  const partName = same("partName");
+  if (partName) out.partName = partName;
+  return out;
+}
+
+// Join two polylines if their endpoints are close
+export function joinTwoPolylines(poly1, poly2, tolerance) {
+  const p1Start = poly1.vertices[0];
+  const p1End = poly1.vertices[poly1.vertices.length - 1];
+  const p2Start = poly2.vertices[0];
+  const p2End = poly2.vertices[poly2.vertices.length - 1];
+  
+  console.log("[JOIN-TWO] Checking distances:");
+  console.log("  p1End to p2Start:", distance(p1End, p2Start).toFixed(6));
+  console.log("  p1End to p2End:", distance(p1End, p2End).toFixed(6));
+  console.log("  p1Start to p2Start:", distance(p1Start, p2Start).toFixed(6));
+  console.log("  p1Start to p2End:", distance(p1Start, p2End).toFixed(6));
+  console.log("  Tolerance:", tolerance);
+  
+  // Try different connection combinations
+  if (distance(p1End, p2Start) <= tolerance) {
+    // Connect p1End to p2Start: p1 + p2[1...]
+    const result = concatVertices(poly1.vertices, poly2.vertices);
+    console.log("[JOIN-TWO] Connected p1End to p2Start");
+    return { vertices: result, closed: false, ...sharedProperties([poly1, poly2], "JOINED") };
+  }
+  
+  if (distance(p1End, p2End) <= tolerance) {
+    // Connect p1End to p2End: p1 + p2.reverse()[1...]
+    const result = concatVertices(poly1.vertices, reverseVertices(poly2.vertices));
+    console.log("[JOIN-TWO] Connected p1End to p2End (reversed p2)");
+    return { vertices: result, closed: false, ...sharedProperties([poly1, poly2], "JOINED") };
+  }
+  
+  if (distance(p1Start, p2Start) <= tolerance) {
+    // Connect p1Start to p2Start: p1.reverse() + p2[1...]
+    const result = concatVertices(reverseVertices(poly1.vertices), poly2.vertices);
+    console.log("[JOIN-TWO] Connected p1Start to p2Start (reversed p1)");
+    return { vertices: result, closed: false, ...sharedProperties([poly1, poly2], "JOINED") };
+  }
+  
+  if (distance(p1Start, p2End) <= tolerance) {
+    // Connect p1Start to p2End: p2 + p1[1...]
+    const result = concatVertices(poly2.vertices, poly1.vertices);
+    console.log("[JOIN-TWO] Connected p1Start to p2End");
+    return { vertices: result, closed: false, ...sharedProperties([poly1, poly2], "JOINED") };
+  }
+  
+  console.log("[JOIN-TWO] No connection found within tolerance");
+  return null;
+}
+
+/**
+ * Auto-join all polylines in one pass over an endpoint graph (see endpointGraph.js).
+ * Open, editable polylines whose ends meet one-to-one are merged into chains;
+ * ends meeting at 3+ endpoints are left open and reported as junctions.
+ * @param {Array<{layer:string, closed:boolean, vertices:Array<{x,y,bulge?}>}>} polylines
+ * @param {number} tol - joining tolerance in model units
+ * @param {(poly:object) => boolean} [isEditable] - polylines failing this are left untouched
+ * @returns {{ polylines:Array, joinedAny:boolean, joins:number,
+ *             junctions:Array<{x:number,y:number,count:number}> }}
+ */
+export function autoJoinPolylines(polylines, tol, isEditable = () => true) {
+  const open = polylines.filter((poly) => poly?.vertices?.length >= 2 && !poly.closed && isEditable(poly));
+  console.log("[AUTO-JOIN] Starting with", polylines.length, "polylines,", open.length, "open, tolerance:", tol);
+  
+  const graph = buildEndpointGraph(open, tol);
+  const { chains, junctions } = extractChains(graph, open.length);
+  
+  const consumed = new Set();
+  const joined = [];
+  let joins = 0;
+  for (const chain of chains) {
+    if (chain.length === 1) continue;
+    // Appended piece by piece (linear in the chain length); like concatVertices, the joint
+    // keeps the previous piece's point and takes the next piece's bulge
+    const vertices = [];
+    const sources = chain.map(({ poly }) => open[poly]);
+    for (const { poly, reversed } of chain) {
+      const verts = reversed ? reverseVertices(open[poly].vertices) : open[poly].vertices;
+      consumed.add(open[poly]);
+      const joint = vertices.length ? vertices.pop() : null;
+      for (let k = 0; k < verts.length; k++) {
+        vertices.push(k === 0 && joint ? { ...verts[0], x: joint.x, y: joint.y } : { ...verts[k] });
+      }
+    }
+    joined.push({ vertices, closed: false, ...sharedProperties(sources, "JOINED") });
+    joins += chain.length - 1;
+  }
+  
+  if (junctions.length) {
+    console.log("[AUTO-JOIN] Ambiguous junctions (3+ endpoints) left open:", junctions);
+  }
+  console.log("[AUTO-JOIN] Joined", joins, "connections into", joined.length, "chains");
+  
+  return {
+    // Untouched polylines keep their order; joined chains are appended
+    polylines: [...polylines.filter((poly) => !consumed.has(poly)), ...joined],
+    joinedAny: joins > 0,
+    joins,
+    junctions,
+  };
+}
@@ -0,0 +1,68 @@
+/**
+ * src/geom/bounds.js
+ * Bulge-aware bounding boxes.
+ *
+ * A bulge arc can reach past both of its end vertices (a semicircular end, a
+ * round-top door), so bounds include every axis extremum (0°, 90°, 180°, 270°)
+ * that lies within the arc's sweep.
+ *
+ * Bounds objects are { minX, minY, maxX, maxY }; empty input gives null.
+ */
+
+import { arcFromBulge } from "./bulge.js";
+
+const QUADRANTS = [0, Math.PI / 2, Math.PI, (3 * Math.PI) / 2];
+
+function extend(b, x, y) {
+  if (x < b.minX) b.minX = x;
+  if (x > b.maxX) b.maxX = x;
+  if (y < b.minY) b.minY = y;
+  if (y > b.maxY) b.maxY = y;
+}
+
+// Grow b by the axis extrema of the arc from v1 to v2 (endpoints are added by the caller)
+function extendArc(b, v1, v2) {
+  const arc = arcFromBulge(v1, v2, v1.bulge);
+  if (!arc) return;
+  const span = Math.abs(arc.sweep);
+  for (const q of QUADRANTS) {
+    let rel = (q - arc.startAngle) * Math.sign(arc.sweep);
+    rel = ((rel % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+    if (rel <= span) extend(b, arc.cx + arc.r * Math.cos(q), arc.cy + arc.r * Math.sin(q));
+  }
+}
+
+/**
+ * Add one polyline to a running bounds accumulator.
+ * @param {{minX:number,minY:number,maxX:number,maxY:number}} b - mutated
+ * @param {{ closed?:boolean, vertices:Array<{x:number,y:number,bulge?:number}> }} poly
+ */
+function extendPolyline(b, poly) {
+  const verts = poly?.vertices || [];
+  for (let i = 0; i < verts.length; i++) {
+    const v = verts[i];
+    extend(b, v.x, v.y);
+    if (!v.bulge) continue;
+    if (i + 1 < verts.length) extendArc(b, v, verts[i + 1]);
+    else if (poly.closed && verts.length >= 2) extendArc(b, v, verts[0]); // closing arc
+  }
+}
+
+/**
+ * Bounds of a single polyline.
+ * @returns {{minX:number,minY:number,maxX:number,maxY:number} | null}
+ */
+export function polylineBounds(poly) {
+  return polylinesBounds([poly]);
+}
+
+/**
+ * Combined bounds of several polylines.
+ * @param {Array} polylines
+ * @returns {{minX:number,minY:number,maxX:number,maxY:number} | null}
+ */
+export function polylinesBounds(polylines) {
+  const b = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+  for (const poly of polylines || []) extendPolyline(b, poly);
+  return Number.isFinite(b.minX) ? b : null;
+}
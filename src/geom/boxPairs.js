@@ -0,0 +1,28 @@
+/**
+ * src/geom/boxPairs.js
+ * Broad phase for segment-vs-segment tests: pairs of overlapping bounding boxes.
+ *
+ * Sort and sweep on x, then check y; ~O(n log n + pairs) instead of testing every pair.
+ */
+
+/**
+ * @param {Array<{minX:number,minY:number,maxX:number,maxY:number}>} boxes
+ * @returns {Array<[number, number]>} index pairs [i, j] with i < j, in no particular order
+ */
+export function overlappingBoxPairs(boxes) {
+  const order = boxes.map((_, i) => i).sort((p, q) => boxes[p].minX - boxes[q].minX);
+  const pairs = [];
+  const active = [];
+  for (const i of order) {
+    const box = boxes[i];
+    for (let k = active.length - 1; k >= 0; k--) {
+      if (boxes[active[k]].maxX < box.minX) active.splice(k, 1);
+    }
+    for (const j of active) {
+      const other = boxes[j];
+      if (other.minY <= box.maxY && box.minY <= other.maxY) pairs.push(j < i ? [j, i] : [i, j]);
+    }
+    active.push(i);
+  }
+  return pairs;
+}
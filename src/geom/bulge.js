@@ -0,0 +1,79 @@
+/**
+ * src/geom/bulge.js
+ * Bulge (DXF arc segment) helpers.
+ *
+ * A vertex bulge describes the arc from that vertex to the next one:
+ * - bulge = tan(includedAngle / 4)
+ * - bulge > 0 => counter-clockwise arc, bulge < 0 => clockwise, 0/undefined => straight
+ * - |bulge| = 1 is a semicircle
+ */
+
+/**
+ * Describe the arc between p0 and p1 for a given bulge.
+ * @param {{x:number,y:number}} p0
+ * @param {{x:number,y:number}} p1
+ * @param {number} bulge
+ * @returns {{ cx:number, cy:number, r:number, startAngle:number, sweep:number } | null}
+ *   null when the segment is straight (or degenerate).
+ *   sweep is signed (radians): positive = CCW.
+ */
+export function arcFromBulge(p0, p1, bulge) {
+  if (!bulge || !Number.isFinite(bulge)) return null;
+  const dx = p1.x - p0.x;
+  const dy = p1.y - p0.y;
+  const chord = Math.hypot(dx, dy);
+  if (chord === 0) return null;
+
+  const sweep = 4 * Math.atan(bulge);
+  const r = chord * (1 + bulge * bulge) / (4 * Math.abs(bulge));
+  // Signed distance from chord midpoint to center, along the chord's left normal
+  const h = chord * (1 - bulge * bulge) / (4 * bulge);
+  const mx = (p0.x + p1.x) / 2;
+  const my = (p0.y + p1.y) / 2;
+  const cx = mx - (dy / chord) * h;
+  const cy = my + (dx / chord) * h;
+  const startAngle = Math.atan2(p0.y - cy, p0.x - cx);
+
+  return { cx, cy, r, startAngle, sweep };
+}
+
+/**
+ * Bulge of the circular arc that starts at p0, passes through pm and ends at p1.
+ * Returns 0 when the three points are collinear.
+ * @param {{x:number,y:number}} p0
+ * @param {{x:number,y:number}} pm
+ * @param {{x:number,y:number}} p1
+ * @returns {number}
+ */
+export function bulgeFromThreePoints(p0, pm, p1) {
+  const ax = p0.x - pm.x, ay = p0.y - pm.y;
+  const bx = p1.x - pm.x, by = p1.y - pm.y;
+  const cross = (p1.x - p0.x) * (pm.y - p0.y) - (p1.y - p0.y) * (pm.x - p0.x);
+  const la = Math.hypot(ax, ay);
+  const lb = Math.hypot(bx, by);
+  if (la === 0 || lb === 0 || Math.abs(cross) <= 1e-12 * la * lb) return 0;
+
+  // Inscribed angle at pm; the arc through pm spans 2*PI - 2*alpha
+  const cosA = Math.max(-1, Math.min(1, (ax * bx + ay * by) / (la * lb)));
+  const alpha = Math.acos(cosA);
+  const magnitude = 1 / Math.tan(alpha / 2);
+  // pm on the right of p0->p1 means the arc turns counter-clockwise
+  return cross < 0 ? magnitude : -magnitude;
+}
+
+/**
+ * Point on the bulge arc (or straight segment) at parameter t in [0, 1].
+ * @param {{x:number,y:number}} p0
+ * @param {{x:number,y:number}} p1
+ * @param {number} bulge
+ * @param {number} t
+ * @returns {{x:number,y:number}}
+ */
+export function pointOnBulgeSegment(p0, p1, bulge, t) {
+  const arc = arcFromBulge(p0, p1, bulge);
+  if (!arc) {
+    return { x: p0.x + (p1.x - p0.x) * t, y: p0.y + (p1.y - p0.y) * t };
+  }
+  const a = arc.startAngle + arc.sweep * t;
+  return { x: arc.cx + arc.r * Math.cos(a), y: arc.cy + arc.r * Math.sin(a) };
+}
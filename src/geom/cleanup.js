@@ -0,0 +1,203 @@
+/**
+ * src/geom/cleanup.js
+ * Remove duplicate, overlapping and zero-length segments (common in nesting-software DXFs).
+ *
+ * cleanupSegments(polylines, tol, isEditable) works on the segments of every editable
+ * polyline, in order; earlier segments win:
+ * - zero-length: segments no longer than tol are dropped
+ * - duplicate / reversed duplicate: a segment with the same ends (same or swapped
+ *   direction) and the same arc as an earlier one is dropped
+ * - overlap: the part of a straight segment lying on an earlier collinear straight
+ *   segment is trimmed away; what is left stays
+ * Every dropped or trimmed part is covered by a segment that stays, so the drawn
+ * outline is unchanged. Changed polylines are rebuilt from their remaining segments
+ * and split wherever a gap opened (a closed polyline with a gap becomes open).
+ * Unchanged polylines are returned as the same objects.
+ */
+
+import { toSegments, fromSegments, segmentLength } from "./segments.js";
+import { overlappingBoxPairs } from "./boxPairs.js";
+
+function dist(p, q) {
+  return Math.hypot(p.x - q.x, p.y - q.y);
+}
+
+// Segments of a polyline; a closing segment onto a snapped duplicate first vertex is not a real edge
+function polylineSegments(poly, tol) {
+  const segs = toSegments(poly);
+  if (poly.closed && segs.length > 1) {
+    const last = segs[segs.length - 1];
+    if (!last.bulge && dist(last.a, last.b) <= tol) segs.pop();
+  }
+  return segs;
+}
+
+// Distance from p to the infinite line through seg
+function lineDistance(p, seg) {
+  const dx = seg.b.x - seg.a.x;
+  const dy = seg.b.y - seg.a.y;
+  const len = Math.hypot(dx, dy);
+  return Math.abs((p.x - seg.a.x) * dy - (p.y - seg.a.y) * dx) / len;
+}
+
+// Parameter of p along seg (0 at a, 1 at b)
+function paramOn(p, seg) {
+  const dx = seg.b.x - seg.a.x;
+  const dy = seg.b.y - seg.a.y;
+  return ((p.x - seg.a.x) * dx + (p.y - seg.a.y) * dy) / (dx * dx + dy * dy);
+}
+
+function lerp(seg, t) {
+  return { x: seg.a.x + (seg.b.x - seg.a.x) * t, y: seg.a.y + (seg.b.y - seg.a.y) * t };
+}
+
+// Remove [lo, hi] from a list of parameter intervals
+function subtractInterval(pieces, lo, hi) {
+  const out = [];
+  for (const [p0, p1] of pieces) {
+    if (hi <= p0 || lo >= p1) {
+      out.push([p0, p1]);
+      continue;
+    }
+    if (lo > p0) out.push([p0, lo]);
+    if (hi < p1) out.push([hi, p1]);
+  }
+  return out;
+}
+
+// Candidate pairs whose tol-expanded boxes overlap, earlier keepers first so
+// coverage is decided in segment order
+function overlappingPairs(items, tol) {
+  const boxes = items.map(({ seg }) => ({
+    minX: Math.min(seg.a.x, seg.b.x) - tol,
+    maxX: Math.max(seg.a.x, seg.b.x) + tol,
+    minY: Math.min(seg.a.y, seg.b.y) - tol,
+    maxY: Math.max(seg.a.y, seg.b.y) + tol,
+  }));
+  return overlappingBoxPairs(boxes).sort((p, q) => p[1] - q[1] || p[0] - q[0]);
+}
+
+/**
+ * @param {Array} polylines
+ * @param {number} tol - model units
+ * @param {(poly:object) => boolean} [isEditable] - other polylines are left alone
+ * @returns {{ polylines:Array, changed:boolean,
+ *             report:{ zeroLength:number, duplicates:number, reversedDuplicates:number,
+ *                      overlaps:number, polylinesRemoved:number,
+ *                      changes:Array<{kind:string, poly:number, segment:number,
+ *                                     keptPoly?:number, keptSegment?:number, length:number}> } }}
+ *   kind is "zero-length" | "duplicate" | "reversed-duplicate" | "overlap";
+ *   poly/segment index the input polylines and their segments
+ */
+export function cleanupSegments(polylines, tol, isEditable = () => true) {
+  const report = { zeroLength: 0, duplicates: 0, reversedDuplicates: 0, overlaps: 0, polylinesRemoved: 0, changes: [] };
+  const items = []; // { poly, segment, seg, pieces:[[t0,t1]] }
+  const perPoly = polylines.map(() => null); // poly index -> its items (editable polylines only)
+
+  polylines.forEach((poly, p) => {
+    if (!poly?.vertices || poly.vertices.length < 2 || !isEditable(poly)) return;
+    perPoly[p] = polylineSegments(poly, tol).map((seg, s) => {
+      const item = { poly: p, segment: s, seg, pieces: [[0, 1]] };
+      const length = segmentLength(seg);
+      if (length <= tol) {
+        item.pieces = [];
+        report.zeroLength++;
+        report.changes.push({ kind: "zero-length", poly: p, segment: s, length });
+      } else {
+        items.push(item);
+      }
+      return item;
+    });
+  });
+
+  for (const [ki, ti] of overlappingPairs(items, tol)) {
+    const keep = items[ki];
+    const trim = items[ti];
+    if (!trim.pieces.length) continue;
+    const S = keep.seg;
+    const T = trim.seg;
+    const same = dist(S.a, T.a) <= tol && dist(S.b, T.b) <= tol;
+    const swapped = dist(S.a, T.b) <= tol && dist(S.b, T.a) <= tol;
+
+    if (S.bulge || T.bulge) {
+      // Arcs only match as whole segments
+      const bulgeTol = 1e-6;
+      const kind = same && Math.abs(S.bulge - T.bulge) <= bulgeTol ? "duplicate"
+        : swapped && Math.abs(S.bulge + T.bulge) <= bulgeTol ? "reversed-duplicate" : null;
+      if (!kind) continue;
+      trim.pieces = [];
+      record(kind, keep, trim, segmentLength(T));
+      continue;
+    }
+
+    if (lineDistance(T.a, S) > tol || lineDistance(T.b, S) > tol) continue;
+    if (lineDistance(S.a, T) > tol || lineDistance(S.b, T) > tol) continue;
+    const u0 = paramOn(S.a, T);
+    const u1 = paramOn(S.b, T);
+    const before = trim.pieces;
+    const lenT = dist(T.a, T.b);
+    const after = subtractInterval(before, Math.min(u0, u1), Math.max(u0, u1))
+      .filter(([p0, p1]) => (p1 - p0) * lenT > tol); // slivers are covered within tolerance
+    const removed = covered(before) - covered(after);
+    if (removed * lenT <= tol) continue; // only touching
+    trim.pieces = after;
+    const kind = after.length ? "overlap" : same ? "duplicate" : swapped ? "reversed-duplicate" : "overlap";
+    record(kind, keep, trim, removed * lenT);
+  }
+
+  function covered(pieces) {
+    return pieces.reduce((sum, [p0, p1]) => sum + (p1 - p0), 0);
+  }
+
+  function record(kind, keep, trim, length) {
+    if (kind === "duplicate") report.duplicates++;
+    else if (kind === "reversed-duplicate") report.reversedDuplicates++;
+    else report.overlaps++;
+    report.changes.push({ kind, poly: trim.poly, segment: trim.segment, keptPoly: keep.poly, keptSegment: keep.segment, length });
+  }
+
+  const out = [];
+  polylines.forEach((poly, p) => {
+    const polyItems = perPoly[p];
+    const untouched = !polyItems || polyItems.every((it) => it.pieces.length === 1 && it.pieces[0][0] === 0 && it.pieces[0][1] === 1);
+    if (untouched) {
+      out.push(poly);
+      return;
+    }
+    const rebuilt = rebuildPolyline(poly, polyItems, tol);
+    if (!rebuilt.length) report.polylinesRemoved++;
+    out.push(...rebuilt);
+  });
+
+  return { polylines: out, changed: report.changes.length > 0, report };
+}
+
+// Remaining segments of a changed polyline, chained into one or more polylines
+function rebuildPolyline(poly, polyItems, tol) {
+  const segs = [];
+  for (const it of polyItems) {
+    for (const [t0, t1] of it.pieces) {
+      segs.push(t0 === 0 && t1 === 1 ? it.seg : { a: lerp(it.seg, t0), b: lerp(it.seg, t1), bulge: 0 });
+    }
+  }
+  if (!segs.length) return [];
+
+  const runs = [[segs[0]]];
+  for (let i = 1; i < segs.length; i++) {
+    const run = runs[runs.length - 1];
+    if (dist(run[run.length - 1].b, segs[i].a) <= tol) run.push(segs[i]);
+    else runs.push([segs[i]]);
+  }
+
+  if (poly.closed) {
+    const first = runs[0];
+    const last = runs[runs.length - 1];
+    const wraps = dist(last[last.length - 1].b, first[0].a) <= tol;
+    // Only zero-length segments went: still one closed loop
+    if (wraps && runs.length === 1) return [{ ...poly, closed: true, vertices: fromSegments(first, true) }];
+    // The closing segment links the last run back into the first
+    if (wraps) runs[0] = [...runs.pop(), ...first];
+  }
+
+  return runs.map((run) => ({ ...poly, closed: false, vertices: fromSegments(run, false) }));
+}
@@ -0,0 +1,121 @@
+/**
+ * src/geom/endpointGraph.js
+ * Endpoint graph for joining open polylines, built on a spatial hash.
+ *
+ * Every polyline end is snapped to a node: ends within `tol` of each other share
+ * a node. The hash uses square cells of size tol, so a lookup only checks the
+ * 3x3 neighbouring cells and building the graph is ~O(n).
+ *
+ * Node degree decides how chains continue:
+ * - 1 endpoint  -> free end (chain stops)
+ * - 2 endpoints -> the two polylines are joined there
+ * - 3+          -> ambiguous junction (T or X): reported, chains stop there
+ */
+
+/**
+ * Build the graph.
+ * @param {Array<{vertices:Array<{x:number,y:number}>}>} polylines - open polylines (>= 2 vertices)
+ * @param {number} tol - snapping distance in model units
+ * @returns {{ nodes:Array<{x:number,y:number,ends:Array<{poly:number,end:"start"|"end"}>}>,
+ *             startNode:Int32Array, endNode:Int32Array }}
+ */
+export function buildEndpointGraph(polylines, tol) {
+  const cell = Math.max(tol, 1e-9);
+  const grid = new Map(); // "ix,iy" -> node indices
+  const nodes = [];
+  const startNode = new Int32Array(polylines.length);
+  const endNode = new Int32Array(polylines.length);
+
+  const key = (ix, iy) => `${ix},${iy}`;
+
+  function nodeFor(p) {
+    const ix = Math.floor(p.x / cell);
+    const iy = Math.floor(p.y / cell);
+    let best = -1;
+    let bestDist = Infinity;
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (const n of grid.get(key(ix + dx, iy + dy)) || []) {
+          const d = Math.hypot(nodes[n].x - p.x, nodes[n].y - p.y);
+          if (d <= tol && d < bestDist) {
+            best = n;
+            bestDist = d;
+          }
+        }
+      }
+    }
+    if (best >= 0) return best;
+
+    nodes.push({ x: p.x, y: p.y, ends: [] });
+    const k = key(ix, iy);
+    if (!grid.has(k)) grid.set(k, []);
+    grid.get(k).push(nodes.length - 1);
+    return nodes.length - 1;
+  }
+
+  polylines.forEach((poly, i) => {
+    const verts = poly.vertices;
+    startNode[i] = nodeFor(verts[0]);
+    nodes[startNode[i]].ends.push({ poly: i, end: "start" });
+    endNode[i] = nodeFor(verts[verts.length - 1]);
+    nodes[endNode[i]].ends.push({ poly: i, end: "end" });
+  });
+
+  return { nodes, startNode, endNode };
+}
+
+/**
+ * Group polylines into chains that run through degree-2 nodes.
+ * @param {ReturnType<typeof buildEndpointGraph>} graph
+ * @param {number} count - number of polylines in the graph
+ * @returns {{ chains:Array<Array<{poly:number, reversed:boolean}>>,
+ *             junctions:Array<{x:number,y:number,count:number}> }}
+ *   chains are in walking order; reversed means the polyline is walked end -> start
+ */
+export function extractChains(graph, count) {
+  const { nodes, startNode, endNode } = graph;
+  const visited = new Uint8Array(count);
+
+  // The other polyline end at a node, only when the node joins exactly two ends
+  function across(node, poly, end) {
+    const ends = nodes[node].ends;
+    if (ends.length !== 2) return null;
+    const other = ends[0].poly === poly && ends[0].end === end ? ends[1] : ends[0];
+    return other;
+  }
+
+  // Follow the chain out of (poly, end) until a free end, a junction or a visited polyline
+  function walk(poly, end) {
+    const steps = [];
+    let node = end === "end" ? endNode[poly] : startNode[poly];
+    let from = { poly, end };
+    for (;;) {
+      const next = across(node, from.poly, from.end);
+      if (!next || visited[next.poly]) break;
+      visited[next.poly] = 1;
+      // Entering through its start means walking it forwards
+      const reversed = next.end === "end";
+      steps.push({ poly: next.poly, reversed });
+      from = { poly: next.poly, end: reversed ? "start" : "end" };
+      node = reversed ? startNode[next.poly] : endNode[next.poly];
+    }
+    return steps;
+  }
+
+  const chains = [];
+  for (let i = 0; i < count; i++) {
+    if (visited[i]) continue;
+    visited[i] = 1;
+    const forward = walk(i, "end");
+    const backward = walk(i, "start");
+    // Backward steps were walked away from i; flip them so the chain reads start -> end
+    const head = backward.reverse().map((s) => ({ poly: s.poly, reversed: !s.reversed }));
+    chains.push([...head, { poly: i, reversed: false }, ...forward]);
+  }
+
+  const junctions = nodes
+    .filter((n) => n.ends.length > 2)
+    .map((n) => ({ x: n.x, y: n.y, count: n.ends.length }));
+
+  return { chains, junctions };
+}
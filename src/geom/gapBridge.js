@@ -0,0 +1,155 @@
+/**
+ * src/geom/gapBridge.js
+ * Find and close small gaps between open polyline ends, beyond the join tolerance.
+ *
+ * - findGapCandidates(polylines, maxGap, tol, isEditable): every pair of open ends
+ *   with tol < distance <= maxGap, nearest first
+ * - applyGapBridges(polylines, candidates): commit accepted candidates
+ *
+ * A candidate either
+ * - "extend": moves an end vertex onto the other end, used when the end segment is
+ *   straight and already points at the other end (within EXTEND_ANGLE), or
+ * - "bridge": adds a short straight segment (layer "BRIDGE") between the two ends.
+ * Both leave the ends coincident, so Auto-Join / Close Loops connect them afterwards.
+ */
+
+const EXTEND_ANGLE = (2 * Math.PI) / 180; // max deviation for an end extension
+
+// End point and outward direction of an open polyline end
+function endInfo(poly, end) {
+  const verts = poly.vertices;
+  const n = verts.length;
+  const tip = end === "start" ? verts[0] : verts[n - 1];
+  const prev = end === "start" ? verts[1] : verts[n - 2];
+  // The segment touching the end is an arc when its start vertex carries a bulge
+  const straight = end === "start" ? !verts[0].bulge : !verts[n - 2].bulge;
+  return { tip, prev, straight };
+}
+
+// Angle between the end's outward direction and the direction to the target point
+function extensionAngle(info, target) {
+  const ux = info.tip.x - info.prev.x;
+  const uy = info.tip.y - info.prev.y;
+  const vx = target.x - info.tip.x;
+  const vy = target.y - info.tip.y;
+  const lu = Math.hypot(ux, uy);
+  const lv = Math.hypot(vx, vy);
+  if (lu === 0 || lv === 0) return Math.PI;
+  const cos = Math.max(-1, Math.min(1, (ux * vx + uy * vy) / (lu * lv)));
+  return Math.acos(cos);
+}
+
+/**
+ * @param {Array} polylines
+ * @param {number} maxGap - largest gap to offer (model units)
+ * @param {number} tol - join tolerance; ends closer than this are already joinable
+ * @param {(poly:object) => boolean} [isEditable]
+ * @returns {Array<{ id:number, kind:"extend"|"bridge", distance:number,
+ *                   a:{poly:number,end:"start"|"end",x:number,y:number},
+ *                   b:{poly:number,end:"start"|"end",x:number,y:number},
+ *                   moveEnd?:"a"|"b" }>}
+ *   moveEnd names the end that is moved for an "extend" candidate
+ */
+export function findGapCandidates(polylines, maxGap, tol, isEditable = () => true) {
+  if (!(maxGap > 0)) return [];
+  const ends = [];
+  polylines.forEach((poly, idx) => {
+    if (!poly?.vertices || poly.vertices.length < 2 || poly.closed || !isEditable(poly)) return;
+    for (const end of ["start", "end"]) {
+      const info = endInfo(poly, end);
+      ends.push({ poly: idx, end, x: info.tip.x, y: info.tip.y, info });
+    }
+  });
+
+  // Spatial hash with cells of maxGap: candidates are in the 3x3 neighbourhood
+  const cell = maxGap;
+  const grid = new Map();
+  const key = (ix, iy) => `${ix},${iy}`;
+  ends.forEach((e, i) => {
+    const k = key(Math.floor(e.x / cell), Math.floor(e.y / cell));
+    if (!grid.has(k)) grid.set(k, []);
+    grid.get(k).push(i);
+  });
+
+  const out = [];
+  ends.forEach((a, i) => {
+    const ix = Math.floor(a.x / cell);
+    const iy = Math.floor(a.y / cell);
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (const j of grid.get(key(ix + dx, iy + dy)) || []) {
+          if (j <= i) continue; // each pair once
+          const b = ends[j];
+          // A polyline's own two ends only form a gap once it has a corner to close around
+          if (a.poly === b.poly && polylines[a.poly].vertices.length < 3) continue;
+          const d = Math.hypot(a.x - b.x, a.y - b.y);
+          if (d <= tol || d > maxGap) continue;
+          out.push(makeCandidate(a, b, d));
+        }
+      }
+    }
+  });
+
+  out.sort((p, q) => p.distance - q.distance);
+  out.forEach((c, i) => (c.id = i));
+  return out;
+}
+
+function makeCandidate(a, b, distance) {
+  const cand = {
+    id: -1,
+    kind: "bridge",
+    distance,
+    a: { poly: a.poly, end: a.end, x: a.x, y: a.y },
+    b: { poly: b.poly, end: b.end, x: b.x, y: b.y },
+  };
+  // Prefer moving the end that already points at the other one
+  const angA = a.info.straight ? extensionAngle(a.info, b) : Math.PI;
+  const angB = b.info.straight ? extensionAngle(b.info, a) : Math.PI;
+  if (Math.min(angA, angB) <= EXTEND_ANGLE) {
+    cand.kind = "extend";
+    cand.moveEnd = angA <= angB ? "a" : "b";
+  }
+  return cand;
+}
+
+/**
+ * Apply candidates (already filtered to the accepted ones). An end is used by at
+ * most one candidate; later candidates touching a used end are skipped.
+ * @returns {{ polylines:Array, applied:number, skipped:number }}
+ */
+export function applyGapBridges(polylines, candidates) {
+  const out = polylines.map((poly) => ({ ...poly, vertices: poly.vertices.map((v) => ({ ...v })) }));
+  const used = new Set();
+  const bridges = [];
+  let applied = 0;
+  let skipped = 0;
+
+  for (const c of [...candidates].sort((p, q) => p.distance - q.distance)) {
+    const ka = `${c.a.poly}:${c.a.end}`;
+    const kb = `${c.b.poly}:${c.b.end}`;
+    if (used.has(ka) || used.has(kb)) {
+      skipped++;
+      continue;
+    }
+    used.add(ka);
+    used.add(kb);
+
+    if (c.kind === "extend") {
+      const [mover, target] = c.moveEnd === "b" ? [c.b, c.a] : [c.a, c.b];
+      const verts = out[mover.poly].vertices;
+      const v = mover.end === "start" ? verts[0] : verts[verts.length - 1];
+      v.x = target.x;
+      v.y = target.y;
+    } else {
+      bridges.push({
+        layer: "BRIDGE",
+        closed: false,
+        vertices: [{ x: c.a.x, y: c.a.y }, { x: c.b.x, y: c.b.y }],
+      });
+    }
+    applied++;
+  }
+
+  return { polylines: [...out, ...bridges], applied, skipped };
+}
@@ -0,0 +1,96 @@
+/**
+ * src/geom/intersect.js
+ * Intersections of straight and bulge (arc) segments.
+ *
+ * Segments are { a, b, bulge }; prepareSegment() adds `arc` (from arcFromBulge, null
+ * when straight) so the arc is computed once per segment.
+ * Parameters run 0..1 along the segment: chord fraction for lines, sweep fraction for arcs.
+ */
+
+import { arcFromBulge, pointOnBulgeSegment } from "./bulge.js";
+
+const TWO_PI = 2 * Math.PI;
+
+function dist(p, q) {
+  return Math.hypot(p.x - q.x, p.y - q.y);
+}
+
+export function prepareSegment(seg) {
+  return { ...seg, arc: arcFromBulge(seg.a, seg.b, seg.bulge) };
+}
+
+// Angle offset of `angle` from the arc start, in the sweep direction, in [0, 2π)
+function sweepOffset(arc, angle) {
+  const rel = (angle - arc.startAngle) * Math.sign(arc.sweep);
+  return ((rel % TWO_PI) + TWO_PI) % TWO_PI;
+}
+
+/**
+ * Parameter of p projected onto a prepared segment (may fall outside 0..1).
+ */
+export function segmentParam(seg, p) {
+  if (!seg.arc) {
+    const dx = seg.b.x - seg.a.x;
+    const dy = seg.b.y - seg.a.y;
+    return ((p.x - seg.a.x) * dx + (p.y - seg.a.y) * dy) / (dx * dx + dy * dy);
+  }
+  const off = sweepOffset(seg.arc, Math.atan2(p.y - seg.arc.cy, p.x - seg.arc.cx));
+  const span = Math.abs(seg.arc.sweep);
+  // Just before the start wraps to ~2π; map it back so it reads as ~0
+  return off > span && off > (span + TWO_PI) / 2 ? (off - TWO_PI) / span : off / span;
+}
+
+export function distanceToSegment(seg, p) {
+  const t = segmentParam(seg, p);
+  if (t <= 0) return dist(p, seg.a);
+  if (t >= 1) return dist(p, seg.b);
+  if (!seg.arc) return dist(p, pointOnBulgeSegment(seg.a, seg.b, 0, t));
+  return Math.abs(Math.hypot(p.x - seg.arc.cx, p.y - seg.arc.cy) - seg.arc.r);
+}
+
+// Points where the carriers (infinite line / full circle) of two segments meet
+function carrierIntersections(s1, s2) {
+  if (!s1.arc && !s2.arc) {
+    const rx = s1.b.x - s1.a.x, ry = s1.b.y - s1.a.y;
+    const sx = s2.b.x - s2.a.x, sy = s2.b.y - s2.a.y;
+    const den = rx * sy - ry * sx;
+    if (den === 0) return [];
+    const t = ((s2.a.x - s1.a.x) * sy - (s2.a.y - s1.a.y) * sx) / den;
+    return [{ x: s1.a.x + rx * t, y: s1.a.y + ry * t }];
+  }
+  if (s1.arc && s2.arc) return circleCircle(s1.arc, s2.arc);
+  return s1.arc ? lineCircle(s2, s1.arc) : lineCircle(s1, s2.arc);
+}
+
+function lineCircle(seg, c) {
+  const dx = seg.b.x - seg.a.x, dy = seg.b.y - seg.a.y;
+  const fx = seg.a.x - c.cx, fy = seg.a.y - c.cy;
+  const A = dx * dx + dy * dy;
+  const B = 2 * (fx * dx + fy * dy);
+  const C = fx * fx + fy * fy - c.r * c.r;
+  const disc = B * B - 4 * A * C;
+  if (disc < 0) return [];
+  const root = Math.sqrt(disc);
+  return [(-B - root) / (2 * A), (-B + root) / (2 * A)].map((t) => ({ x: seg.a.x + dx * t, y: seg.a.y + dy * t }));
+}
+
+function circleCircle(c1, c2) {
+  const d = Math.hypot(c2.cx - c1.cx, c2.cy - c1.cy);
+  if (d === 0 || d > c1.r + c2.r || d < Math.abs(c1.r - c2.r)) return [];
+  const a = (c1.r * c1.r - c2.r * c2.r + d * d) / (2 * d);
+  const h = Math.sqrt(Math.max(0, c1.r * c1.r - a * a));
+  const mx = c1.cx + (a * (c2.cx - c1.cx)) / d;
+  const my = c1.cy + (a * (c2.cy - c1.cy)) / d;
+  const ox = (h * (c2.cy - c1.cy)) / d;
+  const oy = (h * (c2.cx - c1.cx)) / d;
+  return [{ x: mx + ox, y: my - oy }, { x: mx - ox, y: my + oy }];
+}
+
+/**
+ * Crossing points of two prepared segments (each point within tol of both).
+ * Collinear overlaps give no points; check the segment ends against each other for those.
+ * @returns {Array<{x:number,y:number}>}
+ */
+export function segmentIntersections(s1, s2, tol) {
+  return carrierIntersections(s1, s2).filter((p) => distanceToSegment(s1, p) <= tol && distanceToSegment(s2, p) <= tol);
+}
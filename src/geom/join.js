@@ -3,17 +3,21 @@
  * Utilities to join/close polylines within a tolerance.
  *
  * Main function: attemptClosePerimeter(polylines, tolerance)
- * - Takes multiple polylines and tries to join them into a single closed path
+ * - Takes multiple polylines and joins them into as many closed paths as possible
  * - Uses endpoint-to-endpoint distance matching within tolerance
- * - Returns { closed: boolean, vertices: Array<{x,y,bulge?}> } or null
+ * - Returns { closed, vertices, loops, open } or null (see attemptClosePerimeter)
  *
  * Strategy:
- * 1. If single polyline, ensure it's closed by snapping endpoints if within tolerance
- * 2. If multiple polylines, attempt to chain them by matching endpoints within tolerance
- * 3. Preserve bulge values during joining
+ * 1. Closed polylines (flag or endpoints within tolerance) are loops as they are
+ * 2. The rest are chained by matching endpoints within tolerance, one chain at a time;
+ *    chains that close become loops, the others are returned with their gap distances
+ * 3. Preserve bulge values during joining (reversal and concatenation go through
+ *    the segment model in segments.js so arcs stay on their own segment)
  */
 
 import { isClosed } from "./closedness.js";
+import { reverseVertices, concatVertices } from "./segments.js";
+import { signedArea } from "./area.js";
 
 /**
  * Calculate Euclidean distance between two 2D points.
@@ -25,83 +29,124 @@ function dist(a, b) {
 }
 
 /**
- * Attempt to close/join PERIMETER polylines into a single closed path.
+ * Attempt to close/join PERIMETER polylines into closed paths.
+ * Every closed loop that can be formed is returned, plus the open chains left over.
  * @param {Array<{layer:string, closed:boolean, vertices:Array<{x,y,bulge?}>}>} polylines
  * @param {number} tolerance - joining tolerance in model units
- * @returns {{ closed: boolean, vertices: Array<{x,y,bulge?}> } | null}
+ * @returns {{
+ *   closed: boolean,                       // at least one loop was formed
+ *   vertices: Array<{x,y,bulge?}> | null,  // the largest loop (outline), for single-path callers
+ *   loops: Array<{ closed:true, vertices, sources:number[] }>,   // largest first
+ *   open: Array<{ closed:false, vertices, sources:number[], gap:number, nearestGap:number }>
+ * } | null}
+ *   sources are indices into `polylines`; gap is the distance between an open chain's
+ *   own ends, nearestGap the distance from either end to the closest other open end.
  */
 export function attemptClosePerimeter(polylines, tolerance = 0.001) {
   if (!Array.isArray(polylines) || polylines.length === 0) return null;
   
   const tol = Math.max(tolerance || 0.001, 1e-9);
+  const loops = [];
+  const candidates = [];
   
-  // Single polyline case: just ensure closure
-  if (polylines.length === 1) {
-    const poly = polylines[0];
+  polylines.forEach((poly, idx) => {
     const vertices = poly?.vertices || [];
-    if (vertices.length < 3) return null;
+    if (vertices.length < 2) return;
+    if (poly.closed || (vertices.length >= 3 && isClosed(vertices, tol))) {
+      loops.push({ closed: true, vertices: closeSingle(poly, tol), sources: [idx] });
+    } else {
+      candidates.push({ id: idx, vertices });
+    }
+  });
+  
+  const chained = chainPolylines(candidates, tol);
+  loops.push(...chained.loops);
+  
+  loops.sort((a, b) => Math.abs(signedArea(b.vertices)) - Math.abs(signedArea(a.vertices)));
+  const open = measureGaps(chained.open);
+  
+  console.log("[JOIN] Found", loops.length, "closed loops and", open.length, "open chains");
+  return {
+    closed: loops.length > 0,
+    vertices: loops[0]?.vertices || null,
+    loops,
+    open,
+  };
+}
+
+/**
+ * Closed (or endpoint-closed) single polyline: ensure last point exactly matches first.
+ */
+function closeSingle(poly, tol) {
+  const result = [...poly.vertices];
+  if (result.length >= 3) {
+    const first = result[0];
+    const last = result[result.length - 1];
+    if (dist(first, last) <= tol) {
+      // Snap last to first (the duplicate end point carries no bulge)
+      result[result.length - 1] = { x: first.x, y: first.y };
+    } else if (!poly.closed) {
+      // Append first to close
+      result.push({ x: first.x, y: first.y });
+    }
+  }
+  return result;
+}
+
+/**
+ * Chain open polylines greedily by nearest endpoints. Each chain grows from the
+ * first unused polyline until it closes or nothing else connects; then the next
+ * chain starts from the remaining ones.
+ * @param {Array<{id:number, vertices:Array}>} candidates
+ * @returns {{ loops:Array, open:Array }}
+ */
+function chainPolylines(candidates, tol) {
+  const unused = candidates.map((c) => ({ id: c.id, vertices: [...c.vertices] }));
+  const loops = [];
+  const open = [];
+  
+  while (unused.length > 0) {
+    const seed = unused.shift();
+    const chain = growChain(seed, unused, tol);
+    const { vertices: result, sources } = chain;
     
-    if (poly.closed || isClosed(vertices, tol)) {
-      // Already closed, ensure last point exactly matches first
-      const result = [...vertices];
-      if (result.length >= 3) {
-        const first = result[0];
-        const last = result[result.length - 1];
-        if (dist(first, last) <= tol) {
-          // Snap last to first
-          result[result.length - 1] = { ...first };
-        } else if (!poly.closed) {
-          // Append first to close
-          result.push({ ...first });
-        }
-      }
-      return { closed: true, vertices: result };
+    // Check if path is closed
+    const first = result[0];
+    const last = result[result.length - 1];
+    const closeDist = dist(first, last);
+    console.log("[JOIN] Distance between first and last:", closeDist.toFixed(6), "tolerance:", tol);
+    
+    if (result.length >= 3 && closeDist <= tol) {
+      // Close the path by making last point exactly equal to first (no bulge on the duplicate)
+      result[result.length - 1] = { x: first.x, y: first.y };
+      console.log("[JOIN] Path closed successfully with", result.length, "vertices");
+      loops.push({ closed: true, vertices: result, sources });
     } else {
-      // Try to close by connecting endpoints
-      const first = vertices[0];
-      const last = vertices[vertices.length - 1];
-      if (dist(first, last) <= tol) {
-        const result = [...vertices];
-        result[result.length - 1] = { ...first }; // snap last to first
-        return { closed: true, vertices: result };
-      } else {
-        // Can't close within tolerance
-        return null;
-      }
+      console.log("[JOIN] Path not closed - endpoints too far apart");
+      open.push({ closed: false, vertices: result, sources });
     }
   }
   
-  // Multiple polylines: attempt to chain them
-  return chainPolylines(polylines, tol);
+  return { loops, open };
 }
 
 /**
- * Attempt to chain multiple polylines into a single closed path.
+ * Extend a chain at both ends with the nearest matching unused polylines.
  * Simple approach: preserve ALL vertices, just connect endpoints within tolerance.
- * No position changes, just link the lines together.
+ * No position changes, just link the lines together. Consumed polylines are
+ * removed from `unused`.
  */
-function chainPolylines(polylines, tol) {
-  if (polylines.length === 0) return null;
-  
-  // Create working copies
-  const unused = polylines.map((poly, idx) => ({
-    id: idx,
-    vertices: [...(poly?.vertices || [])],
-  })).filter(c => c.vertices.length >= 2);
-  
-  if (unused.length === 0) return null;
-  
-  // Start with the first polyline
-  let result = [...unused[0].vertices];
-  unused.splice(0, 1); // Remove from unused
+function growChain(seed, unused, tol) {
+  let result = [...seed.vertices];
+  const sources = [seed.id];
   
   console.log("[JOIN] Starting with vertices:", result.map(v => `(${v.x.toFixed(2)}, ${v.y.toFixed(2)})`));
   
-  // Keep connecting until no more connections possible
+  // Keep connecting until the chain closes or no more connections are possible
   while (unused.length > 0) {
     const resultStart = result[0];
     const resultEnd = result[result.length - 1];
-    
+    if (result.length >= 3 && dist(resultStart, resultEnd) <= tol) break; // closed loop
     let bestMatch = -1;
     let bestAction = null;
     let bestDist = Infinity;
@@ -151,56 +196,56 @@ function chainPolylines(polylines, tol) {
     }
     
     const chainToAdd = unused[bestMatch];
-    let verticesToAdd = [...chainToAdd.vertices];
+    const verticesToAdd = chainToAdd.vertices;
     
     console.log("[JOIN] Connecting chain with", chainToAdd.vertices.length, "vertices, action:", bestAction);
     
-    // Execute the best action
+    // Execute the best action (the shared point appears once; arcs keep their segment)
     switch (bestAction) {
       case 'appendForward':
-        // Add chain to end: result[...] + chain[1...] (skip first to avoid duplication)
-        result = [...result, ...verticesToAdd.slice(1)];
+        // result + chain
+        result = concatVertices(result, verticesToAdd);
         break;
         
       case 'appendReverse':
-        // Add reversed chain to end: result[...] + chain[...-1] reversed (skip last to avoid duplication)
-        verticesToAdd.reverse();
-        result = [...result, ...verticesToAdd.slice(1)];
+        // result + reversed chain
+        result = concatVertices(result, reverseVertices(verticesToAdd));
         break;
         
       case 'prependForward':
-        // Add chain to start: chain[...-1] + result[...] (skip last to avoid duplication)  
-        result = [...verticesToAdd.slice(0, -1), ...result];
+        // chain + result
+        result = concatVertices(verticesToAdd, result);
         break;
         
       case 'prependReverse':
-        // Add reversed chain to start: chain[1...] reversed + result[...] (skip first after reverse)
-        verticesToAdd.reverse();
-        result = [...verticesToAdd.slice(0, -1), ...result];
+        // reversed chain + result
+        result = concatVertices(reverseVertices(verticesToAdd), result);
         break;
     }
     
     // Remove the used chain
+    sources.push(chainToAdd.id);
     unused.splice(bestMatch, 1);
     console.log("[JOIN] After connection, result has", result.length, "vertices");
   }
   
-  // Check if path is closed
-  if (result.length >= 3) {
-    const first = result[0];
-    const last = result[result.length - 1];
-    const closeDist = dist(first, last);
-    console.log("[JOIN] Distance between first and last:", closeDist.toFixed(6), "tolerance:", tol);
-    
-    if (closeDist <= tol) {
-      // Close the path by making last point exactly equal to first
-      result[result.length - 1] = { ...first };
-      console.log("[JOIN] Path closed successfully with", result.length, "vertices");
-      return { closed: true, vertices: result };
-    } else {
-      console.log("[JOIN] Path not closed - endpoints too far apart");
-    }
-  }
-  
-  return null; // Not closed within tolerance
+  return { vertices: result, sources };
+}
+
+/**
+ * Gap distances for open chains: own end-to-end gap and the closest other open end.
+ */
+function measureGaps(chains) {
+  return chains.map((chain, i) => {
+    const ends = [chain.vertices[0], chain.vertices[chain.vertices.length - 1]];
+    let nearestGap = Infinity;
+    chains.forEach((other, j) => {
+      if (i === j) return;
+      const otherEnds = [other.vertices[0], other.vertices[other.vertices.length - 1]];
+      for (const a of ends) {
+        for (const b of otherEnds) nearestGap = Math.min(nearestGap, dist(a, b));
+      }
+    });
+    return { ...chain, gap: dist(ends[0], ends[1]), nearestGap };
+  });
 }
@@ -0,0 +1,101 @@
+/**
+ * src/geom/labels.js
+ * Match TEXT/MTEXT labels to the closed parts they sit inside.
+ *
+ * - pointInPolyline(pt, poly): bulge-aware point-in-polygon for a closed polyline
+ * - findPartLabel(poly, labels): the label naming that part (tallest text inside)
+ * - labelsInside(poly, labels): indices of all labels whose insertion point is inside
+ * - assignPartNames(polylines, closedIndices, labels): label per part, innermost part wins
+ * - labelPartName(label): part name from a label (first non-empty line of its text)
+ */
+
+import { pointOnBulgeSegment } from "./bulge.js";
+
+const ARC_SAMPLES = 16; // points per bulge segment when testing containment
+
+// Linearized outline of a closed polyline (arcs sampled)
+function outline(poly) {
+  const verts = poly?.vertices || [];
+  const pts = [];
+  for (let i = 0; i < verts.length; i++) {
+    const a = verts[i];
+    const b = verts[(i + 1) % verts.length];
+    pts.push({ x: a.x, y: a.y });
+    if (a.bulge) {
+      for (let k = 1; k < ARC_SAMPLES; k++) pts.push(pointOnBulgeSegment(a, b, a.bulge, k / ARC_SAMPLES));
+    }
+  }
+  return pts;
+}
+
+export function pointInPolyline(pt, poly) {
+  const pts = outline(poly);
+  if (pts.length < 3) return false;
+  let inside = false;
+  for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+    const a = pts[i];
+    const b = pts[j];
+    if ((a.y > pt.y) !== (b.y > pt.y) && pt.x < ((b.x - a.x) * (pt.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+export function labelsInside(poly, labels) {
+  const out = [];
+  (labels || []).forEach((label, idx) => {
+    if (pointInPolyline(label, poly)) out.push(idx);
+  });
+  return out;
+}
+
+export function findPartLabel(poly, labels) {
+  let best = null;
+  for (const idx of labelsInside(poly, labels)) {
+    const label = labels[idx];
+    if (!best || (label.height || 0) > (best.height || 0)) best = label;
+  }
+  return best;
+}
+
+// Area of the linearized outline (used to find the innermost containing part)
+function outlineArea(poly) {
+  const pts = outline(poly);
+  let a = 0;
+  for (let i = 0; i < pts.length; i++) {
+    const p = pts[i];
+    const q = pts[(i + 1) % pts.length];
+    a += p.x * q.y - q.x * p.y;
+  }
+  return Math.abs(a / 2);
+}
+
+/**
+ * Name closed parts from the labels inside them.
+ * Each label goes to the smallest closed part containing its insertion point;
+ * a part with several labels takes the tallest one.
+ * @param {Array} polylines
+ * @param {Iterable<number>} closedIndices
+ * @param {Array<{text:string,x:number,y:number,height:number}>} labels
+ * @returns {Map<number, object>} polyline index -> naming label
+ */
+export function assignPartNames(polylines, closedIndices, labels) {
+  const parts = Array.from(closedIndices || [])
+    .map((idx) => ({ idx, area: outlineArea(polylines[idx]) }))
+    .sort((a, b) => a.area - b.area);
+
+  const named = new Map();
+  for (const label of labels || []) {
+    const owner = parts.find((p) => pointInPolyline(label, polylines[p.idx]));
+    if (!owner) continue;
+    const prev = named.get(owner.idx);
+    if (!prev || (label.height || 0) > (prev.height || 0)) named.set(owner.idx, label);
+  }
+  return named;
+}
+
+export function labelPartName(label) {
+  const line = (label?.text || "").split("\n").map((l) => l.trim()).find(Boolean);
+  return line || "";
+}
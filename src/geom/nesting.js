@@ -0,0 +1,79 @@
+/**
+ * src/geom/nesting.js
+ * Containment tree of closed contours (parts, cutouts, islands inside cutouts).
+ *
+ * - buildContainmentTree(polylines, indices): each contour's parent is the smallest
+ *   contour containing it; depth 0 = outermost
+ * - nestParts(polylines, indices): even-depth contours are parts, their odd-depth
+ *   children are the part's inner contours (an island inside a cutout is a part again)
+ * - orientLoop(vertices, ccw): closed vertex list turned CCW (outer) or CW (inner)
+ */
+
+import { signedArea } from "./area.js";
+import { pointOnBulgeSegment } from "./bulge.js";
+import { pointInPolyline } from "./labels.js";
+import { reversePolyline } from "./segments.js";
+
+// A point on the contour that is not a vertex (vertices of touching contours may coincide)
+function probePoint(vertices) {
+  const a = vertices[0];
+  const b = vertices[1 % vertices.length];
+  return pointOnBulgeSegment(a, b, a.bulge || 0, 0.5);
+}
+
+/**
+ * @param {Array} polylines
+ * @param {Iterable<number>} indices - closed contours to nest
+ * @returns {Array<{ index:number, area:number, parent:number|null, depth:number, children:Array<number> }>}
+ *   in input order of `indices`; parent/children are polyline indices
+ */
+export function buildContainmentTree(polylines, indices) {
+  const nodes = Array.from(indices || []).map((index) => ({
+    index,
+    area: Math.abs(signedArea(polylines[index].vertices)),
+    parent: null,
+    depth: 0,
+    children: [],
+  }));
+
+  // Largest first: every possible container is placed before what it contains,
+  // and scanning the placed list backwards meets the smallest container first
+  const placed = [];
+  for (const node of [...nodes].sort((a, b) => b.area - a.area)) {
+    const probe = probePoint(polylines[node.index].vertices);
+    for (let k = placed.length - 1; k >= 0; k--) {
+      const cand = placed[k];
+      if (cand.area > node.area && pointInPolyline(probe, polylines[cand.index])) {
+        node.parent = cand.index;
+        node.depth = cand.depth + 1;
+        cand.children.push(node.index);
+        break;
+      }
+    }
+    placed.push(node);
+  }
+  return nodes;
+}
+
+/**
+ * @returns {Array<{ outer:number, inners:Array<number> }>} polyline indices, largest part first
+ */
+export function nestParts(polylines, indices) {
+  const tree = buildContainmentTree(polylines, indices);
+  const byIndex = new Map(tree.map((n) => [n.index, n]));
+  return tree
+    .filter((n) => n.depth % 2 === 0)
+    .sort((a, b) => b.area - a.area)
+    .map((n) => ({ outer: n.index, inners: n.children.filter((c) => byIndex.get(c).depth % 2 === 1) }));
+}
+
+/**
+ * @param {Array<{x:number,y:number,bulge?:number}>} vertices - closed loop
+ * @param {boolean} ccw - true for outer loops, false for inner loops
+ * @returns {Array<{x:number,y:number,bulge?:number}>} a new list (reversed when needed, arcs kept)
+ */
+export function orientLoop(vertices, ccw) {
+  const isCcw = signedArea(vertices) > 0;
+  if (isCcw === ccw) return vertices.map((v) => ({ ...v }));
+  return reversePolyline({ closed: true, vertices }).vertices;
+}
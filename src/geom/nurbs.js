@@ -0,0 +1,142 @@
+/**
+ * src/geom/nurbs.js
+ * Curve evaluators for SPLINE entities.
+ *
+ * - createNurbsCurve: rational B-spline from control points, knots and weights (de Boor)
+ * - createFitPointCurve: centripetal Catmull-Rom through fit points, used when a
+ *   SPLINE carries fit data only
+ *
+ * Both return { curve(t), domain:[t0,t1], breaks:number[] } where breaks are the
+ * parameter values of knot spans / fit points, so callers can fit arcs per span.
+ */
+
+/**
+ * @param {Array<{x:number,y:number}>} controlPoints
+ * @param {number[]} knots
+ * @param {number[]} weights - one per control point (missing => 1)
+ * @param {number} degree
+ * @returns {{ curve:(t:number)=>{x:number,y:number}, domain:[number,number], breaks:number[] } | null}
+ */
+export function createNurbsCurve(controlPoints, knots, weights, degree) {
+  const n = controlPoints.length;
+  const p = Math.max(1, Math.floor(degree || 3));
+  if (n < 2 || n <= p - 1) return null;
+
+  // Uniform clamped knots when the file omits or mangles them
+  const kv = knots.length === n + p + 1 ? knots.slice() : clampedUniformKnots(n, p);
+  const w = controlPoints.map((_, k) => {
+    const wk = weights[k];
+    return Number.isFinite(wk) && wk > 0 ? wk : 1;
+  });
+
+  const t0 = kv[p];
+  const t1 = kv[n];
+  if (!(t1 > t0)) return null;
+
+  const breaks = [];
+  for (let k = p; k <= n; k++) {
+    if (breaks.length === 0 || kv[k] > breaks[breaks.length - 1]) breaks.push(kv[k]);
+  }
+
+  function findSpan(t) {
+    if (t >= t1) {
+      // Last non-empty span
+      let s = n - 1;
+      while (s > p && kv[s] >= t1) s--;
+      return s;
+    }
+    let s = p;
+    while (s < n - 1 && kv[s + 1] <= t) s++;
+    return s;
+  }
+
+  function curve(t) {
+    const tt = Math.min(t1, Math.max(t0, t));
+    const s = findSpan(tt);
+    // Homogeneous de Boor
+    const d = [];
+    for (let j = 0; j <= p; j++) {
+      const cp = controlPoints[s - p + j];
+      const wj = w[s - p + j];
+      d.push({ x: cp.x * wj, y: cp.y * wj, w: wj });
+    }
+    for (let r = 1; r <= p; r++) {
+      for (let j = p; j >= r; j--) {
+        const i = s - p + j;
+        const denom = kv[i + p - r + 1] - kv[i];
+        const a = denom === 0 ? 0 : (tt - kv[i]) / denom;
+        d[j] = {
+          x: (1 - a) * d[j - 1].x + a * d[j].x,
+          y: (1 - a) * d[j - 1].y + a * d[j].y,
+          w: (1 - a) * d[j - 1].w + a * d[j].w,
+        };
+      }
+    }
+    const h = d[p].w || 1;
+    return { x: d[p].x / h, y: d[p].y / h };
+  }
+
+  return { curve, domain: [t0, t1], breaks };
+}
+
+function clampedUniformKnots(n, p) {
+  const kv = [];
+  const inner = n - p;
+  for (let k = 0; k <= p; k++) kv.push(0);
+  for (let k = 1; k < inner; k++) kv.push(k / inner);
+  for (let k = 0; k <= p; k++) kv.push(1);
+  return kv;
+}
+
+/**
+ * Interpolating curve through fit points (centripetal Catmull-Rom).
+ * Parameter t runs from 0 to fitPoints.length - 1; t = k hits fit point k.
+ * @param {Array<{x:number,y:number}>} fitPoints
+ * @param {boolean} closed - wrap neighbours around for periodic splines
+ */
+export function createFitPointCurve(fitPoints, closed = false) {
+  const pts = fitPoints.slice();
+  if (closed && pts.length > 2) pts.push(pts[0]);
+  const m = pts.length;
+  if (m < 2) return null;
+
+  const at = (k) => {
+    if (k >= 0 && k < m) return pts[k];
+    if (closed && m > 3) return pts[(k + m - 1) % (m - 1)];
+    // Reflect end neighbour so the curve starts/ends along the end chord
+    const a = k < 0 ? pts[0] : pts[m - 1];
+    const b = k < 0 ? pts[1] : pts[m - 2];
+    return { x: 2 * a.x - b.x, y: 2 * a.y - b.y };
+  };
+
+  function curve(t) {
+    const seg = Math.min(m - 2, Math.max(0, Math.floor(t)));
+    const u = Math.min(1, Math.max(0, t - seg));
+    return catmullRom(at(seg - 1), at(seg), at(seg + 1), at(seg + 2), u);
+  }
+
+  const breaks = [];
+  for (let k = 0; k < m; k++) breaks.push(k);
+  return { curve, domain: [0, m - 1], breaks };
+}
+
+// Centripetal Catmull-Rom (alpha = 0.5), Barry-Goldman pyramid, u in [0,1]
+function catmullRom(p0, p1, p2, p3, u) {
+  const knot = (a, b) => Math.max(Math.sqrt(Math.hypot(b.x - a.x, b.y - a.y)), 1e-12);
+  const t0 = 0;
+  const t1 = t0 + knot(p0, p1);
+  const t2 = t1 + knot(p1, p2);
+  const t3 = t2 + knot(p2, p3);
+  const t = t1 + (t2 - t1) * u;
+
+  const lerp = (a, b, ta, tb) => {
+    const f = (t - ta) / (tb - ta);
+    return { x: a.x + (b.x - a.x) * f, y: a.y + (b.y - a.y) * f };
+  };
+  const a1 = lerp(p0, p1, t0, t1);
+  const a2 = lerp(p1, p2, t1, t2);
+  const a3 = lerp(p2, p3, t2, t3);
+  const b1 = lerp(a1, a2, t0, t2);
+  const b2 = lerp(a2, a3, t1, t3);
+  return lerp(b1, b2, t1, t2);
+}
@@ -0,0 +1,201 @@
+/**
+ * src/geom/regions.js
+ * Planar regions from line soup (CAD "boundary" / "region").
+ *
+ * Lines that cross or T into each other never meet end to end, so endpoint joining
+ * cannot close them. Here every straight and bulge segment is
+ * 1. split at its intersections with the others (and wherever another segment's
+ *    end touches it within tol),
+ * 2. added to a planar graph (ends within tol share a node; dangling edges pruned),
+ * 3. walked face by face: at each node take the next edge clockwise, which traces
+ *    bounded faces counter-clockwise (positive area) and each component's outside clockwise.
+ * The outside of a component that sits inside a face of another component is a hole of that face.
+ *
+ * - buildRegions(polylines, tol, isEditable): { faces:[{ vertices, area, holes }] }
+ *   vertices/holes are closed bulge vertex lists; faces are CCW, holes CW
+ * - findRegionAt(regions, point): the smallest face containing point (not inside its holes)
+ */
+
+import { pointOnBulgeSegment } from "./bulge.js";
+import { toSegments } from "./segments.js";
+import { signedArea } from "./area.js";
+import { polylineBounds } from "./bounds.js";
+import { pointInPolyline } from "./labels.js";
+import { buildEndpointGraph } from "./endpointGraph.js";
+import { overlappingBoxPairs } from "./boxPairs.js";
+import { prepareSegment, segmentParam, distanceToSegment, segmentIntersections } from "./intersect.js";
+
+function dist(p, q) {
+  return Math.hypot(p.x - q.x, p.y - q.y);
+}
+
+// Split parameters (0..1 exclusive) for a pair of segments
+function splitPoints(s1, s2, tol) {
+  const out1 = [];
+  const out2 = [];
+  for (const p of segmentIntersections(s1, s2, tol)) {
+    out1.push(segmentParam(s1, p));
+    out2.push(segmentParam(s2, p));
+  }
+  // T-junctions and collinear overlaps: an end lying on the other segment
+  for (const p of [s2.a, s2.b]) if (distanceToSegment(s1, p) <= tol) out1.push(segmentParam(s1, p));
+  for (const p of [s1.a, s1.b]) if (distanceToSegment(s2, p) <= tol) out2.push(segmentParam(s2, p));
+  return [out1, out2];
+}
+
+// Sub-segments between sorted split parameters; arcs keep their curvature
+function splitSegment(seg, params, tol) {
+  const cuts = [0, ...params.filter((t) => t > 0 && t < 1).sort((p, q) => p - q), 1];
+  const pieces = [];
+  let prevT = 0;
+  let prevPt = seg.a;
+  for (let k = 1; k < cuts.length; k++) {
+    const t = cuts[k];
+    const pt = t === 1 ? seg.b : pointOnBulgeSegment(seg.a, seg.b, seg.bulge, t);
+    if (t < 1 && dist(prevPt, pt) <= tol) continue; // cut too close to the previous one
+    const bulge = seg.arc ? Math.tan((seg.arc.sweep * (t - prevT)) / 4) : 0;
+    pieces.push({ a: prevPt, b: pt, bulge });
+    prevT = t;
+    prevPt = pt;
+  }
+  return pieces;
+}
+
+// Direction leaving the start of an edge (the arc tangent for bulges)
+function leavingAngle(a, b, bulge) {
+  return Math.atan2(b.y - a.y, b.x - a.x) - 2 * Math.atan(bulge || 0);
+}
+
+/**
+ * @param {Array} polylines
+ * @param {number} tol - model units
+ * @param {(poly:object) => boolean} [isEditable] - only these polylines contribute segments
+ * @returns {{ faces:Array<{ vertices:Array<{x,y,bulge?}>, area:number, holes:Array<Array<{x,y,bulge?}>> }> }}
+ */
+export function buildRegions(polylines, tol, isEditable = () => true) {
+  // 1. Segments
+  const segs = [];
+  for (const poly of polylines) {
+    if (!poly?.vertices || poly.vertices.length < 2 || !isEditable(poly)) continue;
+    for (const seg of toSegments(poly)) {
+      if (dist(seg.a, seg.b) > tol) segs.push(prepareSegment(seg));
+    }
+  }
+
+  // 2. Split at intersections
+  const params = segs.map(() => []);
+  const boxes = segs.map((s) => {
+    const b = polylineBounds({ vertices: [{ ...s.a, bulge: s.bulge }, s.b] });
+    return { minX: b.minX - tol, minY: b.minY - tol, maxX: b.maxX + tol, maxY: b.maxY + tol };
+  });
+  for (const [i, j] of overlappingBoxPairs(boxes)) {
+    const [pi, pj] = splitPoints(segs[i], segs[j], tol);
+    params[i].push(...pi);
+    params[j].push(...pj);
+  }
+  const pieces = segs.flatMap((seg, i) => splitSegment(seg, params[i], tol));
+
+  // 3. Planar graph: snap ends to nodes, drop loops and duplicate edges
+  const graph = buildEndpointGraph(pieces.map((p) => ({ vertices: [p.a, p.b] })), tol);
+  const nodes = graph.nodes;
+  const edges = [];
+  const seen = new Set();
+  pieces.forEach((p, i) => {
+    let u = graph.startNode[i];
+    let v = graph.endNode[i];
+    let bulge = p.bulge;
+    if (u === v) return;
+    if (u > v) [u, v, bulge] = [v, u, -bulge];
+    const key = `${u},${v},${bulge.toFixed(6)}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    edges.push({ u, v, bulge, alive: true });
+  });
+
+  // Prune dangling edges (they bound no face)
+  const degree = new Int32Array(nodes.length);
+  for (const e of edges) {
+    degree[e.u]++;
+    degree[e.v]++;
+  }
+  for (let changed = true; changed; ) {
+    changed = false;
+    for (const e of edges) {
+      if (e.alive && (degree[e.u] === 1 || degree[e.v] === 1)) {
+        e.alive = false;
+        degree[e.u]--;
+        degree[e.v]--;
+        changed = true;
+      }
+    }
+  }
+
+  // Half-edges: 2k runs u -> v, 2k+1 runs v -> u; outgoing lists sorted CCW
+  const live = edges.filter((e) => e.alive);
+  const from = (h) => (h & 1 ? live[h >> 1].v : live[h >> 1].u);
+  const to = (h) => (h & 1 ? live[h >> 1].u : live[h >> 1].v);
+  const bulgeOf = (h) => (h & 1 ? -live[h >> 1].bulge : live[h >> 1].bulge);
+  const outgoing = nodes.map(() => []);
+  for (let h = 0; h < live.length * 2; h++) {
+    const a = nodes[from(h)];
+    const b = nodes[to(h)];
+    outgoing[from(h)].push({ h, angle: leavingAngle(a, b, bulgeOf(h)) });
+  }
+  const position = new Int32Array(live.length * 2);
+  outgoing.forEach((list) => {
+    list.sort((p, q) => p.angle - q.angle);
+    list.forEach((o, k) => (position[o.h] = k));
+  });
+
+  // 4. Trace faces
+  const visited = new Uint8Array(live.length * 2);
+  const cycles = [];
+  for (let start = 0; start < live.length * 2; start++) {
+    if (visited[start]) continue;
+    const vertices = [];
+    let h = start;
+    while (!visited[h]) {
+      visited[h] = 1;
+      const n = nodes[from(h)];
+      const bulge = bulgeOf(h);
+      vertices.push(bulge ? { x: n.x, y: n.y, bulge } : { x: n.x, y: n.y });
+      // Arriving at `to(h)`: turn to the edge just clockwise of the way back
+      const list = outgoing[to(h)];
+      const back = h ^ 1;
+      h = list[(position[back] - 1 + list.length) % list.length].h;
+    }
+    cycles.push({ vertices, area: signedArea(vertices) });
+  }
+
+  const minArea = tol * tol;
+  const faces = cycles
+    .filter((c) => c.area > minArea)
+    .sort((p, q) => p.area - q.area)
+    .map((c) => ({ vertices: c.vertices, area: c.area, holes: [] }));
+
+  // Each component's outside lies in the smallest face of another component around it
+  for (const c of cycles) {
+    if (c.area >= -minArea) continue;
+    const probe = c.vertices[0];
+    const owner = faces.find((f) => !f.vertices.some((v) => dist(v, probe) <= tol) && pointInPolyline(probe, { vertices: f.vertices }));
+    if (owner) owner.holes.push(c.vertices);
+  }
+
+  return { faces };
+}
+
+/**
+ * The smallest face containing point and not inside one of its holes.
+ * @param {ReturnType<typeof buildRegions>} regions
+ * @param {{x:number,y:number}} point
+ * @returns {object|null} a face from regions.faces
+ */
+export function findRegionAt(regions, point) {
+  // faces are sorted smallest first
+  for (const face of regions?.faces || []) {
+    if (!pointInPolyline(point, { vertices: face.vertices })) continue;
+    if (face.holes.some((hole) => pointInPolyline(point, { vertices: hole }))) continue;
+    return face;
+  }
+  return null;
+}
@@ -0,0 +1,174 @@
+/**
+ * src/geom/segments.js
+ * Segment-direction model for bulge polylines.
+ *
+ * A polyline is a list of directed segments { a, b, bulge }: the bulge on vertex i
+ * belongs to the segment i -> i+1 (closed polylines add last -> first). Editing
+ * operations go through segments so arcs stay attached to the right span:
+ * - reversing swaps a/b, reverses the order and negates each bulge
+ * - splitting or exploding keeps each bulge with its segment, and end vertices of
+ *   open results carry no bulge
+ * - concatenating at a shared point takes the joint's bulge from the second part
+ *
+ * All functions return new objects; inputs are never mutated.
+ */
+
+function point(v) {
+  return { x: v.x, y: v.y };
+}
+
+/**
+ * Directed segments of a polyline.
+ * @param {{ closed?:boolean, vertices:Array<{x:number,y:number,bulge?:number}> }} poly
+ * @returns {Array<{ a:{x,y}, b:{x,y}, bulge:number }>}
+ */
+export function toSegments(poly) {
+  const verts = poly?.vertices || [];
+  const segs = [];
+  for (let i = 0; i + 1 < verts.length; i++) {
+    segs.push({ a: point(verts[i]), b: point(verts[i + 1]), bulge: verts[i].bulge || 0 });
+  }
+  if (poly?.closed && verts.length >= 2) {
+    const last = verts[verts.length - 1];
+    segs.push({ a: point(last), b: point(verts[0]), bulge: last.bulge || 0 });
+  }
+  return segs;
+}
+
+/**
+ * Vertices for a chain of segments (each segment's b is the next one's a).
+ * @param {Array<{a,b,bulge}>} segs
+ * @param {boolean} [closed] - the last segment returns to the first vertex
+ * @returns {Array<{x:number,y:number,bulge?:number}>}
+ */
+export function fromSegments(segs, closed = false) {
+  const out = segs.map((s) => {
+    const v = point(s.a);
+    if (s.bulge) v.bulge = s.bulge;
+    return v;
+  });
+  if (!closed && segs.length) out.push(point(segs[segs.length - 1].b));
+  return out;
+}
+
+// The same segment walked the other way
+export function reverseSegment(seg) {
+  return { a: point(seg.b), b: point(seg.a), bulge: seg.bulge ? -seg.bulge : 0 };
+}
+
+// Length along the segment (the arc length for bulges)
+export function segmentLength(seg) {
+  const chord = Math.hypot(seg.b.x - seg.a.x, seg.b.y - seg.a.y);
+  if (!seg.bulge) return chord;
+  const sweep = 4 * Math.atan(Math.abs(seg.bulge));
+  return sweep === 0 ? chord : (chord * (1 + seg.bulge * seg.bulge) / (4 * Math.abs(seg.bulge))) * sweep;
+}
+
+/**
+ * Reverse an open vertex list: segment i -> i+1 becomes i+1 -> i with its bulge negated
+ * and moved to the new start vertex of that segment.
+ * @param {Array<{x:number,y:number,bulge?:number}>} vertices
+ * @returns {Array<{x:number,y:number,bulge?:number}>}
+ */
+export function reverseVertices(vertices) {
+  if (!vertices?.length) return [];
+  if (vertices.length === 1) return [point(vertices[0])];
+  const segs = toSegments({ vertices, closed: false }).reverse().map(reverseSegment);
+  return fromSegments(segs, false);
+}
+
+/**
+ * Reverse a polyline (open or closed), keeping every arc in place.
+ * @returns {object} a new polyline with the same properties
+ */
+export function reversePolyline(poly) {
+  if (!poly?.closed) return { ...poly, vertices: reverseVertices(poly?.vertices) };
+  const segs = toSegments(poly).reverse().map(reverseSegment);
+  return { ...poly, vertices: fromSegments(segs, true) };
+}
+
+/**
+ * Join two open vertex lists that meet at a point (a's end ~ b's start).
+ * The joint vertex takes b's first bulge; b's first point is dropped.
+ */
+export function concatVertices(a, b) {
+  if (!a?.length) return (b || []).map((v) => ({ ...v }));
+  if (!b?.length) return a.map((v) => ({ ...v }));
+  const head = a.slice(0, -1).map((v) => ({ ...v }));
+  const joint = { ...a[a.length - 1] };
+  delete joint.bulge;
+  if (b[0].bulge) joint.bulge = b[0].bulge;
+  return [...head, joint, ...b.slice(1).map((v) => ({ ...v }))];
+}
+
+/**
+ * Split a polyline at a vertex.
+ * - open: two open polylines sharing that vertex (the first ends without a bulge)
+ * - closed: one open polyline that starts and ends at that vertex
+ * @returns {Array<object>} resulting polylines (empty parts are omitted)
+ */
+export function splitAtVertex(poly, index) {
+  const segs = toSegments(poly);
+  if (!segs.length) return [{ ...poly, vertices: (poly?.vertices || []).map(point) }];
+  if (poly.closed) {
+    const n = segs.length;
+    const k = ((index % n) + n) % n;
+    const rotated = [...segs.slice(k), ...segs.slice(0, k)];
+    return [{ ...poly, closed: false, vertices: fromSegments(rotated, false) }];
+  }
+  const before = segs.slice(0, index);
+  const after = segs.slice(index);
+  return [before, after]
+    .filter((part) => part.length)
+    .map((part) => ({ ...poly, closed: false, vertices: fromSegments(part, false) }));
+}
+
+/**
+ * Explode a polyline into one open two-vertex polyline per segment.
+ * @param {object} poly
+ * @param {object} [props] - properties for every piece (e.g. { layer: "UNJOINED" })
+ */
+export function explodeSegments(poly, props = {}) {
+  return toSegments(poly).map((s) => ({
+    vertices: fromSegments([s], false),
+    closed: false,
+    ...props,
+  }));
+}
+
+/**
+ * Compare the segment geometry of two polyline lists, in order.
+ * Used by the DXF export round-trip test (export -> parse).
+ * @param {Array} expected
+ * @param {Array} actual
+ * @param {{ tolerance?: number, bulgeTolerance?: number }} [opts]
+ * @returns {Array<string>} human-readable mismatches (empty when identical)
+ */
+export function compareSegmentGeometry(expected, actual, opts = {}) {
+  const tol = opts.tolerance ?? 1e-5;
+  const bulgeTol = opts.bulgeTolerance ?? 1e-5;
+  const problems = [];
+  if (expected.length !== actual.length) {
+    problems.push(`polyline count ${expected.length} != ${actual.length}`);
+    return problems;
+  }
+  const near = (p, q) => Math.hypot(p.x - q.x, p.y - q.y) <= tol;
+  for (let i = 0; i < expected.length; i++) {
+    const se = toSegments(expected[i]);
+    const sa = toSegments(actual[i]);
+    if (se.length !== sa.length) {
+      problems.push(`polyline ${i}: ${se.length} segments != ${sa.length}`);
+      continue;
+    }
+    for (let k = 0; k < se.length; k++) {
+      const e = se[k];
+      const a = sa[k];
+      if (!near(e.a, a.a) || !near(e.b, a.b)) {
+        problems.push(`polyline ${i} segment ${k}: endpoints differ`);
+      } else if (Math.abs(e.bulge - a.bulge) > bulgeTol) {
+        problems.push(`polyline ${i} segment ${k}: bulge ${e.bulge} != ${a.bulge}`);
+      }
+    }
+  }
+  return problems;
+}
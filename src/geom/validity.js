@@ -0,0 +1,108 @@
+/**
+ * src/geom/validity.js
+ * Validity checks for closed parts before export (Mozaik rejects or mis-cuts bad contours).
+ *
+ * analysePart(poly, opts) reports:
+ * - duplicate-vertex:  consecutive vertices within tolerance
+ * - tiny-segment:      segment longer than tolerance but shorter than minSegment
+ * - spike:             the contour turns back on itself (turn within spikeAngle of 180°)
+ * - self-intersection: two non-adjacent segments cross or touch, or neighbours cross again
+ * A snapped duplicate closing vertex (last == first) is not a problem.
+ * Arcs are checked as arcs (tangent directions, arc intersections).
+ */
+
+import { toSegments, segmentLength } from "./segments.js";
+import { overlappingBoxPairs } from "./boxPairs.js";
+import { polylineBounds } from "./bounds.js";
+import { prepareSegment, segmentIntersections, distanceToSegment } from "./intersect.js";
+
+function dist(p, q) {
+  return Math.hypot(p.x - q.x, p.y - q.y);
+}
+
+// Tangent directions at the start and end of a segment
+function startAngle(seg) {
+  return Math.atan2(seg.b.y - seg.a.y, seg.b.x - seg.a.x) - 2 * Math.atan(seg.bulge || 0);
+}
+
+function endAngle(seg) {
+  return Math.atan2(seg.b.y - seg.a.y, seg.b.x - seg.a.x) + 2 * Math.atan(seg.bulge || 0);
+}
+
+/**
+ * @param {{ closed?:boolean, vertices:Array<{x:number,y:number,bulge?:number}> }} poly - a closed part
+ * @param {{ tolerance?:number, minSegment?:number, spikeAngleDeg?:number }} [opts]
+ *   minSegment defaults to 5 x tolerance, spikeAngleDeg to 2
+ * @returns {{ valid:boolean, issues:Array<{ kind:string, x:number, y:number, message:string }> }}
+ */
+export function analysePart(poly, opts = {}) {
+  const tol = opts.tolerance ?? 1e-3;
+  const minSegment = opts.minSegment ?? tol * 5;
+  const spikeAngle = ((opts.spikeAngleDeg ?? 2) * Math.PI) / 180;
+  const issues = [];
+
+  let verts = poly?.vertices || [];
+  if (verts.length > 2 && dist(verts[0], verts[verts.length - 1]) <= tol && !verts[verts.length - 1].bulge) {
+    verts = verts.slice(0, -1);
+  }
+  const segs = toSegments({ vertices: verts, closed: true });
+
+  // Duplicate vertices and tiny segments; later checks use only real segments
+  const real = [];
+  segs.forEach((seg, k) => {
+    const length = segmentLength(seg);
+    if (length <= tol) {
+      issues.push({ kind: "duplicate-vertex", x: seg.a.x, y: seg.a.y, message: `Duplicate vertex ${k + 1}` });
+      return;
+    }
+    if (length < minSegment) {
+      const mid = { x: (seg.a.x + seg.b.x) / 2, y: (seg.a.y + seg.b.y) / 2 };
+      issues.push({ kind: "tiny-segment", ...mid, message: `Segment ${k + 1} is only ${length.toFixed(4)} long` });
+    }
+    real.push(prepareSegment(seg));
+  });
+  const m = real.length;
+
+  // Spikes: the direction reverses at a vertex
+  if (m >= 2) {
+    for (let k = 0; k < m; k++) {
+      const cur = real[k];
+      const next = real[(k + 1) % m];
+      let turn = startAngle(next) - endAngle(cur);
+      turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+      if (Math.abs(turn) >= Math.PI - spikeAngle) {
+        issues.push({ kind: "spike", x: next.a.x, y: next.a.y, message: "Contour turns back on itself" });
+      }
+    }
+  }
+
+  // Self-intersections
+  const boxes = real.map((s) => {
+    const b = polylineBounds({ vertices: [{ ...s.a, bulge: s.bulge }, s.b] });
+    return { minX: b.minX - tol, minY: b.minY - tol, maxX: b.maxX + tol, maxY: b.maxY + tol };
+  });
+  const crossings = [];
+  for (const [i, j] of overlappingBoxPairs(boxes)) {
+    const s1 = real[i];
+    const s2 = real[j];
+    const adjacent = j === i + 1 || (i === 0 && j === m - 1);
+    let points = segmentIntersections(s1, s2, tol);
+    if (adjacent) {
+      // Neighbours meet at their shared vertex (both ends for a two-segment circle)
+      const shared = [s1.a, s1.b].filter((p) => dist(p, s2.a) <= tol || dist(p, s2.b) <= tol);
+      points = points.filter((p) => !shared.some((q) => dist(p, q) <= tol));
+    } else {
+      // Touching and collinear overlaps give an end lying on the other segment
+      for (const p of [s2.a, s2.b]) if (distanceToSegment(s1, p) <= tol) points.push(p);
+      for (const p of [s1.a, s1.b]) if (distanceToSegment(s2, p) <= tol) points.push(p);
+    }
+    for (const p of points) {
+      if (!crossings.some((q) => dist(p, q) <= tol)) crossings.push({ x: p.x, y: p.y });
+    }
+  }
+  for (const p of crossings) {
+    issues.push({ kind: "self-intersection", x: p.x, y: p.y, message: "Contour crosses itself" });
+  }
+
+  return { valid: issues.length === 0, issues };
+}
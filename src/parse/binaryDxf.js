@@ -0,0 +1,158 @@
+/**
+ * src/parse/binaryDxf.js
+ * Binary DXF decoder.
+ *
+ * Converts a binary DXF file into the same [code, value] string pair stream that
+ * the ASCII toPairs() produces, so every entity reader works unchanged.
+ *
+ * Layout:
+ * - 22-byte sentinel "AutoCAD Binary DXF\r\n\x1a\0"
+ * - R13+: group codes are little-endian int16
+ * - R12:  group codes are one byte; 255 escapes to a following int16
+ * - Value type depends on the group code (string / double / int16 / int32 / int64 / bool / binary)
+ */
+
+const SENTINEL = "AutoCAD Binary DXF\r\n\x1a\0";
+
+/**
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {boolean}
+ */
+export function isBinaryDXF(data) {
+  const bytes = toBytes(data);
+  if (bytes.length < SENTINEL.length) return false;
+  for (let i = 0; i < SENTINEL.length; i++) {
+    if (bytes[i] !== SENTINEL.charCodeAt(i)) return false;
+  }
+  return true;
+}
+
+/**
+ * Decode a binary DXF into [code, value] string pairs.
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {Array<[string, string]>}
+ */
+export function binaryToPairs(data) {
+  const bytes = toBytes(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder("utf-8");
+  const pairs = [];
+
+  let pos = SENTINEL.length;
+  // First group is always 0/SECTION: R12 writes 0x00 'S', R13+ writes 0x00 0x00
+  const wideCodes = bytes[pos + 1] === 0;
+
+  const need = (n) => {
+    if (pos + n > bytes.length) {
+      throw new Error(`Truncated binary DXF at byte ${pos} (need ${n} more bytes)`);
+    }
+  };
+
+  const readString = () => {
+    let stop = pos;
+    while (stop < bytes.length && bytes[stop] !== 0) stop++;
+    const s = decoder.decode(bytes.subarray(pos, stop));
+    pos = Math.min(bytes.length, stop + 1);
+    return s;
+  };
+
+  while (pos < bytes.length) {
+    let code;
+    if (wideCodes) {
+      need(2);
+      code = view.getInt16(pos, true);
+      pos += 2;
+    } else {
+      need(1);
+      code = bytes[pos];
+      pos += 1;
+      if (code === 255) {
+        need(2);
+        code = view.getInt16(pos, true);
+        pos += 2;
+      }
+    }
+
+    let value;
+    switch (valueType(code)) {
+      case "double":
+        need(8);
+        value = String(view.getFloat64(pos, true));
+        pos += 8;
+        break;
+      case "int16":
+        need(2);
+        value = String(view.getInt16(pos, true));
+        pos += 2;
+        break;
+      case "int32":
+        need(4);
+        value = String(view.getInt32(pos, true));
+        pos += 4;
+        break;
+      case "int64":
+        need(8);
+        value = String(view.getBigInt64(pos, true));
+        pos += 8;
+        break;
+      case "bool":
+        need(1);
+        value = String(bytes[pos]);
+        pos += 1;
+        break;
+      case "binary": {
+        need(1);
+        const len = bytes[pos];
+        need(1 + len);
+        value = hex(bytes.subarray(pos + 1, pos + 1 + len));
+        pos += 1 + len;
+        break;
+      }
+      default:
+        value = readString();
+        break;
+    }
+
+    pairs.push([String(code), value]);
+    if (code === 0 && value === "EOF") break;
+  }
+
+  return pairs;
+}
+
+// Group code -> value encoding (DXF reference, "Group Code Value Types")
+function valueType(code) {
+  if (code >= 10 && code <= 59) return "double";
+  if (code >= 60 && code <= 79) return "int16";
+  if (code >= 90 && code <= 99) return "int32";
+  if (code >= 110 && code <= 149) return "double";
+  if (code >= 160 && code <= 169) return "int64";
+  if (code >= 170 && code <= 179) return "int16";
+  if (code >= 210 && code <= 239) return "double";
+  if (code >= 270 && code <= 289) return "int16";
+  if (code >= 290 && code <= 299) return "bool";
+  if (code >= 310 && code <= 319) return "binary";
+  if (code >= 370 && code <= 389) return "int16";
+  if (code >= 400 && code <= 409) return "int16";
+  if (code >= 420 && code <= 429) return "int32";
+  if (code >= 440 && code <= 459) return "int32";
+  if (code >= 460 && code <= 469) return "double";
+  if (code === 1004) return "binary";
+  if (code >= 1010 && code <= 1059) return "double";
+  if (code >= 1060 && code <= 1070) return "int16";
+  if (code === 1071) return "int32";
+  return "string";
+}
+
+function toBytes(data) {
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  return new Uint8Array(0);
+}
+
+function hex(bytes) {
+  let s = "";
+  for (const b of bytes) s += b.toString(16).padStart(2, "0").toUpperCase();
+  return s;
+}
@@ -0,0 +1,218 @@
+/**
+ * src/parse/blocks.js
+ * BLOCKS section parsing and INSERT expansion.
+ *
+ * - parseBlocksSection: index every BLOCK ... ENDBLK definition by name
+ *   (base point + pair range of its entities; entities are parsed on demand)
+ * - readInsert: read an INSERT entity (name, insertion point, scale, rotation, array)
+ * - expandInsert: parse the referenced block's entities and place each copy in
+ *   world space, recursing into nested INSERTs; TEXT/MTEXT labels in the block are
+ *   placed the same way (position, rotation and height follow the insert)
+ *
+ * Transform per copy: p' = insertion + R(rotation) * (S(scale) * (p - base) + arrayOffset)
+ * A mirrored copy (scaleX * scaleY < 0) reverses arc direction, so bulges are negated.
+ * Entities on layer "0" inherit the INSERT's layer (AutoCAD convention).
+ * A zero scale factor collapses the copy to nothing; such INSERTs are not expanded.
+ * A block that inserts itself (directly or through others), or nesting deeper than
+ * MAX_INSERT_DEPTH, stops the expansion; the result says why so the parser can report it.
+ */
+
+import { parseIntSafe, parseFloatSafe } from "./dxfValues.js";
+
+export const MAX_INSERT_DEPTH = 16; // safety cap for nested / self-referencing blocks
+
+/**
+ * @param {Array<[string,string]>} pairs
+ * @param {number} start
+ * @param {number} end
+ * @returns {Map<string, { name:string, baseX:number, baseY:number, start:number, end:number }>}
+ *   keys are upper-case block names
+ */
+export function parseBlocksSection(pairs, start, end) {
+  const blocks = new Map();
+  for (let i = start; i < end; i++) {
+    const [code, val] = pairs[i];
+    if (code !== "0" || (val || "").toUpperCase() !== "BLOCK") continue;
+
+    const block = { name: "", baseX: 0, baseY: 0, start: end, end };
+    let j = i + 1;
+    for (; j < end; j++) {
+      const [c, v] = pairs[j];
+      if (c === "0") break;
+      if (c === "2" && !block.name) block.name = v || "";
+      else if (c === "10") block.baseX = parseFloatSafe(v);
+      else if (c === "20") block.baseY = parseFloatSafe(v);
+    }
+    block.start = j;
+
+    for (; j < end; j++) {
+      const [c, v] = pairs[j];
+      if (c === "0" && (v || "").toUpperCase() === "ENDBLK") break;
+    }
+    block.end = j;
+    i = j;
+
+    if (block.name) {
+      blocks.set(block.name.toUpperCase(), block);
+    }
+  }
+  console.log("[DXF-PARSER] Blocks found:", Array.from(blocks.keys()));
+  return blocks;
+}
+
+// Malformed scale values default to 1; an explicit 0 is kept (the caller reports it)
+function scaleValue(val) {
+  const n = parseFloat(String(val));
+  return Number.isFinite(n) ? n : 1;
+}
+
+export function readInsert(pairs, i, end) {
+  const insert = {
+    name: "",
+    layer: "",
+    x: 0,
+    y: 0,
+    scaleX: 1,
+    scaleY: 1,
+    rotation: 0, // degrees
+    columns: 1,
+    rows: 1,
+    columnSpacing: 0,
+    rowSpacing: 0,
+  };
+
+  let doneAt = i;
+  for (let j = i; j < end; j++) {
+    doneAt = j;
+    const [code, val] = pairs[j];
+    if (code === "0") break;
+
+    switch (code) {
+      case "2": // block name
+        insert.name = val || "";
+        break;
+      case "8": // layer
+        insert.layer = val || "";
+        break;
+      case "10":
+        insert.x = parseFloatSafe(val);
+        break;
+      case "20":
+        insert.y = parseFloatSafe(val);
+        break;
+      case "41":
+        insert.scaleX = scaleValue(val);
+        break;
+      case "42":
+        insert.scaleY = scaleValue(val);
+        break;
+      case "50":
+        insert.rotation = parseFloatSafe(val);
+        break;
+      case "70":
+        insert.columns = Math.max(1, parseIntSafe(val));
+        break;
+      case "71":
+        insert.rows = Math.max(1, parseIntSafe(val));
+        break;
+      case "44":
+        insert.columnSpacing = parseFloatSafe(val);
+        break;
+      case "45":
+        insert.rowSpacing = parseFloatSafe(val);
+        break;
+      default:
+        break;
+    }
+  }
+
+  return { next: doneAt, insert };
+}
+
+/**
+ * Expand an INSERT into world-space polylines and labels.
+ * @param {object} insert - from readInsert
+ * @param {Map} blocks - from parseBlocksSection
+ * @param {(start:number, end:number, depth:number, chain:Set<string>) => { polylines:Array, labels:Array }} parseRange -
+ *   parses a block's entity range (including nested INSERTs) into polylines and labels
+ * @param {number} depth - current nesting depth
+ * @param {Set<string>} chain - block names currently being expanded (cycle guard)
+ * @returns {{ polylines:Array<{layer:string, closed:boolean, vertices:Array<{x,y,bulge?}>}>, labels:Array,
+ *             stopped?:"cycle"|"depth" }} stopped is set when this INSERT was not expanded
+ */
+export function expandInsert(insert, blocks, parseRange, depth = 0, chain = new Set()) {
+  const key = (insert.name || "").toUpperCase();
+  const block = blocks?.get(key);
+  // Missing blocks and zero scale factors are reported by the parser's diagnostics
+  if (!block || insert.scaleX === 0 || insert.scaleY === 0) return { polylines: [], labels: [] };
+  if (chain.has(key)) return { polylines: [], labels: [], stopped: "cycle" };
+  if (depth >= MAX_INSERT_DEPTH) return { polylines: [], labels: [], stopped: "depth" };
+
+  const nextChain = new Set(chain);
+  nextChain.add(key);
+  const { polylines: source, labels } = parseRange(block.start, block.end, depth + 1, nextChain);
+  if (insert.scaleX !== insert.scaleY && source.some(hasBulge)) {
+    console.log("[DXF-PARSER] Non-uniform INSERT scale on block", insert.name, "- arcs are kept circular");
+  }
+
+  const out = { polylines: [], labels: [] };
+  for (let row = 0; row < insert.rows; row++) {
+    for (let col = 0; col < insert.columns; col++) {
+      const offX = col * insert.columnSpacing;
+      const offY = row * insert.rowSpacing;
+      for (const poly of source) {
+        out.polylines.push(transformPolyline(poly, insert, block, offX, offY));
+      }
+      for (const label of labels) {
+        out.labels.push(transformLabel(label, insert, block, offX, offY));
+      }
+    }
+  }
+  return out;
+}
+
+function hasBulge(poly) {
+  return (poly.vertices || []).some((v) => v.bulge);
+}
+
+// Block point -> world point for one array copy
+function placePoint(x, y, insert, block, offX, offY) {
+  const rad = (insert.rotation * Math.PI) / 180;
+  const lx = (x - block.baseX) * insert.scaleX + offX;
+  const ly = (y - block.baseY) * insert.scaleY + offY;
+  return {
+    x: insert.x + lx * Math.cos(rad) - ly * Math.sin(rad),
+    y: insert.y + lx * Math.sin(rad) + ly * Math.cos(rad),
+  };
+}
+
+function insertLayer(layer, insert) {
+  return !layer || layer === "0" ? insert.layer || layer : layer;
+}
+
+function transformPolyline(poly, insert, block, offX, offY) {
+  const mirrored = insert.scaleX * insert.scaleY < 0;
+
+  const vertices = poly.vertices.map((v) => {
+    const out = { ...v, ...placePoint(v.x, v.y, insert, block, offX, offY) };
+    if (v.bulge) out.bulge = mirrored ? -v.bulge : v.bulge;
+    return out;
+  });
+
+  return { ...poly, layer: insertLayer(poly.layer, insert), vertices };
+}
+
+// Text keeps reading along its (scaled, rotated) baseline; height follows the Y scale
+function transformLabel(label, insert, block, offX, offY) {
+  const r = (label.rotation * Math.PI) / 180;
+  const dx = Math.cos(r) * insert.scaleX;
+  const dy = Math.sin(r) * insert.scaleY;
+  const rotation = (Math.atan2(dy, dx) * 180) / Math.PI + insert.rotation;
+  return {
+    ...label,
+    ...placePoint(label.x, label.y, insert, block, offX, offY),
+    layer: insertLayer(label.layer, insert),
+    height: label.height * Math.abs(insert.scaleY),
+    rotation: ((rotation % 360) + 360) % 360,
+  };
+}
@@ -0,0 +1,38 @@
+/**
+ * src/parse/diagnostics.js
+ * Structured parse diagnostics collected while reading a DXF.
+ *
+ * Entry: { severity: "error"|"warning"|"info", code: string, message: string, line: number|null }
+ * - line is the 1-based source line of the group code (ASCII DXF); null when
+ *   unknown (binary DXF or file-level findings)
+ *
+ * Entries are not logged here; the import flow logs one summary per file.
+ */
+
+/**
+ * @param {(pairIndex:number) => number|null} [lineOf] - maps a pair index to a source line
+ */
+export function createDiagnostics(lineOf = () => null) {
+  const list = [];
+
+  function add(severity, code, message, pairIndex = null) {
+    const entry = {
+      severity,
+      code,
+      message,
+      line: pairIndex == null ? null : lineOf(pairIndex),
+    };
+    list.push(entry);
+    return entry;
+  }
+
+  return {
+    list,
+    setLineMapper(fn) {
+      lineOf = fn;
+    },
+    info: (code, message, pairIndex) => add("info", code, message, pairIndex),
+    warn: (code, message, pairIndex) => add("warning", code, message, pairIndex),
+    error: (code, message, pairIndex) => add("error", code, message, pairIndex),
+  };
+}
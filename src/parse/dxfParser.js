@@ -1,33 +1,74 @@
 /**
  * src/parse/dxfParser.js
- * Lightweight ASCII DXF parser (subset) focused on:
- * - HEADER:$INSUNITS detection (maps to "in"/"mm" when possible)
+ * Lightweight ASCII/binary DXF parser (subset) focused on:
+ * - HEADER:$INSUNITS detection (full AutoCAD table, mapped to unit ids by units.js)
+ * - TABLES:LAYER records (colour, linetype, frozen/off/locked)
  * - ENTITIES:LWPOLYLINE (with bulge), POLYLINE/SEQEND + VERTEX
+ * - ENTITIES:LINE, ARC, CIRCLE, ELLIPSE, SPLINE converted to (bulge) polylines
+ * - ENTITIES:HATCH boundary loops as closed polylines (boundary: "outer" | "inner")
+ * - ENTITIES:TEXT, MTEXT as plain-text labels (part names)
+ * - BLOCKS + ENTITIES:INSERT expanded recursively into world-space polylines
  * Output:
  * {
- *   unitsAuto: "in" | "mm" | null,
+ *   unitsAuto: "in" | "mm" | "ft" | "cm" | "m" | ... | null,
  *   polylines: Array<{
  *     layer: string,
  *     closed: boolean,
- *     vertices: Array<{ x:number, y:number, bulge?:number }>
- *   }>
+ *     vertices: Array<{ x:number, y:number, bulge?:number }>,
+ *     boundary?: "outer" | "inner"   (HATCH loops only)
+ *   }>,
+ *   labels: Array<{ kind, layer, text, x, y, height, rotation }>  (see readText.js),
+ *   layers: Array<{ name, color, colorHex, linetype, frozen, off, locked }>,
+ *   diagnostics: Array<{ severity, code, message, line }>  (see diagnostics.js)
  * }
  *
  * Notes:
- * - We tolerate minimal format variance. Binary DXF is not supported.
- * - We do not interpret ARC/CIRCLE/etc. Only polylines are extracted.
+ * - We tolerate minimal format variance. Binary DXF (sentinel-detected) is decoded
+ *   into the same [code, value] pair stream as ASCII, see binaryDxf.js.
+ * - ARC/CIRCLE/LWPOLYLINE/POLYLINE honour the OCS extrusion (210/220/230) and
+ *   elevation, see ocs.js. ARC/CIRCLE become exact bulge polylines; ELLIPSE and SPLINE are fitted with
+ *   bulge arcs within options.chordTolerance (model units, default 0.001).
  * - For preview, arcs may be linearized; bulge is preserved for export.
- * - We DO NOT rescale coordinates; units are metadata only.
+ * - The parser DOES NOT rescale coordinates; callers convert to a working unit
+ *   with convertToWorkingUnits() from src/units/units.js.
  */
 
-export function parseDXF(text) {
-  const lines = toPairs(text);
+import { parseIntSafe, parseFloatSafe } from "./dxfValues.js";
+import { readCircle, readEllipse } from "./readCircleEllipse.js";
+import { readSpline } from "./readSpline.js";
+import { readHatch } from "./readHatch.js";
+import { readText, readMText } from "./readText.js";
+import { parseBlocksSection, readInsert, expandInsert, MAX_INSERT_DEPTH } from "./blocks.js";
+import { isBinaryDXF, binaryToPairs } from "./binaryDxf.js";
+import { mapInsunits } from "../units/units.js";
+import { parseLayerTable } from "./readLayers.js";
+import { applyOcs } from "./ocs.js";
+import { createDiagnostics } from "./diagnostics.js";
+
+// Entity types with a reader below; anything else is reported as skipped
+const SUPPORTED_ENTITIES = new Set([
+  "LWPOLYLINE", "POLYLINE", "LINE", "ARC", "CIRCLE", "ELLIPSE", "SPLINE", "HATCH", "INSERT",
+  "TEXT", "MTEXT",
+]);
+// Structural records that legitimately appear between entities
+const STRUCTURAL_RECORDS = new Set(["SEQEND", "VERTEX", "ATTRIB", "ENDSEC", "ENDBLK"]);
+
+/**
+ * @param {string|ArrayBuffer|Uint8Array} input - ASCII DXF text, or raw file bytes (ASCII or binary)
+ * @param {{ chordTolerance?: number }} [options]
+ */
+export function parseDXF(input, options = {}) {
+  const diag = createDiagnostics();
+  const lines = readPairs(input, diag);
   console.log("[DXF-PARSER] Total pairs created:", lines.length);
   console.log("[DXF-PARSER] First 10 pairs:", lines.slice(0, 10));
   
   const res = {
     unitsAuto: null,
     polylines: [],
+    labels: [],
+    layers: [],
+    diagnostics: diag.list,
   };
 
   // Parse HEADER for $INSUNITS
@@ -36,14 +77,41 @@ export function parseDXF(text) {
   if (headerRange) {
     res.unitsAuto = parseUnitsFromHeader(lines, headerRange[0], headerRange[1]);
   }
+  if (!res.unitsAuto) {
+    diag.info("NO_INSUNITS", "No usable $INSUNITS in HEADER; select units manually", headerRange?.[0] ?? null);
+  }
+
+  // Parse TABLES for LAYER records
+  const tablesRange = findSection(lines, "TABLES");
+  if (tablesRange) {
+    res.layers = parseLayerTable(lines, tablesRange[0], tablesRange[1]);
+  }
+
+  // Parse BLOCKS so INSERT entities can be expanded
+  const blocksRange = findSection(lines, "BLOCKS");
+  console.log("[DXF-PARSER] BLOCKS section range:", blocksRange);
+  const blocks = blocksRange
+    ? parseBlocksSection(lines, blocksRange[0], blocksRange[1])
+    : new Map();
 
   // Parse ENTITIES for LWPOLYLINE and POLYLINE/ VERTEX sequences
   const entitiesRange = findSection(lines, "ENTITIES");
   console.log("[DXF-PARSER] ENTITIES section range:", entitiesRange);
   if (entitiesRange) {
-    const polys = parseEntitiesForPolylines(lines, entitiesRange[0], entitiesRange[1]);
+    const ctx = { blocks, depth: 0, chain: new Set(), diag, skipped: new Map(), labels: res.labels };
+    const polys = parseEntitiesForPolylines(lines, entitiesRange[0], entitiesRange[1], options, ctx);
+    countSkippedInBlocks(lines, blocks, ctx.skipped);
     // Deduplicate trivial/empty
     res.polylines = polys.filter((p) => (p?.vertices?.length || 0) >= 2);
+    if (polys.length > res.polylines.length) {
+      diag.warn("EMPTY_GEOMETRY", `${polys.length - res.polylines.length} entities had fewer than 2 vertices and were dropped`);
+    }
+    for (const [type, info] of ctx.skipped) {
+      diag.warn("UNSUPPORTED_ENTITY", `${info.count} ${type} entit${info.count === 1 ? "y" : "ies"} skipped`, info.first);
+    }
+    if (res.polylines.length === 0) {
+      diag.warn("NO_GEOMETRY", "No supported geometry found in ENTITIES", entitiesRange[0]);
+    }
   } else {
     console.log("[DXF-PARSER] No ENTITIES section found! Searching for sections...");
     const allSections = [];
@@ -57,23 +125,75 @@ export function parseDXF(text) {
       }
     }
     console.log("[DXF-PARSER] All sections found:", allSections);
+    diag.error("NO_ENTITIES", `No ENTITIES section (sections found: ${allSections.join(", ") || "none"})`);
   }
 
   return res;
 }
 
+// Count an entity type no reader handles (first occurrence kept for the diagnostic line)
+function noteSkipped(skipped, type, at) {
+  if (SUPPORTED_ENTITIES.has(type) || STRUCTURAL_RECORDS.has(type)) return;
+  const info = skipped.get(type) || { count: 0, first: at };
+  info.count++;
+  skipped.set(type, info);
+}
+
+// Unsupported entities inside block definitions, counted once however often the block is inserted
+function countSkippedInBlocks(pairs, blocks, skipped) {
+  for (const block of blocks.values()) {
+    for (let i = block.start; i < block.end; i++) {
+      const [code, val] = pairs[i];
+      if (code === "0") noteSkipped(skipped, (val || "").toUpperCase(), i);
+    }
+  }
+}
+
+/**
+ * Turn any supported input into [code, value] pairs.
+ * Raw bytes are checked for the binary sentinel, otherwise decoded as UTF-8 text.
+ */
+function readPairs(input, diag) {
+  if (typeof input === "string") return toPairs(input, diag);
+  if (isBinaryDXF(input)) {
+    diag.info("BINARY_DXF", "Binary DXF detected; line numbers are not available");
+    return binaryToPairs(input);
+  }
+  return toPairs(new TextDecoder("utf-8").decode(input), diag);
+}
+
 /**
  * Convert DXF text to an array of [code, value] pairs (both strings).
  * DXF uses alternating lines: group code, then value.
+ * Pair k starts on source line 2k+1; diagnostics use that mapping.
+ * Exported so tests can compare it with the binary decoder's output.
  */
-function toPairs(text) {
+export function toPairs(text, diag) {
   const raw = text.replace(/\r\n/g, "\n").replace(/\r/g, "\n").split("\n");
+  diag?.setLineMapper((k) => 2 * k + 1);
+
+  // Trailing newline(s) are not part of the pair stream
+  let count = raw.length;
+  while (count > 0 && raw[count - 1].trim() === "") count--;
+  if (count % 2 === 1) {
+    diag?.warn("ODD_LINE_COUNT", `Odd line count at EOF; dangling line "${raw[count - 1].trim()}" ignored`, (count - 1) / 2);
+  }
+
   const pairs = [];
-  for (let i = 0; i + 1 < raw.length; i += 2) {
+  let badCodes = 0;
+  let firstBad = null;
+  for (let i = 0; i + 1 < count; i += 2) {
     const code = raw[i] != null ? raw[i].trim() : "";
     const value = raw[i + 1] != null ? raw[i + 1].trim() : "";
+    if (!/^-?\d+$/.test(code)) {
+      badCodes++;
+      if (firstBad == null) firstBad = pairs.length;
+    }
     pairs.push([code, value]);
   }
+  if (badCodes > 0) {
+    diag?.warn("MALFORMED_PAIR", `${badCodes} malformed group code(s); file may be misaligned`, firstBad);
+  }
   return pairs;
 }
 
@@ -130,73 +250,111 @@ function parseUnitsFromHeader(pairs, start, end) {
   return null;
 }
 
-// Map a subset of AutoCAD $INSUNITS codes to "in"/"mm"
-function mapInsunits(n) {
-  // Common codes:
-  // 0 = Unitless, 1 = Inches, 2 = Feet, 3 = Miles, 4 = Millimeters,
-  // 5 = Centimeters, 6 = Meters, 7 = Kilometers, 8 = Microinches, 9 = Mils, ...
-  if (n === 1) return "in";
-  if (n === 4) return "mm";
-  return null;
-}
-
 /**
- * Parse ENTITIES section, extracting LWPOLYLINE, POLYLINE+VERTEX, and converting LINE/ARC to polylines.
+ * Parse ENTITIES section, extracting LWPOLYLINE, POLYLINE+VERTEX, and converting
+ * LINE/ARC/CIRCLE/ELLIPSE/SPLINE and HATCH boundaries to polylines. INSERTs are expanded via ctx.blocks.
+ * Also used for the entity range of a block definition (ctx.depth > 0).
  */
-function parseEntitiesForPolylines(pairs, start, end) {
+function parseEntitiesForPolylines(pairs, start, end, options = {}, ctx = {}) {
   const out = [];
   const entityTypes = {};
   
-  console.log("[DXF-PARSER] Scanning ENTITIES section from", start, "to", end, "total pairs:", pairs.length);
+  // Summaries are logged for the ENTITIES section only; block ranges are re-parsed per INSERT
+  if (!ctx.depth) console.log("[DXF-PARSER] Scanning ENTITIES section from", start, "to", end, "total pairs:", pairs.length);
   
   for (let i = start; i < end; i++) {
     const [code, val] = pairs[i];
     if (code !== "0") continue;
 
     const type = (val || "").toUpperCase();
+    const entityAt = i; // pair index of the entity's "0" record (for diagnostics)
     entityTypes[type] = (entityTypes[type] || 0) + 1;
+    if (ctx.skipped) noteSkipped(ctx.skipped, type, entityAt);
     
     if (type === "LWPOLYLINE") {
-      console.log("[DXF-PARSER] Found LWPOLYLINE at index", i);
       const { next, poly } = readLwPolyline(pairs, i + 1, end);
       i = next - 1;
+      if (poly) out.push(poly);
+    } else if (type === "POLYLINE") {
+      const { next, poly } = readPolylineSeq(pairs, i + 1, end, ctx.diag);
+      i = next - 1;
+      if (poly) out.push(poly);
+    } else if (type === "LINE") {
+      const { next, poly } = readLine(pairs, i + 1, end);
+      i = next - 1;
+      if (poly) out.push(poly);
+    } else if (type === "ARC") {
+      const { next, poly } = readArc(pairs, i + 1, end);
+      i = next - 1;
+      if (poly) out.push(poly);
+    } else if (type === "CIRCLE") {
+      const { next, poly } = readCircle(pairs, i + 1, end);
+      i = next - 1;
       if (poly) {
-        console.log("[DXF-PARSER] Successfully parsed LWPOLYLINE:", poly);
         out.push(poly);
       } else {
-        console.log("[DXF-PARSER] Failed to parse LWPOLYLINE");
+        ctx.diag?.warn("DEGENERATE_ENTITY", "CIRCLE with zero radius skipped", entityAt);
       }
-    } else if (type === "POLYLINE") {
-      console.log("[DXF-PARSER] Found POLYLINE at index", i);
-      const { next, poly } = readPolylineSeq(pairs, i + 1, end);
+    } else if (type === "ELLIPSE") {
+      const { next, poly } = readEllipse(pairs, i + 1, end, options);
       i = next - 1;
       if (poly) {
-        console.log("[DXF-PARSER] Successfully parsed POLYLINE:", poly);
         out.push(poly);
       } else {
-        console.log("[DXF-PARSER] Failed to parse POLYLINE");
+        ctx.diag?.warn("DEGENERATE_ENTITY", "ELLIPSE with degenerate axes skipped", entityAt);
       }
-    } else if (type === "LINE") {
-      console.log("[DXF-PARSER] Found LINE at index", i);
-      const { next, poly } = readLine(pairs, i + 1, end);
+    } else if (type === "SPLINE") {
+      const { next, poly } = readSpline(pairs, i + 1, end, options);
       i = next - 1;
       if (poly) {
-        console.log("[DXF-PARSER] Successfully parsed LINE:", poly);
         out.push(poly);
+      } else {
+        ctx.diag?.warn("DEGENERATE_ENTITY", "SPLINE without enough control or fit points skipped", entityAt);
       }
-    } else if (type === "ARC") {
-      console.log("[DXF-PARSER] Found ARC at index", i);
-      const { next, poly } = readArc(pairs, i + 1, end);
+    } else if (type === "HATCH") {
+      const { next, polys } = readHatch(pairs, i + 1, end, options);
       i = next - 1;
-      if (poly) {
-        console.log("[DXF-PARSER] Successfully parsed ARC:", poly);
-        out.push(poly);
+      if (polys.length) {
+        out.push(...polys);
+      } else {
+        ctx.diag?.warn("DEGENERATE_ENTITY", "HATCH without usable boundary paths skipped", entityAt);
+      }
+    } else if (type === "TEXT" || type === "MTEXT") {
+      const { next, label } = type === "TEXT" ? readText(pairs, i + 1, end) : readMText(pairs, i + 1, end);
+      i = next - 1;
+      // Inside a block this collects block-space labels; expandInsert places them
+      if (label && ctx.labels) {
+        ctx.labels.push(label);
       }
+    } else if (type === "INSERT") {
+      const { next, insert } = readInsert(pairs, i + 1, end);
+      i = next - 1;
+      if (!ctx.blocks?.has((insert.name || "").toUpperCase())) {
+        ctx.diag?.warn("UNKNOWN_BLOCK", `INSERT references missing block "${insert.name}"`, entityAt);
+      } else if (insert.scaleX === 0 || insert.scaleY === 0) {
+        ctx.diag?.warn("DEGENERATE_ENTITY", `INSERT of block "${insert.name}" with a zero scale factor skipped`, entityAt);
+      }
+      // Block entities are counted once per definition (see countSkippedInBlocks), not per INSERT
+      const parseRange = (s, e, depth, chain) => {
+        const labels = [];
+        const polylines = parseEntitiesForPolylines(pairs, s, e, options, { ...ctx, depth, chain, skipped: null, labels });
+        return { polylines, labels };
+      };
+      const expanded = expandInsert(insert, ctx.blocks, parseRange, ctx.depth || 0, ctx.chain || new Set());
+      if (expanded.stopped === "cycle") {
+        ctx.diag?.warn("BLOCK_RECURSION", `Block "${insert.name}" inserts itself; the nested INSERT was skipped`, entityAt);
+      } else if (expanded.stopped === "depth") {
+        ctx.diag?.warn("BLOCK_RECURSION", `INSERT of block "${insert.name}" nested deeper than ${MAX_INSERT_DEPTH} levels skipped`, entityAt);
+      }
+      out.push(...expanded.polylines);
+      ctx.labels?.push(...expanded.labels);
     }
   }
   
-  console.log("[DXF-PARSER] Entity types found in DXF:", JSON.stringify(entityTypes, null, 2));
-  console.log("[DXF-PARSER] Total polylines extracted:", out.length);
+  if (!ctx.depth) {
+    console.log("[DXF-PARSER] Entity types found in DXF:", JSON.stringify(entityTypes, null, 2));
+    console.log("[DXF-PARSER] Total polylines extracted:", out.length);
+  }
   
   return out;
 }
@@ -209,6 +367,8 @@ function readLwPolyline(pairs, i, end) {
   };
 
   let current = null;
+  let elevation = 0;
+  const extrusion = { x: 0, y: 0, z: 1 };
   let doneAt = i;
   for (let j = i; j < end; j++) {
     doneAt = j;
@@ -254,17 +414,30 @@ function readLwPolyline(pairs, i, end) {
         }
         break;
       }
+      case "38": // elevation (OCS Z)
+        elevation = parseFloatSafe(val);
+        break;
+      case "210": // extrusion direction X
+        extrusion.x = parseFloatSafe(val);
+        break;
+      case "220": // extrusion direction Y
+        extrusion.y = parseFloatSafe(val);
+        break;
+      case "230": // extrusion direction Z
+        extrusion.z = parseFloatSafe(val);
+        break;
       default:
         // ignore others
         break;
     }
   }
 
+  applyOcs(poly, extrusion, elevation);
   // If closed and last !== first, we can leave as-is; downstream may unify
   return { next: doneAt, poly };
 }
 
-function readPolylineSeq(pairs, i, end) {
+function readPolylineSeq(pairs, i, end, diag) {
   const poly = {
     layer: "",
     closed: false,
@@ -272,6 +445,9 @@ function readPolylineSeq(pairs, i, end) {
   };
 
   let flags = 0;
+  let elevation = 0;
+  const extrusion = { x: 0, y: 0, z: 1 };
+  let sawSeqend = false;
   let doneAt = i;
 
   // Read POLYLINE header props until we hit first 0 (VERTEX) or SEQEND
@@ -289,6 +465,7 @@ function readPolylineSeq(pairs, i, end) {
         continue;
       } else if (type === "SEQEND") {
         // Completed polyline
+        sawSeqend = true;
         break;
       } else {
         // Unexpected entity — stop
@@ -303,12 +480,32 @@ function readPolylineSeq(pairs, i, end) {
           flags = parseIntSafe(val) || 0;
           poly.closed = (flags & 1) === 1;
           break;
+        case "30": // elevation (Z of the dummy base point)
+          elevation = parseFloatSafe(val);
+          break;
+        case "210": // extrusion direction X
+          extrusion.x = parseFloatSafe(val);
+          break;
+        case "220": // extrusion direction Y
+          extrusion.y = parseFloatSafe(val);
+          break;
+        case "230": // extrusion direction Z
+          extrusion.z = parseFloatSafe(val);
+          break;
         default:
           break;
       }
     }
   }
 
+  if (!sawSeqend) {
+    diag?.warn("POLYLINE_NO_SEQEND", `POLYLINE without SEQEND (${poly.vertices.length} vertices kept)`, i - 1);
+  }
+
+  // 3D polylines (flag 8) and meshes (16/64) are already in WCS
+  if ((flags & (8 | 16 | 64)) === 0) {
+    applyOcs(poly, extrusion, elevation);
+  }
   return { next: doneAt, poly };
 }
 
@@ -398,7 +595,8 @@ function readArc(pairs, i, end) {
     vertices: [],
   };
 
-  let cx = 0, cy = 0, radius = 0, startAngle = 0, endAngle = 0;
+  let cx = 0, cy = 0, cz = 0, radius = 0, startAngle = 0, endAngle = 0;
+  const extrusion = { x: 0, y: 0, z: 1 };
   let doneAt = i;
 
   for (let j = i; j < end; j++) {
@@ -429,6 +627,18 @@ function readArc(pairs, i, end) {
       case "51": // end angle (degrees)
         endAngle = parseFloatSafe(val) * Math.PI / 180; // convert to radians
         break;
+      case "30": // center Z (OCS elevation)
+        cz = parseFloatSafe(val);
+        break;
+      case "210": // extrusion direction X
+        extrusion.x = parseFloatSafe(val);
+        break;
+      case "220": // extrusion direction Y
+        extrusion.y = parseFloatSafe(val);
+        break;
+      case "230": // extrusion direction Z
+        extrusion.z = parseFloatSafe(val);
+        break;
       default:
         // ignore others
         break;
@@ -451,14 +661,8 @@ function readArc(pairs, i, end) {
     { x: x2, y: y2 }
   ];
 
+  // ARC geometry is defined in its OCS; mirrored extrusions flip the bulge
+  applyOcs(poly, extrusion, cz);
   return { next: doneAt, poly };
 }
 
-function parseIntSafe(s) {
-  const n = parseInt(String(s), 10);
-  return Number.isFinite(n) ? n : 0;
-}
-function parseFloatSafe(s) {
-  const n = parseFloat(String(s));
-  return Number.isFinite(n) ? n : 0;
-}
@@ -0,0 +1,14 @@
+/**
+ * src/parse/dxfValues.js
+ * Safe conversions for DXF group values (strings in the pair stream).
+ * Shared by the entity readers; malformed numbers fall back to 0.
+ */
+
+export function parseIntSafe(s) {
+  const n = parseInt(String(s), 10);
+  return Number.isFinite(n) ? n : 0;
+}
+export function parseFloatSafe(s) {
+  const n = parseFloat(String(s));
+  return Number.isFinite(n) ? n : 0;
+}
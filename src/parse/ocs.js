@@ -0,0 +1,76 @@
+/**
+ * src/parse/ocs.js
+ * Object Coordinate System (OCS) -> World (WCS) conversion for planar entities.
+ *
+ * ARC, CIRCLE, LWPOLYLINE and 2D POLYLINE store coordinates in the OCS defined by
+ * their extrusion direction (210/220/230) and elevation (38, or the Z of the
+ * entity's base point). Mirrored parts typically come through with (0,0,-1).
+ *
+ * The OCS axes follow the AutoCAD "arbitrary axis algorithm". Points are
+ * converted to WCS and projected onto the XY plane. When the projection flips
+ * orientation (extrusion Z < 0) arcs run the other way, so bulges are negated.
+ */
+
+const ARBITRARY_AXIS_LIMIT = 1 / 64;
+
+/**
+ * Build the OCS->WCS mapping for an extrusion vector.
+ * @param {{x:number,y:number,z:number}} n - extrusion direction (need not be unit length)
+ * @returns {{ toWorld:(x:number,y:number,z:number)=>{x:number,y:number}, mirrored:boolean } | null}
+ *   null when the OCS is the WCS (default extrusion 0,0,1)
+ */
+export function createOcsTransform(n) {
+  const len = Math.hypot(n?.x || 0, n?.y || 0, n?.z || 0);
+  if (!(len > 0)) return null;
+  const N = { x: n.x / len, y: n.y / len, z: n.z / len };
+  if (Math.abs(N.x) < 1e-12 && Math.abs(N.y) < 1e-12 && N.z > 0) return null;
+
+  // Arbitrary axis algorithm
+  const W = Math.abs(N.x) < ARBITRARY_AXIS_LIMIT && Math.abs(N.y) < ARBITRARY_AXIS_LIMIT
+    ? { x: 0, y: 1, z: 0 }
+    : { x: 0, y: 0, z: 1 };
+  const Ax = normalize(cross(W, N));
+  const Ay = normalize(cross(N, Ax));
+
+  const toWorld = (x, y, z = 0) => ({
+    x: x * Ax.x + y * Ay.x + z * N.x,
+    y: x * Ax.y + y * Ay.y + z * N.y,
+  });
+  // Orientation of the projected XY frame (Ax, Ay)
+  const mirrored = Ax.x * Ay.y - Ax.y * Ay.x < 0;
+
+  return { toWorld, mirrored };
+}
+
+/**
+ * Convert a parsed polyline from OCS to WCS in place.
+ * @param {{ vertices:Array<{x:number,y:number,bulge?:number}> }} poly
+ * @param {{x:number,y:number,z:number}} extrusion
+ * @param {number} elevation - OCS Z of the entity plane
+ * @returns {object} the same poly
+ */
+export function applyOcs(poly, extrusion, elevation = 0) {
+  const ocs = createOcsTransform(extrusion);
+  if (!ocs || !poly?.vertices) return poly;
+
+  for (const v of poly.vertices) {
+    const w = ocs.toWorld(v.x, v.y, elevation);
+    v.x = w.x;
+    v.y = w.y;
+    if (ocs.mirrored && v.bulge) v.bulge = -v.bulge;
+  }
+  return poly;
+}
+
+function cross(a, b) {
+  return {
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x,
+  };
+}
+
+function normalize(a) {
+  const l = Math.hypot(a.x, a.y, a.z) || 1;
+  return { x: a.x / l, y: a.y / l, z: a.z / l };
+}
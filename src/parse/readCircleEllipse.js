@@ -0,0 +1,166 @@
+/**
+ * src/parse/readCircleEllipse.js
+ * Readers for CIRCLE and ELLIPSE entities.
+ *
+ * - CIRCLE  -> closed two-vertex polyline, both segments are semicircles (bulge 1)
+ * - ELLIPSE -> polyline of bulge arcs fitted within a chord tolerance;
+ *              a full ellipse becomes a closed polyline, a partial one stays open
+ *
+ * CIRCLE is defined in its OCS (extrusion 210/220/230, center Z = elevation).
+ * ELLIPSE points are WCS; its extrusion only decides which side the minor axis is on.
+ *
+ * Readers follow the dxfParser.js convention: read pairs from index i until the
+ * next "0" code and return { next, poly }.
+ */
+
+import { parseFloatSafe } from "./dxfValues.js";
+import { fitArcsToCurve } from "../geom/arcFit.js";
+import { applyOcs } from "./ocs.js";
+
+const TWO_PI = 2 * Math.PI;
+
+export function readCircle(pairs, i, end) {
+  const poly = {
+    layer: "",
+    closed: true,
+    vertices: [],
+  };
+
+  let cx = 0, cy = 0, cz = 0, radius = 0;
+  const extrusion = { x: 0, y: 0, z: 1 };
+  let doneAt = i;
+
+  for (let j = i; j < end; j++) {
+    doneAt = j;
+    const [code, val] = pairs[j];
+    if (code === "0") break;
+
+    switch (code) {
+      case "8": // layer
+        poly.layer = val || "";
+        break;
+      case "10": // center X
+        cx = parseFloatSafe(val);
+        break;
+      case "20": // center Y
+        cy = parseFloatSafe(val);
+        break;
+      case "30": // center Z (OCS elevation)
+        cz = parseFloatSafe(val);
+        break;
+      case "40": // radius
+        radius = parseFloatSafe(val);
+        break;
+      case "210": // extrusion direction X
+        extrusion.x = parseFloatSafe(val);
+        break;
+      case "220": // extrusion direction Y
+        extrusion.y = parseFloatSafe(val);
+        break;
+      case "230": // extrusion direction Z
+        extrusion.z = parseFloatSafe(val);
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (!(radius > 0)) return { next: doneAt, poly: null };
+
+  // Two CCW semicircles: right quadrant point -> left quadrant point -> back
+  poly.vertices = [
+    { x: cx + radius, y: cy, bulge: 1 },
+    { x: cx - radius, y: cy, bulge: 1 },
+  ];
+
+  applyOcs(poly, extrusion, cz);
+  return { next: doneAt, poly };
+}
+
+/**
+ * @param {Array<[string,string]>} pairs
+ * @param {number} i
+ * @param {number} end
+ * @param {{ chordTolerance?: number }} [options]
+ */
+export function readEllipse(pairs, i, end, options = {}) {
+  const poly = {
+    layer: "",
+    closed: false,
+    vertices: [],
+  };
+
+  let cx = 0, cy = 0, mx = 0, my = 0, ratio = 1;
+  let startParam = 0, endParam = TWO_PI;
+  let extrusionZ = 1;
+  let doneAt = i;
+
+  for (let j = i; j < end; j++) {
+    doneAt = j;
+    const [code, val] = pairs[j];
+    if (code === "0") break;
+
+    switch (code) {
+      case "8": // layer
+        poly.layer = val || "";
+        break;
+      case "10": // center X
+        cx = parseFloatSafe(val);
+        break;
+      case "20": // center Y
+        cy = parseFloatSafe(val);
+        break;
+      case "11": // major axis endpoint X (relative to center)
+        mx = parseFloatSafe(val);
+        break;
+      case "21": // major axis endpoint Y (relative to center)
+        my = parseFloatSafe(val);
+        break;
+      case "40": // minor/major ratio
+        ratio = parseFloatSafe(val);
+        break;
+      case "41": // start parameter (radians)
+        startParam = parseFloatSafe(val);
+        break;
+      case "42": // end parameter (radians)
+        endParam = parseFloatSafe(val);
+        break;
+      case "230": // extrusion Z: negative => minor axis on the other side
+        extrusionZ = parseFloatSafe(val);
+        break;
+      default:
+        break;
+    }
+  }
+
+  const major = Math.hypot(mx, my);
+  if (!(major > 0) || !(ratio > 0)) return { next: doneAt, poly: null };
+
+  // Minor axis is extrusion x major (major rotated 90° CCW for +Z), scaled by ratio
+  const side = extrusionZ < 0 ? -1 : 1;
+  const nx = -my * ratio * side;
+  const ny = mx * ratio * side;
+  const curve = (t) => ({
+    x: cx + mx * Math.cos(t) + nx * Math.sin(t),
+    y: cy + my * Math.cos(t) + ny * Math.sin(t),
+  });
+
+  let sweep = endParam - startParam;
+  while (sweep <= 0) sweep += TWO_PI;
+  const isFull = Math.abs(sweep - TWO_PI) < 1e-9 || sweep > TWO_PI;
+  if (isFull) sweep = TWO_PI;
+
+  const tolerance = options.chordTolerance > 0 ? options.chordTolerance : 0.001;
+  // At least one span per quadrant so each arc stays well-conditioned
+  const minSpans = Math.max(1, Math.ceil(sweep / (Math.PI / 2)));
+  const vertices = fitArcsToCurve(curve, startParam, startParam + sweep, { tolerance, minSpans });
+
+  if (isFull) {
+    // Closing segment comes from the last vertex's bulge; drop the duplicate end point
+    vertices.pop();
+    poly.closed = true;
+  }
+  poly.vertices = vertices;
+
+  return { next: doneAt, poly };
+}
@@ -0,0 +1,351 @@
+/**
+ * src/parse/readHatch.js
+ * Reader for HATCH boundary paths.
+ *
+ * Every boundary loop becomes a closed polyline on the hatch's layer:
+ * - polyline loops (path flag 2): vertices + optional bulges, as stored
+ * - edge loops: LINE, circular ARC, ELLIPSE arc and SPLINE edges chained end to end;
+ *   ellipse and spline edges are fitted with bulge arcs within options.chordTolerance
+ *
+ * Each polyline carries `boundary: "outer" | "inner"` from the path flags
+ * (1 = external, 16 = outermost); when no path is flagged, the largest loop is
+ * the outer one. Outer loops map to the part perimeter, inner loops to cutouts;
+ * outer loops are returned CCW and inner loops CW, however the path was stored.
+ *
+ * HATCH data is in its OCS (extrusion 210/220/230, elevation = Z of code 10/20/30).
+ * Group codes 10/20 are reused by boundary data and seed points, so the
+ * boundary section is read structurally using the 91/92/93 counts.
+ *
+ * Returns { next, polys } (a HATCH can produce several loops).
+ */
+
+import { parseIntSafe, parseFloatSafe } from "./dxfValues.js";
+import { applyOcs } from "./ocs.js";
+import { fitArcsToCurve } from "../geom/arcFit.js";
+import { createNurbsCurve, createFitPointCurve } from "../geom/nurbs.js";
+import { fitSplineSpans } from "./readSpline.js";
+import { signedArea } from "../geom/area.js";
+import { orientLoop } from "../geom/nesting.js";
+
+const DEG = Math.PI / 180;
+const PATH_EXTERNAL = 1;
+const PATH_POLYLINE = 2;
+const PATH_OUTERMOST = 16;
+
+/**
+ * @param {Array<[string,string]>} pairs
+ * @param {number} i - index after the "0 HATCH" record
+ * @param {number} end
+ * @param {{ chordTolerance?: number }} [options]
+ */
+export function readHatch(pairs, i, end, options = {}) {
+  const tolerance = options.chordTolerance > 0 ? options.chordTolerance : 0.001;
+  let layer = "";
+  let elevation = 0;
+  const extrusion = { x: 0, y: 0, z: 1 };
+  const loops = [];
+
+  let j = i;
+  // Header up to the boundary path count (91)
+  for (; j < end; j++) {
+    const [code, val] = pairs[j];
+    if (code === "0") break;
+    if (code === "8") layer = val || "";
+    else if (code === "30") elevation = parseFloatSafe(val);
+    else if (code === "210") extrusion.x = parseFloatSafe(val);
+    else if (code === "220") extrusion.y = parseFloatSafe(val);
+    else if (code === "230") extrusion.z = parseFloatSafe(val);
+    else if (code === "91") {
+      const pathCount = parseIntSafe(val);
+      j++;
+      for (let p = 0; p < pathCount && j < end; p++) {
+        const res = readBoundaryPath(pairs, j, end, tolerance);
+        j = res.next;
+        if (res.loop) loops.push(res.loop);
+      }
+      break;
+    }
+  }
+
+  // Trailing data (pattern definition, seed points): also picks up a late extrusion
+  for (; j < end; j++) {
+    const [code, val] = pairs[j];
+    if (code === "0") break;
+    if (code === "210") extrusion.x = parseFloatSafe(val);
+    else if (code === "220") extrusion.y = parseFloatSafe(val);
+    else if (code === "230") extrusion.z = parseFloatSafe(val);
+  }
+
+  const polys = loops
+    .filter((loop) => loop.vertices.length >= 2)
+    .map((loop) => ({
+      layer,
+      closed: true,
+      vertices: loop.vertices,
+      boundary: loop.flags & (PATH_EXTERNAL | PATH_OUTERMOST) ? "outer" : "inner",
+    }));
+
+  if (polys.length && !polys.some((p) => p.boundary === "outer")) {
+    let best = null;
+    let bestArea = -1;
+    for (const p of polys) {
+      const a = Math.abs(signedArea(p.vertices));
+      if (a > bestArea) {
+        bestArea = a;
+        best = p;
+      }
+    }
+    best.boundary = "outer";
+  }
+
+  for (const p of polys) {
+    applyOcs(p, extrusion, elevation);
+    p.vertices = orientLoop(p.vertices, p.boundary === "outer");
+  }
+  return { next: j, polys };
+}
+
+// Read one boundary path starting at its 92 (flags) record
+function readBoundaryPath(pairs, j, end, tolerance) {
+  if (pairs[j]?.[0] !== "92") return { next: j, loop: null };
+  const flags = parseIntSafe(pairs[j][1]);
+  j++;
+
+  let vertices = [];
+  if (flags & PATH_POLYLINE) {
+    const res = readPolylinePath(pairs, j, end);
+    j = res.next;
+    vertices = res.vertices;
+  } else {
+    const res = readEdgePath(pairs, j, end, tolerance);
+    j = res.next;
+    vertices = res.vertices;
+  }
+
+  // Source boundary object references: 97 count, then 330 handles
+  if (pairs[j]?.[0] === "97") j++;
+  while (j < end && pairs[j][0] === "330") j++;
+
+  dropClosingDuplicate(vertices, tolerance);
+  return { next: j, loop: { flags, vertices } };
+}
+
+// 72 has-bulge, 73 is-closed, 93 vertex count, then 10/20[/42] per vertex
+function readPolylinePath(pairs, j, end) {
+  const vertices = [];
+  let count = 0;
+  let current = null;
+  for (; j < end; j++) {
+    const [code, val] = pairs[j];
+    if (code === "72" || code === "73") continue;
+    if (code === "93") {
+      count = parseIntSafe(val);
+      continue;
+    }
+    if (code === "10") {
+      if (vertices.length === count) break;
+      current = { x: parseFloatSafe(val), y: 0 };
+      vertices.push(current);
+    } else if (code === "20" && current) {
+      current.y = parseFloatSafe(val);
+    } else if (code === "42" && current) {
+      const b = parseFloatSafe(val);
+      if (b) current.bulge = b;
+    } else {
+      break;
+    }
+  }
+  return { next: j, vertices };
+}
+
+// 93 edge count, then per edge a 72 type code and its data
+function readEdgePath(pairs, j, end, tolerance) {
+  let count = 0;
+  if (pairs[j]?.[0] === "93") {
+    count = parseIntSafe(pairs[j][1]);
+    j++;
+  }
+
+  const edges = [];
+  for (let e = 0; e < count && j < end; e++) {
+    if (pairs[j]?.[0] !== "72") break;
+    const type = parseIntSafe(pairs[j][1]);
+    const res = readEdge(type, pairs, j + 1, end);
+    j = res.next;
+    const verts = edgeVertices(type, res.data, tolerance);
+    if (verts && verts.length >= 2) edges.push(verts);
+  }
+
+  return { next: j, vertices: chainEdges(edges, tolerance) };
+}
+
+// Collect the group codes of one edge; spline edges repeat 40/10/20/42/11/21.
+// A spline edge may carry its own 97 (fit point count, R2010+) before the
+// path's 97 (source boundary count), so only a second 97 ends it.
+function readEdge(type, pairs, j, end) {
+  const data = { knots: [], weights: [], ctrl: [], fit: [] };
+  const stopCodes = new Set(["72", "92", "330", "0"]);
+  let seenFitCount = false;
+  for (; j < end; j++) {
+    const [code, val] = pairs[j];
+    if (stopCodes.has(code)) break;
+    if (code === "97" && (type !== 4 || seenFitCount)) break;
+    const num = parseFloatSafe(val);
+    if (type === 4) {
+      if (code === "97") seenFitCount = true;
+      else if (code === "94") data.degree = parseIntSafe(val);
+      else if (code === "40") data.knots.push(num);
+      else if (code === "42") data.weights.push(num);
+      else if (code === "10") data.ctrl.push({ x: num, y: 0 });
+      else if (code === "20" && data.ctrl.length) data.ctrl[data.ctrl.length - 1].y = num;
+      else if (code === "11") data.fit.push({ x: num, y: 0 });
+      else if (code === "21" && data.fit.length) data.fit[data.fit.length - 1].y = num;
+    } else {
+      data[code] = num;
+    }
+  }
+  return { next: j, data };
+}
+
+function edgeVertices(type, d, tolerance) {
+  switch (type) {
+    case 1: // line
+      return [{ x: d["10"] || 0, y: d["20"] || 0 }, { x: d["11"] || 0, y: d["21"] || 0 }];
+    case 2: { // circular arc: angles in degrees, clockwise arcs store mirrored angles
+      const r = d["40"] || 0;
+      if (!(r > 0)) return null;
+      const ccw = d["73"] !== 0;
+      const { t0, t1 } = edgeSweep(d["50"] || 0, d["51"] || 0, ccw);
+      return circularArcVertices(d["10"] || 0, d["20"] || 0, r, t0, t1);
+    }
+    case 3: { // elliptic arc: 11/21 major axis (relative), 40 minor/major ratio
+      const mx = d["11"] || 0, my = d["21"] || 0, ratio = d["40"] || 1;
+      if (!(Math.hypot(mx, my) > 0)) return null;
+      const ccw = d["73"] !== 0;
+      const { t0, t1 } = edgeSweep(d["50"] || 0, d["51"] || 0, ccw);
+      const cx = d["10"] || 0, cy = d["20"] || 0;
+      const curve = (t) => ({
+        x: cx + mx * Math.cos(t) - my * ratio * Math.sin(t),
+        y: cy + my * Math.cos(t) + mx * ratio * Math.sin(t),
+      });
+      const p0 = angleToParam(t0, ratio);
+      const p1 = p0 + paramSweep(t0, t1, ratio);
+      const minSpans = Math.max(1, Math.ceil(Math.abs(p1 - p0) / (Math.PI / 2)));
+      return fitArcsToCurve(curve, p0, p1, { tolerance, minSpans });
+    }
+    case 4: { // spline
+      const model = d.ctrl.length >= 2
+        ? createNurbsCurve(d.ctrl, d.knots, d.weights, d.degree || 3)
+        : createFitPointCurve(d.fit, false);
+      return model ? fitSplineSpans(model, tolerance) : null;
+    }
+    default:
+      return null;
+  }
+}
+
+// Start/end angle (radians) of an edge arc, with the end unwrapped past the start
+function edgeSweep(startDeg, endDeg, ccw) {
+  let t0 = startDeg * DEG;
+  let t1 = endDeg * DEG;
+  if (!ccw) {
+    t0 = -t0;
+    t1 = -t1;
+  }
+  let sweep = ccw ? t1 - t0 : t0 - t1;
+  while (sweep <= 0) sweep += 2 * Math.PI;
+  if (sweep > 2 * Math.PI) sweep = 2 * Math.PI;
+  return { t0, t1: ccw ? t0 + sweep : t0 - sweep };
+}
+
+// Ellipse angle (measured from the major axis) -> ellipse parameter
+function angleToParam(a, ratio) {
+  return Math.atan2(Math.sin(a) / ratio, Math.cos(a));
+}
+
+// Signed parameter sweep matching the signed angle sweep t0 -> t1
+function paramSweep(t0, t1, ratio) {
+  const sweep = t1 - t0;
+  if (Math.abs(Math.abs(sweep) - 2 * Math.PI) < 1e-9) return sweep;
+  let d = angleToParam(t1, ratio) - angleToParam(t0, ratio);
+  if (sweep > 0) while (d <= 0) d += 2 * Math.PI;
+  else while (d >= 0) d -= 2 * Math.PI;
+  return d;
+}
+
+// Exact bulge vertices for an arc, split so no piece exceeds a half circle
+function circularArcVertices(cx, cy, r, t0, t1) {
+  const sweep = t1 - t0;
+  const n = Math.max(1, Math.ceil(Math.abs(sweep) / Math.PI - 1e-9));
+  const bulge = Math.tan(sweep / n / 4);
+  const out = [];
+  for (let k = 0; k <= n; k++) {
+    const t = t0 + (sweep * k) / n;
+    const v = { x: cx + r * Math.cos(t), y: cy + r * Math.sin(t) };
+    if (k < n) v.bulge = bulge;
+    out.push(v);
+  }
+  return out;
+}
+
+// Join edges into one vertex loop, reversing edges that are stored backwards
+function chainEdges(edges, tolerance) {
+  const out = [];
+  const gap = Math.max(tolerance, 1e-6) * 10;
+  for (const edge of edges) {
+    if (out.length === 0) {
+      out.push(...edge.map((v) => ({ ...v })));
+      continue;
+    }
+    const tail = out[out.length - 1];
+    const dStart = dist(tail, edge[0]);
+    const dEnd = dist(tail, edge[edge.length - 1]);
+    // The first edge may itself be reversed: flip it if that makes the chain connect
+    if (out.length === edges[0].length && dStart > gap && dEnd > gap) {
+      const head = out[0];
+      if (Math.min(dist(head, edge[0]), dist(head, edge[edge.length - 1])) <= gap) {
+        const flipped = reverseVertices(out);
+        out.length = 0;
+        out.push(...flipped);
+      }
+    }
+    const t = out[out.length - 1];
+    const verts = dist(t, edge[0]) <= dist(t, edge[edge.length - 1]) ? edge : reverseVertices(edge);
+    delete out[out.length - 1].bulge;
+    if (dist(t, verts[0]) <= gap) {
+      // Shared point: keep the edge's first vertex bulge on the chain's last vertex
+      if (verts[0].bulge) out[out.length - 1].bulge = verts[0].bulge;
+      out.push(...verts.slice(1).map((v) => ({ ...v })));
+    } else {
+      out.push(...verts.map((v) => ({ ...v })));
+    }
+  }
+  return out;
+}
+
+// Reverse a bulge vertex list: segment k moves and its bulge changes sign
+function reverseVertices(verts) {
+  const n = verts.length;
+  const out = [];
+  for (let k = n - 1; k >= 0; k--) {
+    const v = { x: verts[k].x, y: verts[k].y };
+    const b = k > 0 ? verts[k - 1].bulge : 0;
+    if (b) v.bulge = -b;
+    out.push(v);
+  }
+  return out;
+}
+
+// Closed loops store the closing segment implicitly
+function dropClosingDuplicate(vertices, tolerance) {
+  if (vertices.length < 3) return;
+  const first = vertices[0];
+  const last = vertices[vertices.length - 1];
+  if (dist(first, last) <= Math.max(tolerance, 1e-6) * 10) {
+    vertices.pop();
+  }
+}
+
+function dist(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
@@ -0,0 +1,128 @@
+/**
+ * src/parse/readLayers.js
+ * TABLES/LAYER parsing.
+ *
+ * Output per layer record:
+ * { name, color:number (ACI 1..255), colorHex:string, linetype:string,
+ *   frozen:boolean, off:boolean, locked:boolean }
+ *
+ * DXF encoding: 2 = name, 62 = ACI colour (negative => layer off),
+ * 70 = flags (1 frozen, 4 locked), 6 = linetype, 420 = true colour (0xRRGGBB).
+ */
+
+import { parseIntSafe } from "./dxfValues.js";
+
+/**
+ * Read every LAYER record inside the TABLES section range.
+ * @param {Array<[string,string]>} pairs
+ * @param {number} start
+ * @param {number} end
+ * @returns {Array<object>}
+ */
+export function parseLayerTable(pairs, start, end) {
+  const layers = [];
+  let inLayerTable = false;
+
+  for (let i = start; i < end; i++) {
+    const [code, val] = pairs[i];
+    if (code !== "0") continue;
+    const type = (val || "").toUpperCase();
+
+    if (type === "TABLE") {
+      inLayerTable = i + 1 < end && pairs[i + 1][0] === "2" && (pairs[i + 1][1] || "").toUpperCase() === "LAYER";
+      continue;
+    }
+    if (type === "ENDTAB") {
+      inLayerTable = false;
+      continue;
+    }
+    if (inLayerTable && type === "LAYER") {
+      const { next, layer } = readLayerRecord(pairs, i + 1, end);
+      i = next - 1;
+      if (layer.name) layers.push(layer);
+    }
+  }
+
+  console.log("[DXF-PARSER] Layer table:", layers.map((l) => l.name));
+  return layers;
+}
+
+function readLayerRecord(pairs, i, end) {
+  const layer = {
+    name: "",
+    color: 7,
+    colorHex: aciToHex(7),
+    linetype: "CONTINUOUS",
+    frozen: false,
+    off: false,
+    locked: false,
+  };
+  let trueColor = null;
+  let doneAt = i;
+
+  for (let j = i; j < end; j++) {
+    doneAt = j;
+    const [code, val] = pairs[j];
+    if (code === "0") break;
+
+    switch (code) {
+      case "2":
+        layer.name = val || "";
+        break;
+      case "62": {
+        const aci = parseIntSafe(val);
+        layer.off = aci < 0;
+        layer.color = Math.abs(aci) || 7;
+        break;
+      }
+      case "70": {
+        const flags = parseIntSafe(val);
+        layer.frozen = (flags & 1) === 1;
+        layer.locked = (flags & 4) === 4;
+        break;
+      }
+      case "6":
+        layer.linetype = val || "CONTINUOUS";
+        break;
+      case "420":
+        trueColor = parseIntSafe(val);
+        break;
+      default:
+        break;
+    }
+  }
+
+  layer.colorHex = trueColor != null
+    ? `#${(trueColor & 0xffffff).toString(16).padStart(6, "0")}`
+    : aciToHex(layer.color);
+
+  return { next: doneAt, layer };
+}
+
+// AutoCAD Color Index -> hex. Exact for the standard colours and greys,
+// approximated (hue wheel + shade rows) for 10..249.
+const ACI_BASE = {
+  1: "#ff0000", 2: "#ffff00", 3: "#00ff00", 4: "#00ffff", 5: "#0000ff",
+  6: "#ff00ff", 7: "#ffffff", 8: "#808080", 9: "#c0c0c0",
+  250: "#333333", 251: "#505050", 252: "#696969", 253: "#828282", 254: "#bebebe", 255: "#ffffff",
+};
+
+export function aciToHex(aci) {
+  if (ACI_BASE[aci]) return ACI_BASE[aci];
+  if (aci < 10 || aci > 249) return "#ffffff";
+  const hue = Math.floor((aci - 10) / 10) * 15;
+  const row = (aci - 10) % 10;
+  const shade = [1, 0.65, 0.5, 0.3, 0.15][Math.floor(row / 2)]; // brightest .. darkest
+  const lightness = row % 2 === 0 ? 50 : 75; // odd rows are pastel
+  return hslToHex(hue, 100, lightness * shade);
+}
+
+function hslToHex(h, s, l) {
+  s /= 100;
+  l /= 100;
+  const k = (n) => (n + h / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const f = (n) => l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
+  const to = (x) => Math.round(x * 255).toString(16).padStart(2, "0");
+  return `#${to(f(0))}${to(f(8))}${to(f(4))}`;
+}
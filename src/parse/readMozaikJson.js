@@ -0,0 +1,133 @@
+/**
+ * src/parse/readMozaikJson.js
+ * Read Mozaik JSON (as written by the JSON export) back into editable polylines.
+ *
+ * Output has the parseDXF() shape so the import flow treats it like a DXF:
+ * { unitsAuto, layers, labels, diagnostics, polylines }
+ * - older schema versions are upgraded first (export/mozaikSchema.js)
+ * - schema errors are reported as diagnostics; loops with bad coordinates are skipped
+ * - each part's perimeter is a closed polyline on layer PERIMETER carrying `partName`;
+ *   cutouts and holes are closed polylines on layers CUTOUT and HOLE
+ * - operations go back onto their own layer (DRILL/POCKET/GROOVE when none is given):
+ *   drills as circles, pockets and grooves as their paths, so the layer rules map them again;
+ *   their depth (and a drill's diameter) stay on the polyline and win over the rule's values
+ * - parts are exported re-zeroed, so they are laid out left to right `spacing` apart
+ */
+
+import { upgradeMozaikJson, validateMozaikJson } from "../export/mozaikSchema.js";
+import { createDiagnostics } from "./diagnostics.js";
+import { polylineBounds } from "../geom/bounds.js";
+
+export function isMozaikJsonName(fileName) {
+  return /\.json$/i.test(fileName || "");
+}
+
+// Vertices of a loop, or null when any coordinate is unusable
+function loopVertices(loop) {
+  if (!Array.isArray(loop?.vertices)) return null;
+  const out = [];
+  for (const v of loop.vertices) {
+    if (!Number.isFinite(v?.x) || !Number.isFinite(v?.y)) return null;
+    const vert = { x: v.x, y: v.y };
+    if (Number.isFinite(v.bulge) && v.bulge !== 0) vert.bulge = v.bulge;
+    out.push(vert);
+  }
+  return out.length >= 2 ? out : null;
+}
+
+// A hole written with only center/diameter becomes a two-arc circle
+function holeVertices(hole) {
+  const verts = loopVertices(hole);
+  if (verts) return verts;
+  const { center, diameter } = hole || {};
+  if (!Number.isFinite(center?.x) || !Number.isFinite(center?.y) || !(diameter > 0)) return null;
+  const r = diameter / 2;
+  return [
+    { x: center.x - r, y: center.y, bulge: 1 },
+    { x: center.x + r, y: center.y, bulge: 1 },
+  ];
+}
+
+// Copy the positive machining values named in keys from op onto poly
+function withValues(poly, op, keys) {
+  for (const key of keys) if (Number.isFinite(op[key]) && op[key] > 0) poly[key] = op[key];
+  return poly;
+}
+
+// Polyline for one machining operation, or null when its geometry is unusable
+function operationPolyline(op) {
+  const layer = typeof op?.layer === "string" && op.layer ? op.layer : String(op?.type || "").toUpperCase();
+  if (op?.type === "drill") {
+    const vertices = holeVertices({ center: op, diameter: op.diameter });
+    return vertices && withValues({ layer, closed: true, vertices }, op, ["diameter", "depth"]);
+  }
+  if (op?.type !== "pocket" && op?.type !== "groove") return null;
+  const vertices = loopVertices(op);
+  return vertices && withValues({ layer, closed: op.closed === true, vertices }, op, ["depth"]);
+}
+
+/**
+ * @param {string} text - file contents
+ * @param {{ spacing?:number }} [options] - gap between laid-out parts
+ * @returns {{ unitsAuto:string|null, layers:Array, labels:Array, diagnostics:Array, polylines:Array }}
+ * @throws {Error} when the text is not JSON or its schemaVersion is unsupported
+ */
+export function readMozaikJson(text, options = {}) {
+  const spacing = options.spacing ?? 2;
+  const diag = createDiagnostics();
+
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Not a valid JSON file: ${err.message}`);
+  }
+  const { doc, from, steps } = upgradeMozaikJson(raw);
+  if (steps.length) diag.info("SCHEMA_UPGRADED", `Upgraded from ${from} to ${doc.schemaVersion}`);
+  for (const e of validateMozaikJson(doc).errors) diag.error("SCHEMA", `${e.path}: ${e.message}`);
+
+  const polylines = [];
+  let offsetX = 0;
+  (Array.isArray(doc.parts) ? doc.parts : []).forEach((part, k) => {
+    const perimeter = loopVertices(part?.perimeter);
+    if (!perimeter) {
+      diag.warn("PART_SKIPPED", `parts[${k}] (${part?.name || "unnamed"}) has no usable perimeter`);
+      return;
+    }
+    const loops = [{ layer: "PERIMETER", closed: true, vertices: perimeter, partName: part.name || "" }];
+    (part.cutouts || []).forEach((loop, i) => {
+      const vertices = loopVertices(loop);
+      if (vertices) loops.push({ layer: "CUTOUT", closed: true, vertices });
+      else diag.warn("LOOP_SKIPPED", `parts[${k}].cutouts[${i}] has unusable vertices`);
+    });
+    (part.holes || []).forEach((hole, i) => {
+      const vertices = holeVertices(hole);
+      if (vertices) loops.push({ layer: "HOLE", closed: true, vertices });
+      else diag.warn("LOOP_SKIPPED", `parts[${k}].holes[${i}] has unusable geometry`);
+    });
+    (part.operations || []).forEach((op, i) => {
+      const poly = operationPolyline(op);
+      if (poly) loops.push(poly);
+      else diag.warn("OPERATION_SKIPPED", `parts[${k}].operations[${i}] has unusable geometry`);
+    });
+
+    // Place the part at the running offset (its inner loops move with it)
+    const b = polylineBounds(loops[0]);
+    const dx = offsetX - b.minX;
+    const dy = -b.minY;
+    for (const loop of loops) {
+      loop.vertices = loop.vertices.map((v) => ({ ...v, x: v.x + dx, y: v.y + dy }));
+    }
+    offsetX += b.maxX - b.minX + spacing;
+    polylines.push(...loops);
+  });
+
+  if (!polylines.length) diag.error("NO_PARTS", "No parts with usable geometry");
+  return {
+    unitsAuto: typeof doc.units === "string" ? doc.units : null,
+    layers: [],
+    labels: [],
+    diagnostics: diag.list,
+    polylines,
+  };
+}
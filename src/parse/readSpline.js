@@ -0,0 +1,115 @@
+/**
+ * src/parse/readSpline.js
+ * Reader for SPLINE entities.
+ *
+ * - Control point data (10/20, knots 40, weights 41, degree 71) is evaluated as a NURBS curve
+ * - Fit point data (11/21) is used when there are no control points
+ * - The curve is converted to bulge arcs within options.chordTolerance, so the result
+ *   behaves like any other polyline in the join/close flow
+ *
+ * Returns { next, poly } like the other entity readers.
+ */
+
+import { parseIntSafe, parseFloatSafe } from "./dxfValues.js";
+import { fitArcsToCurve } from "../geom/arcFit.js";
+import { createNurbsCurve, createFitPointCurve } from "../geom/nurbs.js";
+
+/**
+ * @param {Array<[string,string]>} pairs
+ * @param {number} i
+ * @param {number} end
+ * @param {{ chordTolerance?: number }} [options]
+ */
+export function readSpline(pairs, i, end, options = {}) {
+  const poly = {
+    layer: "",
+    closed: false,
+    vertices: [],
+  };
+
+  let flags = 0;
+  let degree = 3;
+  const knots = [];
+  const weights = [];
+  const controlPoints = [];
+  const fitPoints = [];
+  let currentCtrl = null;
+  let currentFit = null;
+  let doneAt = i;
+
+  for (let j = i; j < end; j++) {
+    doneAt = j;
+    const [code, val] = pairs[j];
+    if (code === "0") break;
+
+    switch (code) {
+      case "8": // layer
+        poly.layer = val || "";
+        break;
+      case "70": // flags: 1 closed, 2 periodic, 4 rational
+        flags = parseIntSafe(val);
+        break;
+      case "71": // degree
+        degree = parseIntSafe(val) || 3;
+        break;
+      case "40": // knot value (repeated)
+        knots.push(parseFloatSafe(val));
+        break;
+      case "41": // weight (repeated, one per control point)
+        weights.push(parseFloatSafe(val));
+        break;
+      case "10": // control point X
+        currentCtrl = { x: parseFloatSafe(val), y: 0 };
+        controlPoints.push(currentCtrl);
+        break;
+      case "20": // control point Y
+        if (currentCtrl) currentCtrl.y = parseFloatSafe(val);
+        break;
+      case "11": // fit point X
+        currentFit = { x: parseFloatSafe(val), y: 0 };
+        fitPoints.push(currentFit);
+        break;
+      case "21": // fit point Y
+        if (currentFit) currentFit.y = parseFloatSafe(val);
+        break;
+      default:
+        break;
+    }
+  }
+
+  const closedFlag = (flags & 1) === 1 || (flags & 2) === 2;
+  const model = controlPoints.length >= 2
+    ? createNurbsCurve(controlPoints, knots, weights, degree)
+    : createFitPointCurve(fitPoints, closedFlag);
+
+  if (!model) {
+    console.log("[DXF-PARSER] SPLINE has insufficient data:", controlPoints.length, "control points,", fitPoints.length, "fit points");
+    return { next: doneAt, poly: null };
+  }
+
+  const tolerance = options.chordTolerance > 0 ? options.chordTolerance : 0.001;
+  poly.vertices = fitSplineSpans(model, tolerance);
+
+  // Drop the duplicated end point of a closed spline; the closing segment carries its bulge
+  const first = poly.vertices[0];
+  const last = poly.vertices[poly.vertices.length - 1];
+  if (poly.vertices.length > 2 && Math.hypot(first.x - last.x, first.y - last.y) <= tolerance) {
+    poly.vertices.pop();
+    poly.closed = true;
+  }
+
+  return { next: doneAt, poly };
+}
+
+// Fit arcs knot span by knot span so no span is skipped by the adaptive split
+// (also used for HATCH spline edges)
+export function fitSplineSpans(model, tolerance) {
+  const { curve, breaks } = model;
+  const vertices = [];
+  for (let k = 0; k + 1 < breaks.length; k++) {
+    const spanVerts = fitArcsToCurve(curve, breaks[k], breaks[k + 1], { tolerance, minSpans: 2 });
+    if (vertices.length) vertices.pop(); // shared end/start point
+    vertices.push(...spanVerts);
+  }
+  return vertices;
+}
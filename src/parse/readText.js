@@ -0,0 +1,178 @@
+/**
+ * src/parse/readText.js
+ * Readers for TEXT and MTEXT entities (part labels).
+ *
+ * Both return { next, label } where label is
+ * { kind: "TEXT" | "MTEXT", layer, text, x, y, height, rotation }
+ * - x, y      insertion point in WCS (TEXT uses the alignment point 11/21 when justified)
+ * - height    text height in model units
+ * - rotation  degrees, counter-clockwise from +X
+ *
+ * MTEXT inline formatting (\P, \f..;, {}, \S..;, etc.) and TEXT control codes
+ * (%%d, %%c, %%p, %%u ...) are stripped to plain text, see stripMTextFormatting().
+ */
+
+import { parseIntSafe, parseFloatSafe } from "./dxfValues.js";
+import { createOcsTransform } from "./ocs.js";
+
+export function readText(pairs, i, end) {
+  const label = { kind: "TEXT", layer: "", text: "", x: 0, y: 0, height: 0, rotation: 0 };
+  let ax = null, ay = null, halign = 0, valign = 0, elevation = 0;
+  const extrusion = { x: 0, y: 0, z: 1 };
+  let doneAt = i;
+
+  for (let j = i; j < end; j++) {
+    doneAt = j;
+    const [code, val] = pairs[j];
+    if (code === "0") break;
+
+    switch (code) {
+      case "8": // layer
+        label.layer = val || "";
+        break;
+      case "1": // text value
+        label.text = val || "";
+        break;
+      case "10": // first alignment (insertion) point X
+        label.x = parseFloatSafe(val);
+        break;
+      case "20": // first alignment (insertion) point Y
+        label.y = parseFloatSafe(val);
+        break;
+      case "30": // elevation
+        elevation = parseFloatSafe(val);
+        break;
+      case "11": // second alignment point X (justified text)
+        ax = parseFloatSafe(val);
+        break;
+      case "21": // second alignment point Y
+        ay = parseFloatSafe(val);
+        break;
+      case "40": // height
+        label.height = parseFloatSafe(val);
+        break;
+      case "50": // rotation (degrees)
+        label.rotation = parseFloatSafe(val);
+        break;
+      case "72": // horizontal justification
+        halign = parseIntSafe(val);
+        break;
+      case "73": // vertical justification
+        valign = parseIntSafe(val);
+        break;
+      case "210": // extrusion direction X
+        extrusion.x = parseFloatSafe(val);
+        break;
+      case "220": // extrusion direction Y
+        extrusion.y = parseFloatSafe(val);
+        break;
+      case "230": // extrusion direction Z
+        extrusion.z = parseFloatSafe(val);
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Justified text is positioned by the second alignment point
+  if ((halign !== 0 || valign !== 0) && ax !== null && ay !== null) {
+    label.x = ax;
+    label.y = ay;
+  }
+
+  const ocs = createOcsTransform(extrusion);
+  if (ocs) {
+    const w = ocs.toWorld(label.x, label.y, elevation);
+    label.x = w.x;
+    label.y = w.y;
+    if (ocs.mirrored) label.rotation = 180 - label.rotation;
+  }
+
+  label.text = stripTextControlCodes(label.text).trim();
+  return { next: doneAt, label: label.text ? label : null };
+}
+
+export function readMText(pairs, i, end) {
+  const label = { kind: "MTEXT", layer: "", text: "", x: 0, y: 0, height: 0, rotation: 0 };
+  const chunks = [];
+  let last = "";
+  let dirX = null, dirY = null;
+  let doneAt = i;
+
+  for (let j = i; j < end; j++) {
+    doneAt = j;
+    const [code, val] = pairs[j];
+    if (code === "0") break;
+
+    switch (code) {
+      case "8": // layer
+        label.layer = val || "";
+        break;
+      case "3": // text continuation chunks (precede code 1)
+        chunks.push(val || "");
+        break;
+      case "1": // final text chunk
+        last = val || "";
+        break;
+      case "10": // insertion point X (WCS)
+        label.x = parseFloatSafe(val);
+        break;
+      case "20": // insertion point Y (WCS)
+        label.y = parseFloatSafe(val);
+        break;
+      case "11": // x-axis direction X (overrides rotation)
+        dirX = parseFloatSafe(val);
+        break;
+      case "21": // x-axis direction Y
+        dirY = parseFloatSafe(val);
+        break;
+      case "40": // nominal text height
+        label.height = parseFloatSafe(val);
+        break;
+      case "50": // rotation (degrees)
+        label.rotation = parseFloatSafe(val);
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (dirX !== null && dirY !== null && (dirX !== 0 || dirY !== 0)) {
+    label.rotation = (Math.atan2(dirY, dirX) * 180) / Math.PI;
+  }
+
+  label.text = stripMTextFormatting(chunks.join("") + last).trim();
+  return { next: doneAt, label: label.text ? label : null };
+}
+
+// TEXT control codes: %%d degree, %%p plus/minus, %%c diameter, %%u/%%o toggles, %%nnn char code
+export function stripTextControlCodes(text) {
+  return (text || "")
+    .replace(/%%[dD]/g, "°")
+    .replace(/%%[pP]/g, "±")
+    .replace(/%%[cC]/g, "Ø")
+    .replace(/%%[uUoOkK]/g, "")
+    .replace(/%%(\d{3})/g, (_, n) => String.fromCharCode(parseInt(n, 10)))
+    .replace(/%%%/g, "%");
+}
+
+/**
+ * Strip MTEXT inline formatting to plain text.
+ * \P paragraph -> newline, \~ -> space, \S a^b; stacked fraction -> "a/b",
+ * \U+XXXX unicode, font/height/width/colour/etc. commands and braces removed,
+ * escaped \\ \{ \} kept as literal characters.
+ */
+export function stripMTextFormatting(text) {
+  let s = stripTextControlCodes(text || "");
+  s = s.replace(/\\U\+([0-9A-Fa-f]{4})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  // Protect escaped literals while the rest is stripped
+  s = s.replace(/\\\\/g, "\u0000").replace(/\\\{/g, "\u0001").replace(/\\\}/g, "\u0002");
+  s = s
+    .replace(/\\P/g, "\n")
+    .replace(/\\~/g, " ")
+    .replace(/\\S([^;]*?)[\^#/]([^;]*);/g, "$1/$2")
+    .replace(/\\[fFHWQTACcp][^;]*;/g, "")
+    .replace(/\\[LlOoKkNX]/g, "")
+    .replace(/[{}]/g, "");
+  return s.replace(/\u0000/g, "\\").replace(/\u0001/g, "{").replace(/\u0002/g, "}");
+}
@@ -0,0 +1,52 @@
+/**
+ * src/ui/gapPanel.js
+ * Gap bridging panel: one row per candidate gap with an accept checkbox.
+ *
+ * API:
+ * const panel = createGapPanel(container, {
+ *   onToggle: (id, accepted) => {},
+ *   onHover: (id | null) => {},
+ *   formatDistance: (d) => string,
+ * });
+ * panel.update(candidates, acceptedIds); // from findGapCandidates(), Set of accepted ids
+ *
+ * Hovering a row highlights its preview on the canvas.
+ */
+
+export function createGapPanel(container, opts = {}) {
+  const { onToggle = () => {}, onHover = () => {}, formatDistance = (d) => d.toFixed(4) } = opts;
+
+  function update(candidates, acceptedIds = new Set()) {
+    if (!container) return;
+    container.innerHTML = "";
+
+    if (!candidates?.length) {
+      container.innerHTML = '<div class="muted small">No gaps found.</div>';
+      return;
+    }
+
+    for (const cand of candidates) {
+      const row = document.createElement("label");
+      row.className = "row small";
+      row.style.gap = "6px";
+      row.addEventListener("mouseenter", () => onHover(cand.id));
+      row.addEventListener("mouseleave", () => onHover(null));
+
+      const input = document.createElement("input");
+      input.type = "checkbox";
+      input.checked = acceptedIds.has(cand.id);
+      input.addEventListener("change", () => onToggle(cand.id, input.checked));
+
+      const text = document.createElement("span");
+      text.textContent = `#${cand.id + 1} ${cand.kind === "extend" ? "Extend" : "Bridge"} ${formatDistance(cand.distance)}`;
+      const where = document.createElement("span");
+      where.className = "muted";
+      where.textContent = `(lines ${cand.a.poly + 1} ↔ ${cand.b.poly + 1})`;
+
+      row.append(input, text, where);
+      container.appendChild(row);
+    }
+  }
+
+  return { update };
+}
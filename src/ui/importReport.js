@@ -0,0 +1,64 @@
+/**
+ * src/ui/importReport.js
+ * Per-file import report panel fed by parseDXF().diagnostics.
+ *
+ * API:
+ * const report = createImportReport(container);
+ * report.show([{ fileName, diagnostics:[{ severity, code, message, line }] }]);
+ * report.clear();
+ */
+
+const SEVERITY_COLORS = {
+  error: "#ef4444",
+  warning: "#f59e0b",
+  info: "#6b7280",
+};
+
+export function createImportReport(container) {
+  function clear() {
+    if (!container) return;
+    container.innerHTML = '<div class="muted small">No import yet.</div>';
+  }
+
+  function show(reports) {
+    if (!container) return;
+    container.innerHTML = "";
+
+    for (const report of reports || []) {
+      const diagnostics = report.diagnostics || [];
+      const errors = diagnostics.filter((d) => d.severity === "error").length;
+      const warnings = diagnostics.filter((d) => d.severity === "warning").length;
+
+      const details = document.createElement("details");
+      details.open = errors > 0 || (reports.length === 1 && warnings > 0);
+      const summary = document.createElement("summary");
+      summary.className = "small";
+      summary.style.cursor = "pointer";
+      summary.style.color = errors ? SEVERITY_COLORS.error : warnings ? SEVERITY_COLORS.warning : "";
+      summary.textContent = `${report.fileName} — ${errors} error(s), ${warnings} warning(s)`;
+      details.appendChild(summary);
+
+      if (diagnostics.length === 0) {
+        const ok = document.createElement("div");
+        ok.className = "muted small";
+        ok.textContent = "No issues.";
+        details.appendChild(ok);
+      }
+
+      for (const d of diagnostics) {
+        const row = document.createElement("div");
+        row.className = "small";
+        row.style.color = SEVERITY_COLORS[d.severity] || SEVERITY_COLORS.info;
+        row.style.marginLeft = "10px";
+        const where = d.line != null ? ` (line ${d.line})` : "";
+        row.textContent = `${d.severity.toUpperCase()} ${d.code}: ${d.message}${where}`;
+        details.appendChild(row);
+      }
+
+      container.appendChild(details);
+    }
+  }
+
+  clear();
+  return { show, clear };
+}
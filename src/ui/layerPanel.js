@@ -0,0 +1,75 @@
+/**
+ * src/ui/layerPanel.js
+ * Layer manager panel: one row per layer with entity count and toggles.
+ *
+ * API:
+ * const panel = createLayerPanel(container, { onChange: (name, patch) => {} });
+ * panel.update(layers); // Map<name, { name, colorHex, visible, locked, useColor, count }>
+ *
+ * Toggles:
+ * - visible  - hidden layers are not drawn, hit-tested or auto-joined
+ * - locked   - drawn dimmed; not selectable and skipped by auto-join
+ * - useColor - draw with the layer's DXF colour instead of the default green
+ */
+
+export function createLayerPanel(container, opts = {}) {
+  const { onChange = () => {} } = opts;
+
+  function toggle(title, checked, onToggle) {
+    const label = document.createElement("label");
+    label.title = title;
+    label.className = "row";
+    label.style.gap = "2px";
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.checked = checked;
+    input.addEventListener("change", () => onToggle(input.checked));
+    label.appendChild(input);
+    label.appendChild(document.createTextNode(title[0]));
+    return label;
+  }
+
+  function update(layers) {
+    if (!container) return;
+    container.innerHTML = "";
+
+    const list = Array.from(layers?.values?.() || []).sort((a, b) => a.name.localeCompare(b.name));
+    if (list.length === 0) {
+      container.innerHTML = '<div class="muted small">No layers loaded.</div>';
+      return;
+    }
+
+    for (const layer of list) {
+      const row = document.createElement("div");
+      row.className = "row small";
+      row.style.justifyContent = "space-between";
+
+      const left = document.createElement("span");
+      left.className = "row";
+      left.style.gap = "6px";
+      const swatch = document.createElement("span");
+      swatch.style.cssText = `display:inline-block;width:10px;height:10px;border-radius:2px;border:1px solid #374151;background:${layer.colorHex};`;
+      const name = document.createElement("span");
+      name.textContent = layer.name || "0";
+      name.style.opacity = layer.visible ? "1" : "0.5";
+      const count = document.createElement("span");
+      count.className = "muted";
+      count.textContent = `(${layer.count})`;
+      left.append(swatch, name, count);
+
+      const right = document.createElement("span");
+      right.className = "row";
+      right.style.gap = "6px";
+      right.append(
+        toggle("Visible", layer.visible, (v) => onChange(layer.name, { visible: v })),
+        toggle("Locked", layer.locked, (v) => onChange(layer.name, { locked: v })),
+        toggle("Colour", layer.useColor, (v) => onChange(layer.name, { useColor: v }))
+      );
+
+      row.append(left, right);
+      container.appendChild(row);
+    }
+  }
+
+  return { update };
+}
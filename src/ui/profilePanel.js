@@ -0,0 +1,99 @@
+/**
+ * src/ui/profilePanel.js
+ * Machining profile editor: one row per layer rule, then how the loaded layers map.
+ *
+ * API:
+ * const panel = createProfilePanel(container, {
+ *   onRuleChange: (index, patch) => {},   // patch: { pattern } | { operation } | { diameter } | { depth } | { unit }
+ *   onRuleRemove: (index) => {},
+ * });
+ * panel.update(rules, layerOps); // profile rules; [{ name, text }] describing each loaded layer
+ *
+ * Rule patterns use layerOperations.js syntax; rules with unusable patterns are marked red.
+ */
+
+import { OPERATIONS, isValidPattern } from "../export/layerOperations.js";
+
+const UNITS = [["", "drawing"], ["mm", "mm"], ["cm", "cm"], ["in", "in"]];
+
+export function createProfilePanel(container, opts = {}) {
+  const { onRuleChange = () => {}, onRuleRemove = () => {} } = opts;
+
+  function select(options, value, onSelect) {
+    const el = document.createElement("select");
+    for (const [v, label] of options) {
+      const option = document.createElement("option");
+      option.value = v;
+      option.textContent = label;
+      el.appendChild(option);
+    }
+    el.value = value;
+    el.addEventListener("change", () => onSelect(el.value));
+    return el;
+  }
+
+  // Optional positive number; empty clears the fixed value
+  function numberInput(title, value, onInput) {
+    const el = document.createElement("input");
+    el.type = "number";
+    el.min = "0";
+    el.step = "any";
+    el.placeholder = title[0].toLowerCase();
+    el.title = title;
+    el.style.width = "52px";
+    el.value = value ?? "";
+    el.addEventListener("change", () => {
+      const v = parseFloat(el.value);
+      onInput(v > 0 ? v : undefined);
+    });
+    return el;
+  }
+
+  function update(rules, layerOps = []) {
+    if (!container) return;
+    container.innerHTML = "";
+
+    if (!rules?.length) {
+      container.innerHTML = '<div class="muted small">No rules: every layer is a perimeter.</div>';
+    }
+    rules?.forEach((rule, index) => {
+      const row = document.createElement("div");
+      row.className = "row small";
+      row.style.gap = "4px";
+
+      const pattern = document.createElement("input");
+      pattern.type = "text";
+      pattern.value = rule.pattern;
+      pattern.placeholder = "LAYER_*";
+      pattern.style.width = "150px";
+      if (!isValidPattern(rule.pattern)) pattern.style.borderColor = "#ef4444";
+      pattern.addEventListener("change", () => onRuleChange(index, { pattern: pattern.value.trim() }));
+
+      const operation = select(OPERATIONS.map((op) => [op, op]), rule.operation, (v) => onRuleChange(index, { operation: v }));
+      const diameter = numberInput("Diameter (unless the pattern reads it)", rule.diameter, (v) => onRuleChange(index, { diameter: v }));
+      const depth = numberInput("Depth (unless the pattern reads it)", rule.depth, (v) => onRuleChange(index, { depth: v }));
+      const units = UNITS.some(([v]) => v === (rule.unit || "")) ? UNITS : [...UNITS, [rule.unit, rule.unit]];
+      const unit = select(units, rule.unit || "", (v) => onRuleChange(index, { unit: v || undefined }));
+      unit.title = "Unit of diameter and depth";
+
+      const remove = document.createElement("button");
+      remove.className = "btn";
+      remove.style.padding = "2px 8px";
+      remove.textContent = "×";
+      remove.title = "Remove rule";
+      remove.addEventListener("click", () => onRuleRemove(index));
+
+      row.append(pattern, operation, diameter, depth, unit, remove);
+      container.appendChild(row);
+    });
+
+    for (const layer of layerOps) {
+      const line = document.createElement("div");
+      line.className = "muted small";
+      line.textContent = `${layer.name || "0"} → ${layer.text}`;
+      container.appendChild(line);
+    }
+  }
+
+  return { update };
+}
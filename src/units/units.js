@@ -0,0 +1,143 @@
+/**
+ * src/units/units.js
+ * $INSUNITS table, unit conversion and geometry rescaling.
+ *
+ * Unit ids are short strings ("in", "mm", "ft", ...) used throughout the app
+ * (state.units, export "units" field). Conversion factors go through meters.
+ *
+ * Rescaling is uniform, so bulge values (tan of a quarter of the included angle)
+ * are unchanged; only coordinates are multiplied.
+ */
+
+// AutoCAD $INSUNITS codes (0 = unitless => null)
+const INSUNITS_TABLE = {
+  1: { id: "in", label: "Inches", meters: 0.0254 },
+  2: { id: "ft", label: "Feet", meters: 0.3048 },
+  3: { id: "mi", label: "Miles", meters: 1609.344 },
+  4: { id: "mm", label: "Millimeters", meters: 0.001 },
+  5: { id: "cm", label: "Centimeters", meters: 0.01 },
+  6: { id: "m", label: "Meters", meters: 1 },
+  7: { id: "km", label: "Kilometers", meters: 1000 },
+  8: { id: "uin", label: "Microinches", meters: 0.0254e-6 },
+  9: { id: "mil", label: "Mils", meters: 0.0254e-3 },
+  10: { id: "yd", label: "Yards", meters: 0.9144 },
+  11: { id: "A", label: "Angstroms", meters: 1e-10 },
+  12: { id: "nm", label: "Nanometers", meters: 1e-9 },
+  13: { id: "um", label: "Microns", meters: 1e-6 },
+  14: { id: "dm", label: "Decimeters", meters: 0.1 },
+  15: { id: "dam", label: "Decameters", meters: 10 },
+  16: { id: "hm", label: "Hectometers", meters: 100 },
+  17: { id: "Gm", label: "Gigameters", meters: 1e9 },
+  18: { id: "AU", label: "Astronomical units", meters: 149597870700 },
+  19: { id: "ly", label: "Light years", meters: 9460730472580800 },
+  20: { id: "pc", label: "Parsecs", meters: 30856775814913673 },
+  21: { id: "ftUS", label: "US survey feet", meters: 1200 / 3937 },
+};
+
+const BY_ID = new Map(
+  Object.entries(INSUNITS_TABLE).map(([code, u]) => [u.id, { ...u, code: Number(code) }])
+);
+
+/**
+ * Map an $INSUNITS code to a unit id.
+ * @param {number} n
+ * @returns {string|null} null for unitless (0) or unknown codes
+ */
+export function mapInsunits(n) {
+  return INSUNITS_TABLE[n]?.id || null;
+}
+
+/**
+ * Reverse lookup for DXF export.
+ * @param {string} unitId
+ * @returns {number} $INSUNITS code (0 when unknown/unitless)
+ */
+export function insunitsCode(unitId) {
+  return BY_ID.get(unitId)?.code ?? 0;
+}
+
+export function isKnownUnit(unitId) {
+  return BY_ID.has(unitId);
+}
+
+export function unitLabel(unitId) {
+  return BY_ID.get(unitId)?.label || unitId || "";
+}
+
+/**
+ * Factor that converts a length in `from` units to `to` units.
+ * @returns {number|null} null when either unit is unknown
+ */
+export function unitScale(from, to) {
+  if (from === to) return 1;
+  const a = BY_ID.get(from);
+  const b = BY_ID.get(to);
+  if (!a || !b) return null;
+  return a.meters / b.meters;
+}
+
+/**
+ * Return scaled copies of polylines (coordinates, and the depth/diameter an imported
+ * operation carries; bulges are scale-invariant).
+ * @param {Array<{vertices:Array<{x:number,y:number,bulge?:number}>}>} polylines
+ * @param {number} factor
+ */
+export function scalePolylines(polylines, factor) {
+  if (factor === 1) return polylines;
+  return polylines.map((poly) => {
+    const out = { ...poly, vertices: (poly.vertices || []).map((v) => ({ ...v, x: v.x * factor, y: v.y * factor })) };
+    if (poly.depth != null) out.depth = poly.depth * factor;
+    if (poly.diameter != null) out.diameter = poly.diameter * factor;
+    return out;
+  });
+}
+
+// Scale TEXT/MTEXT labels (position and height) by the same factor as the geometry
+export function scaleLabels(labels, factor) {
+  if (factor === 1) return labels;
+  return (labels || []).map((l) => ({ ...l, x: l.x * factor, y: l.y * factor, height: l.height * factor }));
+}
+
+/**
+ * Convert parsed polylines from their detected unit into a working unit.
+ * @param {Array} polylines
+ * @param {string|null} fromUnit - detected ($INSUNITS) unit, null if unitless
+ * @param {string} toUnit - working unit ("" keeps native units)
+ * @returns {{ polylines:Array, units:string|null, converted:boolean, factor:number }}
+ *   units is the unit the returned geometry is in
+ */
+export function convertToWorkingUnits(polylines, fromUnit, toUnit) {
+  if (!toUnit || !fromUnit || fromUnit === toUnit) {
+    return { polylines, units: fromUnit || null, converted: false, factor: 1 };
+  }
+  const factor = unitScale(fromUnit, toUnit);
+  if (factor == null) {
+    return { polylines, units: fromUnit, converted: false, factor: 1 };
+  }
+  console.log("[UNITS] Converting", fromUnit, "->", toUnit, "factor", factor);
+  return { polylines: scalePolylines(polylines, factor), units: toUnit, converted: true, factor };
+}
+
+/**
+ * Pick one unit for a multi-file batch: the working unit when set,
+ * otherwise the unit most files were drawn in.
+ * @param {Array<string|null>} detected - per-file detected units
+ * @param {string} workingUnit
+ * @returns {string|null}
+ */
+export function pickBatchUnit(detected, workingUnit) {
+  if (workingUnit) return workingUnit;
+  const counts = new Map();
+  for (const u of detected) {
+    if (u) counts.set(u, (counts.get(u) || 0) + 1);
+  }
+  let best = null;
+  let bestCount = 0;
+  for (const [u, c] of counts) {
+    if (c > bestCount) {
+      best = u;
+      bestCount = c;
+    }
+  }
+  return best;
+}
@@ -4,20 +4,35 @@
  * - Pan (drag) / Zoom (wheel)
  * - Optional grid
  * - Fit-to-view
- * - Renders polylines (linearized preview; bulge preserved for export elsewhere)
+ * - Renders polylines with bulge segments drawn as true arcs
  *
  * API:
  * const r = createCanvasRenderer(canvas, { grid: false, onTransform: () => {} });
  * r.setData(polylines); // [{ layer, closed, vertices:[{x,y,bulge?}, ...] }]
  * r.setGrid(true|false);
+ * r.setLayers(layers); // Map<name, { visible, locked, useColor, colorHex }>
+ * r.setLabels(labels); // [{ kind, layer, text, x, y, height, rotation }] TEXT/MTEXT labels
+ * r.setPreview(items); // [{ a:{x,y}, b:{x,y}, accepted, active? }] proposed gap bridges
+ * r.setPickMode(true|false); // clicks report a world point to opts.onPointPick instead of selecting
+ * r.setMarkers(markers); // [{ x, y, kind }] problem markers (validity issues)
  * r.fitToView(paddingPx?);
  * r.render();
  *
  * Notes:
  * - World coordinates use DXF "model space" (Y up). Canvas uses Y down; we flip Y in transform.
  * - Grid step auto-selects to ~80px in screen space (nice spacing regardless of zoom).
+ * - Hidden layers are not drawn; hidden and locked layers are excluded from hit testing.
+ * - Labels are drawn at their DXF height and are not selectable.
+ * - Polylines with `openGap` set (left open by loop closing) are drawn dashed red.
+ * - Preview items are drawn dashed on top: accepted amber, rejected grey, active thicker.
+ * - Closed parts in opts.invalidParts are drawn pink instead of blue; markers are red rings.
  */
 
+import { arcFromBulge, pointOnBulgeSegment } from "../geom/bulge.js";
+import { polylinesBounds } from "../geom/bounds.js";
+
+const ARC_SAMPLES = 16; // chords per bulge segment for box selection
+
 export function createCanvasRenderer(canvas, opts = {}) {
   const dpr = Math.max(1, window.devicePixelRatio || 1);
   /** @type {CanvasRenderingContext2D} */
@@ -27,14 +42,21 @@ export function createCanvasRenderer(canvas, opts = {}) {
   const {
     selectedIndices = new Set(),
     closedParts = new Set(), // Indices of closed parts (render blue)
+    invalidParts = new Set(), // Indices of closed parts that fail validity checks (render pink)
     onPolylineClick = () => {},
     onPartDragStart = () => {},
     onPartDrag = () => {},
     onPartDragEnd = () => {},
+    onPointPick = () => {},
   } = opts;
 
   const state = {
     polylines: [],
+    labels: [],
+    preview: [],
+    markers: [],
+    pickMode: false,
+    layers: new Map(), // layer name -> { visible, locked, useColor, colorHex }
     grid: !!opts.grid,
     // World->Screen (CSS px): sx = tx + x*scale; sy = ty - y*scale (flip Y)
     scale: 1,
@@ -133,42 +155,54 @@ export function createCanvasRenderer(canvas, opts = {}) {
     }
   }
 
+  // ---------- Layer helpers ----------
+  function layerOf(poly) {
+    return state.layers.get(poly?.layer || "") || null;
+  }
+  function isVisible(poly) {
+    const layer = layerOf(poly);
+    return !layer || layer.visible !== false;
+  }
+  // Only visible, unlocked polylines can be clicked or box-selected
+  function isInteractive(poly) {
+    const layer = layerOf(poly);
+    return !layer || (layer.visible !== false && !layer.locked);
+  }
+
   // ---------- Polyline drawing ----------
   function drawPolyline(poly, index) {
     if (!poly?.vertices?.length) return;
+    if (!isVisible(poly)) return;
+    const layer = layerOf(poly);
     
     // Check if this polyline is selected or a closed part
     const isSelected = selectedIndices && selectedIndices.has(index);
     const isClosedPart = closedParts && closedParts.has(index);
     
     // Color priority: Orange (selected) > Blue (closed part) > Green (normal)
-    let strokeColor = "#22c55e"; // green (normal lines)
-    if (isClosedPart) strokeColor = "#3b82f6"; // blue (closed parts) 
+    let strokeColor = layer?.useColor ? layer.colorHex : "#22c55e"; // green (normal lines) or layer colour
+    const isOpenChain = !isClosedPart && poly.openGap != null; // left open by "Close Loops"
+    if (isOpenChain) strokeColor = "#ef4444"; // red (still open)
+    if (isClosedPart) strokeColor = invalidParts.has(index) ? "#ec4899" : "#3b82f6"; // pink (invalid) or blue (closed parts)
     if (isSelected) strokeColor = "#f59e0b"; // orange (selected - highest priority)
     
     ctx.strokeStyle = strokeColor;
     ctx.lineWidth = isSelected ? 3 : (isClosedPart ? 2.5 : 2); // thicker if selected or closed part
-    ctx.setLineDash([]);
+    ctx.setLineDash(isOpenChain ? [6, 4] : []);
+    ctx.globalAlpha = layer?.locked ? 0.35 : 1; // locked layers are dimmed
     
     ctx.beginPath();
-    let first = true;
+    const verts = poly.vertices;
+    const start = worldToScreen(verts[0]);
+    ctx.moveTo(start.x, start.y);
     
-    for (let i = 0; i < poly.vertices.length; i++) {
-      const v = poly.vertices[i];
-      const sp = worldToScreen(v);
-      
-      if (first) {
-        ctx.moveTo(sp.x, sp.y);
-        first = false;
-      } else {
-        // For simplicity, we just draw straight lines
-        // In a full implementation, we'd handle bulge arcs
-        ctx.lineTo(sp.x, sp.y);
-      }
+    for (let i = 1; i < verts.length; i++) {
+      traceSegment(verts[i - 1], verts[i]);
     }
     
-    // Close if marked as closed
-    if (poly.closed && poly.vertices.length > 2) {
+    // Close if marked as closed (the closing segment may be an arc, e.g. a two-vertex circle)
+    if (poly.closed && verts.length >= 2) {
+      traceSegment(verts[verts.length - 1], verts[0]);
       ctx.closePath();
     }
     
@@ -182,6 +216,91 @@ export function createCanvasRenderer(canvas, opts = {}) {
       ctx.arc(sp.x, sp.y, isSelected ? 4 : 3, 0, 2 * Math.PI);
       ctx.fill();
     }
+    ctx.globalAlpha = 1;
+  }
+
+  // Add segment v1 -> v2 to the current path (arc when v1 carries a bulge)
+  function traceSegment(v1, v2) {
+    const arc = arcFromBulge(v1, v2, v1.bulge);
+    if (!arc) {
+      const sp = worldToScreen(v2);
+      ctx.lineTo(sp.x, sp.y);
+      return;
+    }
+    // Y is flipped on screen, so world angles are negated and CCW becomes anticlockwise=true
+    const c = worldToScreen({ x: arc.cx, y: arc.cy });
+    ctx.arc(c.x, c.y, arc.r * state.scale, -arc.startAngle, -(arc.startAngle + arc.sweep), arc.sweep > 0);
+  }
+
+  // Segments of a polyline as [v1, v2] pairs, including the closing segment
+  function segmentsOf(poly) {
+    const verts = poly.vertices;
+    const segs = [];
+    for (let j = 0; j < verts.length - 1; j++) segs.push([verts[j], verts[j + 1]]);
+    if (poly.closed && verts.length >= 2) segs.push([verts[verts.length - 1], verts[0]]);
+    return segs;
+  }
+
+  // ---------- Label drawing ----------
+  function drawLabel(label) {
+    if (!label?.text) return;
+    if (!isVisible(label)) return;
+    const px = (label.height || 0) * state.scale;
+    if (px < 4) return; // unreadable at this zoom
+
+    const layer = layerOf(label);
+    const sp = worldToScreen(label);
+    ctx.save();
+    ctx.translate(sp.x, sp.y);
+    ctx.rotate(-((label.rotation || 0) * Math.PI) / 180); // canvas Y is flipped
+    ctx.fillStyle = layer?.useColor ? layer.colorHex : "#cbd5e1";
+    ctx.globalAlpha = layer?.locked ? 0.35 : 0.9;
+    ctx.font = `${px}px sans-serif`;
+    // TEXT sits on its baseline; MTEXT hangs from its (top-left) insertion point
+    ctx.textBaseline = label.kind === "MTEXT" ? "top" : "alphabetic";
+    const lines = label.text.split("\n");
+    lines.forEach((line, i) => ctx.fillText(line, 0, i * px * 1.4));
+    ctx.restore();
+  }
+
+  function drawPreviewItem(item) {
+    const a = worldToScreen(item.a);
+    const b = worldToScreen(item.b);
+    const color = item.accepted ? "#f59e0b" : "#6b7280"; // amber (accepted) or grey (rejected)
+    ctx.save();
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = item.active ? 3 : 1.5;
+    ctx.setLineDash([4, 3]);
+    ctx.beginPath();
+    ctx.moveTo(a.x, a.y);
+    ctx.lineTo(b.x, b.y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    // Mark both ends so very short gaps stay visible when zoomed out
+    for (const p of [a, b]) {
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, item.active ? 4 : 3, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+
+  function drawMarker(marker) {
+    const sp = worldToScreen(marker);
+    ctx.save();
+    ctx.strokeStyle = "#ef4444"; // red
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(sp.x, sp.y, 7, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(sp.x - 4, sp.y - 4);
+    ctx.lineTo(sp.x + 4, sp.y + 4);
+    ctx.moveTo(sp.x + 4, sp.y - 4);
+    ctx.lineTo(sp.x - 4, sp.y + 4);
+    ctx.stroke();
+    ctx.restore();
   }
 
   // ---------- Hit testing ----------
@@ -192,31 +311,45 @@ export function createCanvasRenderer(canvas, opts = {}) {
     for (let i = 0; i < state.polylines.length; i++) {
       const poly = state.polylines[i];
       if (!poly?.vertices?.length) continue;
+      if (!isInteractive(poly)) continue;
       
-      // Test each line segment in the polyline
-      for (let j = 0; j < poly.vertices.length - 1; j++) {
-        const v1 = poly.vertices[j];
-        const v2 = poly.vertices[j + 1];
-        
-        const dist = distanceToLineSegment(worldPos, v1, v2);
+      // Test each segment (straight or arc), including the closing segment
+      for (const [v1, v2] of segmentsOf(poly)) {
+        const dist = distanceToSegment(worldPos, v1, v2);
         if (dist <= tolerance) {
           return i; // Return polyline index
         }
       }
-      
-      // If closed, also check the closing segment
-      if (poly.closed && poly.vertices.length > 2) {
-        const vFirst = poly.vertices[0];
-        const vLast = poly.vertices[poly.vertices.length - 1];
-        const dist = distanceToLineSegment(worldPos, vLast, vFirst);
-        if (dist <= tolerance) {
-          return i;
-        }
-      }
     }
     return -1; // No hit
   }
   
+  // Distance to a polyline segment; bulge segments are measured to the arc
+  function distanceToSegment(point, v1, v2) {
+    const arc = arcFromBulge(v1, v2, v1.bulge);
+    if (!arc) return distanceToLineSegment(point, v1, v2);
+    
+    // Inside the arc's angular span the nearest point is radial; otherwise an endpoint
+    const angle = Math.atan2(point.y - arc.cy, point.x - arc.cx);
+    let rel = (angle - arc.startAngle) * Math.sign(arc.sweep);
+    rel = ((rel % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+    if (rel <= Math.abs(arc.sweep)) {
+      return Math.abs(Math.hypot(point.x - arc.cx, point.y - arc.cy) - arc.r);
+    }
+    return Math.min(
+      Math.hypot(point.x - v1.x, point.y - v1.y),
+      Math.hypot(point.x - v2.x, point.y - v2.y)
+    );
+  }
+  
+  // Points along a segment: the two ends, plus samples along an arc
+  function segmentPoints(v1, v2) {
+    if (!v1.bulge) return [v1, v2];
+    const pts = [];
+    for (let k = 0; k <= ARC_SAMPLES; k++) pts.push(pointOnBulgeSegment(v1, v2, v1.bulge, k / ARC_SAMPLES));
+    return pts;
+  }
+  
   function distanceToLineSegment(point, lineStart, lineEnd) {
     const dx = lineEnd.x - lineStart.x;
     const dy = lineEnd.y - lineStart.y;
@@ -258,12 +391,15 @@ export function createCanvasRenderer(canvas, opts = {}) {
     for (let i = 0; i < state.polylines.length; i++) {
       const poly = state.polylines[i];
       if (!poly?.vertices?.length) continue;
+      if (!isInteractive(poly)) continue;
       
       let isSelected = false;
       
       if (state.isWindowSelection) {
-        // Window selection: ALL vertices must be inside the box
-        isSelected = poly.vertices.every(v => 
+        // Window selection: ALL vertices (and arc bulges) must be inside the box
+        isSelected = segmentsOf(poly).every(([v1, v2]) => segmentPoints(v1, v2).every(v => 
+          v.x >= minX && v.x <= maxX && v.y >= minY && v.y <= maxY
+        )) && poly.vertices.every(v => 
           v.x >= minX && v.x <= maxX && v.y >= minY && v.y <= maxY
         );
       } else {
@@ -283,22 +419,15 @@ export function createCanvasRenderer(canvas, opts = {}) {
   }
   
   function polylineIntersectsBox(poly, minX, minY, maxX, maxY) {
-    // Check if any line segment intersects the selection box
-    for (let i = 0; i < poly.vertices.length - 1; i++) {
-      const v1 = poly.vertices[i];
-      const v2 = poly.vertices[i + 1];
-      
-      if (lineIntersectsBox(v1.x, v1.y, v2.x, v2.y, minX, minY, maxX, maxY)) {
-        return true;
-      }
-    }
-    
-    // Check closing segment for closed polylines
-    if (poly.closed && poly.vertices.length > 2) {
-      const vFirst = poly.vertices[0];
-      const vLast = poly.vertices[poly.vertices.length - 1];
-      if (lineIntersectsBox(vLast.x, vLast.y, vFirst.x, vFirst.y, minX, minY, maxX, maxY)) {
-        return true;
+    // Check if any segment intersects the selection box (arcs as short chords)
+    for (const [v1, v2] of segmentsOf(poly)) {
+      const pts = segmentPoints(v1, v2);
+      for (let k = 0; k < pts.length - 1; k++) {
+        const a = pts[k];
+        const b = pts[k + 1];
+        if (lineIntersectsBox(a.x, a.y, b.x, b.y, minX, minY, maxX, maxY)) {
+          return true;
+        }
       }
     }
     
@@ -361,6 +490,13 @@ export function createCanvasRenderer(canvas, opts = {}) {
     if (e.button !== 0) return; // left button only
     const pos = getMousePos(e);
     
+    // Pick mode: report the world point (e.g. region picking) and do nothing else
+    if (state.pickMode) {
+      onPointPick(screenToWorld(pos), e.shiftKey);
+      e.preventDefault();
+      return;
+    }
+    
     // Check if clicking on a polyline
     const clickedIndex = hitTestPolylines(pos);
     if (clickedIndex !== -1) {
@@ -425,7 +561,7 @@ export function createCanvasRenderer(canvas, opts = {}) {
     if (state.isDraggingPart) {
       state.isDraggingPart = false;
       onPartDragEnd();
-      canvas.style.cursor = "grab";
+      canvas.style.cursor = state.pickMode ? "cell" : "grab";
     } else if (state.isDraggingSelection) {
       // Complete drag selection
       const selectedIndices = performDragSelection();
@@ -475,6 +611,21 @@ export function createCanvasRenderer(canvas, opts = {}) {
       drawPolyline(state.polylines[i], i);
     }
     
+    // Draw labels over the geometry
+    for (const label of state.labels) {
+      drawLabel(label);
+    }
+    
+    // Draw problem markers
+    for (const marker of state.markers) {
+      drawMarker(marker);
+    }
+    
+    // Draw previews (gap bridges) above everything but the selection box
+    for (const item of state.preview) {
+      drawPreviewItem(item);
+    }
+    
     // Draw selection box on top
     drawSelectionBox();
   }
@@ -484,6 +635,31 @@ export function createCanvasRenderer(canvas, opts = {}) {
     render();
   }
 
+  function setLabels(labels) {
+    state.labels = labels || [];
+    render();
+  }
+
+  function setPreview(items) {
+    state.preview = items || [];
+    render();
+  }
+
+  function setMarkers(markers) {
+    state.markers = markers || [];
+    render();
+  }
+
+  function setPickMode(enabled) {
+    state.pickMode = !!enabled;
+    canvas.style.cursor = state.pickMode ? "cell" : "grab";
+  }
+
+  function setLayers(layers) {
+    state.layers = layers || new Map();
+    render();
+  }
+
   function setGrid(enabled) {
     state.grid = !!enabled;
     render();
@@ -499,18 +675,10 @@ export function createCanvasRenderer(canvas, opts = {}) {
       return;
     }
     
-    // Calculate bounds
-    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-    for (const poly of state.polylines) {
-      for (const v of poly.vertices || []) {
-        minX = Math.min(minX, v.x);
-        maxX = Math.max(maxX, v.x);
-        minY = Math.min(minY, v.y);
-        maxY = Math.max(maxY, v.y);
-      }
-    }
-    
-    if (!isFinite(minX)) return;
+    // Calculate bounds (arc bulges included)
+    const bounds = polylinesBounds(state.polylines);
+    if (!bounds) return;
+    const { minX, minY, maxX, maxY } = bounds;
     
     const worldW = maxX - minX;
     const worldH = maxY - minY;
@@ -544,6 +712,11 @@ export function createCanvasRenderer(canvas, opts = {}) {
 
   return {
     setData,
+    setLayers,
+    setLabels,
+    setPreview,
+    setPickMode,
+    setMarkers,
     setGrid,
     fitToView,
     render,
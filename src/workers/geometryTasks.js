@@ -0,0 +1,55 @@
+/**
+ * src/workers/geometryTasks.js
+ * Heavy geometry jobs that run inside the geometry worker (or inline as a fallback).
+ *
+ * Tasks:
+ * - "parse":    { buffer, options }             -> { unitsAuto, layers, labels, diagnostics, packed }
+ * - "autoJoin": { packed, tol, lockedLayers }    -> { packed, joinedAny, joins, junctions }
+ *
+ * Polylines cross the thread boundary packed (see polylinePacking.js) so the
+ * coordinate buffer can be transferred instead of copied.
+ */
+
+import { parseDXF } from "../parse/dxfParser.js";
+import { autoJoinPolylines } from "../geom/autoJoin.js";
+import { packPolylines, unpackPolylines } from "./polylinePacking.js";
+
+/**
+ * @param {string} type - task name
+ * @param {object} payload - task input
+ * @param {(progress:{stage:string}) => void} [onProgress]
+ * @returns {object} task result (contains a packed polyline set)
+ */
+export function runGeometryTask(type, payload, onProgress = () => {}) {
+  switch (type) {
+    case "parse": {
+      onProgress({ stage: "parsing" });
+      const parsed = parseDXF(payload.buffer, payload.options || {});
+      onProgress({ stage: "packing" });
+      return {
+        unitsAuto: parsed.unitsAuto,
+        layers: parsed.layers,
+        labels: parsed.labels,
+        diagnostics: parsed.diagnostics,
+        packed: packPolylines(parsed.polylines || []),
+      };
+    }
+    case "autoJoin": {
+      const locked = new Set(payload.lockedLayers || []);
+      onProgress({ stage: "joining" });
+      const result = autoJoinPolylines(
+        unpackPolylines(payload.packed),
+        payload.tol,
+        (poly) => !locked.has(poly?.layer || "")
+      );
+      return {
+        packed: packPolylines(result.polylines),
+        joinedAny: result.joinedAny,
+        joins: result.joins,
+        junctions: result.junctions,
+      };
+    }
+    default:
+      throw new Error(`Unknown geometry task: ${type}`);
+  }
+}
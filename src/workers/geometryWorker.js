@@ -0,0 +1,27 @@
+/**
+ * src/workers/geometryWorker.js
+ * Module worker entry point for the geometry worker pool.
+ *
+ * Messages in:  { id, type, payload }
+ * Messages out: { kind: "ready" }                 (once loaded; the pool waits for it)
+ *               { id, kind: "progress", progress }
+ *               { id, kind: "result", result }   (packed coords transferred)
+ *               { id, kind: "error", message }
+ */
+
+import { runGeometryTask } from "./geometryTasks.js";
+import { packedTransferables } from "./polylinePacking.js";
+
+self.onmessage = (e) => {
+  const { id, type, payload } = e.data || {};
+  try {
+    const result = runGeometryTask(type, payload, (progress) => {
+      self.postMessage({ id, kind: "progress", progress });
+    });
+    self.postMessage({ id, kind: "result", result }, packedTransferables(result.packed));
+  } catch (err) {
+    self.postMessage({ id, kind: "error", message: err?.message || String(err) });
+  }
+};
+
+self.postMessage({ kind: "ready" });
@@ -0,0 +1,52 @@
+/**
+ * src/workers/polylinePacking.js
+ * Pack polylines into a transferable structure for worker <-> main thread messages.
+ *
+ * Packed form:
+ * {
+ *   meta:   Array<{ layer, closed, count, ...extra poly props }>  (structured clone, small)
+ *   coords: Float64Array [x0, y0, bulge0, x1, y1, bulge1, ...]   (transferred, zero-copy)
+ * }
+ * A bulge of 0 is unpacked as "no bulge" (property omitted), matching parser output.
+ */
+
+export function packPolylines(polylines) {
+  let total = 0;
+  for (const poly of polylines) total += poly.vertices?.length || 0;
+
+  const coords = new Float64Array(total * 3);
+  const meta = [];
+  let k = 0;
+  for (const poly of polylines) {
+    const { vertices = [], ...rest } = poly;
+    meta.push({ ...rest, count: vertices.length });
+    for (const v of vertices) {
+      coords[k++] = v.x;
+      coords[k++] = v.y;
+      coords[k++] = v.bulge || 0;
+    }
+  }
+  return { meta, coords };
+}
+
+export function unpackPolylines(packed) {
+  const { meta = [], coords } = packed || {};
+  const out = [];
+  let k = 0;
+  for (const { count, ...rest } of meta) {
+    const vertices = new Array(count);
+    for (let n = 0; n < count; n++) {
+      const v = { x: coords[k], y: coords[k + 1] };
+      if (coords[k + 2] !== 0) v.bulge = coords[k + 2];
+      vertices[n] = v;
+      k += 3;
+    }
+    out.push({ ...rest, vertices });
+  }
+  return out;
+}
+
+// ArrayBuffers to list in postMessage(..., transfer)
+export function packedTransferables(packed) {
+  return packed?.coords ? [packed.coords.buffer] : [];
+}
@@ -0,0 +1,188 @@
+/**
+ * src/workers/workerPool.js
+ * Small pool of geometry workers with a FIFO task queue, progress and cancel.
+ *
+ * API:
+ * const pool = createWorkerPool(workerUrl, { size });
+ * const task = pool.run(type, payload, transfer, { onProgress });
+ * await task.promise;   // resolves with the task result
+ * task.cancel();        // rejects task.promise with { cancelled: true }
+ * pool.cancelAll();     // cancel queued and running tasks
+ *
+ * Cancelling a running task terminates its worker and starts a fresh one.
+ * A worker only gets tasks after its "ready" message, so nothing is lost when it fails to load.
+ * If module workers are unavailable (constructor throws, or every worker fails to load,
+ * e.g. page opened from file://) tasks run inline on the main thread through
+ * runGeometryTask, one per event-loop turn, so queued tasks can still be cancelled.
+ */
+
+import { runGeometryTask } from "./geometryTasks.js";
+
+function cancelError() {
+  const err = new Error("Cancelled");
+  err.cancelled = true;
+  return err;
+}
+
+function defaultPoolSize() {
+  const cores = (typeof navigator !== "undefined" && navigator.hardwareConcurrency) || 2;
+  return Math.max(1, Math.min(4, cores - 1));
+}
+
+export function createWorkerPool(workerUrl, opts = {}) {
+  const size = opts.size || defaultPoolSize();
+  const slots = []; // { worker, task }
+  const queue = [];
+  let nextId = 1;
+  let inline = false;
+  let inlineBusy = false;
+
+  function spawn() {
+    const worker = new Worker(workerUrl, { type: "module" });
+    const slot = { worker, task: null, ready: false };
+    worker.onmessage = (e) => handleMessage(slot, e.data);
+    worker.onerror = (e) => {
+      e.preventDefault?.();
+      if (!slot.ready) {
+        dropSlot(slot, e.message);
+        return;
+      }
+      const task = slot.task;
+      slot.task = null;
+      if (task) task.reject(new Error(e.message || "Worker error"));
+      pump();
+    };
+    return slot;
+  }
+
+  function goInline(reason) {
+    console.warn("[WORKERS] Workers unavailable, running geometry tasks inline:", reason);
+    for (const slot of slots) slot.worker.terminate();
+    slots.length = 0;
+    inline = true;
+    pump();
+  }
+
+  // A worker that failed to load never had a task; without any worker left, fall back to inline
+  function dropSlot(slot, message) {
+    slot.worker.terminate();
+    const si = slots.indexOf(slot);
+    if (si >= 0) slots.splice(si, 1);
+    console.warn("[WORKERS] Worker failed to load:", message || "(no message)");
+    if (slots.length === 0) goInline(message || "worker failed to load");
+  }
+
+  try {
+    for (let n = 0; n < size; n++) slots.push(spawn());
+    console.log("[WORKERS] Started", size, "geometry worker(s)");
+  } catch (err) {
+    goInline(err);
+  }
+
+  function handleMessage(slot, msg) {
+    if (msg?.kind === "ready") {
+      slot.ready = true;
+      pump();
+      return;
+    }
+    const task = slot.task;
+    if (!task || msg?.id !== task.id) return; // stale message from a cancelled task
+    if (msg.kind === "progress") {
+      task.onProgress(msg.progress);
+      return;
+    }
+    slot.task = null;
+    if (msg.kind === "result") task.resolve(msg.result);
+    else task.reject(new Error(msg.message || "Worker task failed"));
+    pump();
+  }
+
+  function pump() {
+    if (inline) {
+      runInline();
+      return;
+    }
+    for (const slot of slots) {
+      if (queue.length === 0) return;
+      if (slot.task || !slot.ready) continue;
+      const task = queue.shift();
+      slot.task = task;
+      slot.worker.postMessage({ id: task.id, type: task.type, payload: task.payload }, task.transfer);
+    }
+  }
+
+  // Inline fallback: one task per event-loop turn, so the status bar repaints and Cancel
+  // clicks are handled between tasks (queued tasks are then removed by cancelTask)
+  function runInline() {
+    if (inlineBusy || queue.length === 0) return;
+    inlineBusy = true;
+    setTimeout(() => {
+      inlineBusy = false;
+      const task = queue.shift();
+      if (task && !task.settled) {
+        try {
+          task.resolve(runGeometryTask(task.type, task.payload, task.onProgress));
+        } catch (err) {
+          task.reject(err);
+        }
+      }
+      pump();
+    }, 0);
+  }
+
+  function cancelTask(task) {
+    if (task.settled) return;
+    const qi = queue.indexOf(task);
+    if (qi >= 0) queue.splice(qi, 1);
+    const si = slots.findIndex((s) => s.task === task);
+    if (si >= 0) {
+      slots[si].worker.terminate();
+      slots[si] = spawn();
+      console.log("[WORKERS] Terminated worker running task", task.id);
+    }
+    task.reject(cancelError());
+    pump();
+  }
+
+  /**
+   * Queue a task.
+   * @param {string} type - see geometryTasks.js
+   * @param {object} payload
+   * @param {Transferable[]} [transfer] - buffers moved (not copied) to the worker
+   * @param {{ onProgress?: (progress:object) => void }} [taskOpts]
+   * @returns {{ promise: Promise<object>, cancel: () => void }}
+   */
+  function run(type, payload, transfer = [], taskOpts = {}) {
+    const task = {
+      id: nextId++,
+      type,
+      payload,
+      transfer,
+      onProgress: taskOpts.onProgress || (() => {}),
+      settled: false,
+    };
+    const promise = new Promise((resolve, reject) => {
+      task.resolve = (v) => {
+        task.settled = true;
+        resolve(v);
+      };
+      task.reject = (e) => {
+        task.settled = true;
+        reject(e);
+      };
+    });
+
+    queue.push(task);
+    pump();
+    return { promise, cancel: () => cancelTask(task) };
+  }
+
+  function cancelAll() {
+    for (const task of [...queue]) cancelTask(task);
+    for (const slot of [...slots]) {
+      if (slot.task) cancelTask(slot.task);
+    }
+  }
+
+  return { run, cancelAll };
+}
@@ -0,0 +1,67 @@
+/**
+ * test/autoJoin.test.mjs
+ * Auto-join over the endpoint graph: chains, arcs on reversed pieces, junctions, speed.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { autoJoinPolylines, joinTwoPolylines } from "../src/geom/autoJoin.js";
+import { compareSegmentGeometry } from "../src/geom/segments.js";
+
+const line = (x1, y1, x2, y2, extra = {}) => ({ layer: "0", closed: false, vertices: [{ x: x1, y: y1 }, { x: x2, y: y2 }], ...extra });
+
+test("pieces drawn in any direction join into one chain with arcs kept in place", () => {
+  const arc = { layer: "0", closed: false, vertices: [{ x: 2, y: 0, bulge: 1 }, { x: 1, y: 0 }] }; // drawn backwards
+  const { polylines, joins } = autoJoinPolylines([line(0, 0, 1, 0), line(3, 0, 2, 0), arc], 1e-6);
+  assert.equal(joins, 2);
+  assert.equal(polylines.length, 1);
+  const expected = { closed: false, vertices: [{ x: 0, y: 0 }, { x: 1, y: 0, bulge: -1 }, { x: 2, y: 0 }, { x: 3, y: 0 }] };
+  assert.deepEqual(compareSegmentGeometry([expected], polylines), []);
+  assert.equal(polylines[0].layer, "0");
+});
+
+test("a chain keeps the layer and part name its pieces share", () => {
+  const polys = [line(0, 0, 1, 0, { partName: "Door" }), line(1, 0, 2, 0, { partName: "Door", layer: "CUT" })];
+  const [chain] = autoJoinPolylines(polys, 1e-6).polylines;
+  assert.equal(chain.partName, "Door");
+  assert.equal(chain.layer, "JOINED");
+
+  const mixed = autoJoinPolylines([line(0, 0, 1, 0, { partName: "Door" }), line(1, 0, 2, 0, { partName: "Side" })], 1e-6);
+  assert.equal(mixed.polylines[0].partName, undefined);
+  assert.equal(mixed.polylines[0].layer, "0");
+});
+
+test("ends meeting at three endpoints stay open and are reported as a junction", () => {
+  const { polylines, junctions } = autoJoinPolylines([line(0, 0, 1, 0), line(1, 0, 2, 0), line(1, 0, 1, 1)], 1e-6);
+  assert.equal(polylines.length, 3);
+  assert.deepEqual(junctions, [{ x: 1, y: 0, count: 3 }]);
+});
+
+test("closed and non-editable polylines are left untouched", () => {
+  const locked = line(1, 0, 2, 0, { layer: "LOCKED" });
+  const square = { layer: "0", closed: true, vertices: [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }] };
+  const { polylines, joinedAny } = autoJoinPolylines([line(0, 0, 1, 0), locked, square], 1e-6, (p) => p.layer !== "LOCKED");
+  assert.equal(joinedAny, false);
+  assert.equal(polylines.length, 3);
+  assert.ok(polylines.includes(locked) && polylines.includes(square));
+});
+
+test("joinTwoPolylines connects whichever ends meet", () => {
+  const joined = joinTwoPolylines(line(0, 0, 1, 0), line(2, 0, 1, 0), 1e-6);
+  assert.deepEqual(joined.vertices, [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }]);
+  assert.equal(joinTwoPolylines(line(0, 0, 1, 0), line(5, 0, 6, 0), 1e-6), null);
+  const named = joinTwoPolylines(line(0, 0, 1, 0, { partName: "Shelf" }), line(1, 0, 2, 0, { partName: "Shelf" }), 1e-6);
+  assert.equal(named.partName, "Shelf");
+});
+
+test("a long chain joins in linear time", () => {
+  const n = 20000;
+  const polys = [];
+  for (let i = 0; i < n; i++) polys.push(i % 2 ? line(i + 1, 0, i, 0) : line(i, 0, i + 1, 0));
+  const t0 = performance.now();
+  const { polylines } = autoJoinPolylines(polys, 1e-6);
+  const ms = performance.now() - t0;
+  assert.equal(polylines.length, 1);
+  assert.equal(polylines[0].vertices.length, n + 1);
+  assert.ok(ms < 5000, `20,000 segments took ${ms.toFixed(0)} ms`);
+});
@@ -0,0 +1,66 @@
+/**
+ * test/binaryDxf.test.mjs
+ * Binary DXF decoding (R12 and R13+ group codes) into the ASCII pair stream.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isBinaryDXF, binaryToPairs } from "../src/parse/binaryDxf.js";
+import { toPairs } from "../src/parse/dxfParser.js";
+
+const SENTINEL = "AutoCAD Binary DXF\r\n\x1a\0";
+
+const ASCII = [
+  "0", "SECTION", "2", "ENTITIES",
+  "0", "LWPOLYLINE", "8", "CUT", "90", "2", "70", "1",
+  "10", "0", "20", "0", "42", "0.5",
+  "10", "12.25", "20", "-3",
+  "0", "ENDSEC", "0", "EOF",
+].join("\n");
+
+// Same value types as the decoder: 10-59 doubles, 60-79 int16, 90-99 int32, else strings
+function encode(pairs, wideCodes) {
+  const bytes = [...SENTINEL].map((c) => c.charCodeAt(0));
+  const push = (n, size, setter) => {
+    const view = new DataView(new ArrayBuffer(size));
+    view[setter](0, n, true);
+    bytes.push(...new Uint8Array(view.buffer));
+  };
+  for (const [codeText, value] of pairs) {
+    const code = Number(codeText);
+    if (wideCodes) push(code, 2, "setInt16");
+    else if (code < 255) bytes.push(code);
+    else {
+      bytes.push(255);
+      push(code, 2, "setInt16");
+    }
+    if (code >= 10 && code <= 59) push(Number(value), 8, "setFloat64");
+    else if (code >= 60 && code <= 79) push(Number(value), 2, "setInt16");
+    else if (code >= 90 && code <= 99) push(Number(value), 4, "setInt32");
+    else bytes.push(...new TextEncoder().encode(value), 0);
+  }
+  return new Uint8Array(bytes);
+}
+
+test("R13+ binary (int16 group codes) decodes to the ASCII pairs", () => {
+  const data = encode(toPairs(ASCII), true);
+  assert.equal(isBinaryDXF(data), true);
+  assert.deepEqual(binaryToPairs(data), toPairs(ASCII));
+});
+
+test("R12 binary (one-byte group codes) decodes to the ASCII pairs", () => {
+  const data = encode(toPairs(ASCII), false);
+  assert.deepEqual(binaryToPairs(data.buffer), toPairs(ASCII));
+});
+
+test("ASCII text is not binary", () => {
+  assert.equal(isBinaryDXF(new TextEncoder().encode(ASCII)), false);
+  assert.equal(isBinaryDXF(new Uint8Array(4)), false);
+});
+
+test("a truncated buffer throws", () => {
+  const data = encode(toPairs(ASCII), true);
+  // Cut inside the double of the second vertex
+  const cut = data.subarray(0, data.length - 30);
+  assert.throws(() => binaryToPairs(cut), /Truncated binary DXF at byte \d+/);
+});
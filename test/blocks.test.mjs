@@ -0,0 +1,74 @@
+/**
+ * test/blocks.test.mjs
+ * INSERT expansion: base point, scale, rotation, mirroring and nesting limits.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseDXF } from "../src/parse/dxfParser.js";
+import { pointOnBulgeSegment } from "../src/geom/bulge.js";
+
+function close(actual, expected, tol = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tol, `${actual} != ${expected}`);
+}
+
+// "code value" tokens -> DXF text with BLOCKS and ENTITIES sections
+function dxf(blocks, entities) {
+  const text = `0 SECTION 2 BLOCKS ${blocks} 0 ENDSEC 0 SECTION 2 ENTITIES ${entities} 0 ENDSEC 0 EOF`;
+  return text.trim().split(/\s+/).join("\n");
+}
+
+const block = (name, baseX, baseY, body) => ` 0 BLOCK 2 ${name} 10 ${baseX} 20 ${baseY} ${body} 0 ENDBLK `;
+const insert = (name, fields = "") => `0 INSERT 8 PARTS 2 ${name} ${fields}`;
+
+// Upper half circle of radius 1 around (2,1): from (3,1) to (1,1), base point (1,1)
+const ARC_BLOCK = block("TAB", 1, 1, "0 ARC 8 0 10 2 20 1 40 1 50 0 51 180");
+
+const codes = (res) => res.diagnostics.map((d) => d.code);
+
+test("an INSERT moves the base point to the insertion point and scales", () => {
+  const res = parseDXF(dxf(ARC_BLOCK, insert("TAB", "10 10 20 10 41 2 42 2")));
+  assert.equal(res.polylines.length, 1);
+  const [a, b] = res.polylines[0].vertices;
+  assert.deepEqual([a.x, a.y, b.x, b.y], [14, 10, 10, 10]);
+  close(a.bulge, 1);
+  assert.equal(res.polylines[0].layer, "PARTS"); // layer 0 inherits the INSERT's
+});
+
+test("a rotated, mirrored INSERT negates the bulge so the arc stays on the right side", () => {
+  const res = parseDXF(dxf(ARC_BLOCK, insert("TAB", "10 10 20 10 41 -1 42 1 50 90")));
+  const [a, b] = res.polylines[0].vertices;
+  close(a.x, 10);
+  close(a.y, 8);
+  close(b.x, 10);
+  close(b.y, 10);
+  close(a.bulge, -1);
+  // The block's arc top (2,2) lands at (9,9)
+  const mid = pointOnBulgeSegment(a, b, a.bulge, 0.5);
+  close(mid.x, 9);
+  close(mid.y, 9);
+});
+
+test("a zero scale factor is reported and the INSERT skipped", () => {
+  const res = parseDXF(dxf(ARC_BLOCK, insert("TAB", "41 0")));
+  assert.equal(res.polylines.length, 0);
+  assert.ok(codes(res).includes("DEGENERATE_ENTITY"));
+});
+
+test("a block that inserts itself is expanded once and reported", () => {
+  const loop = block("LOOP", 0, 0, `0 LINE 8 0 10 0 20 0 11 1 21 0 ${insert("LOOP", "10 5 20 0")}`);
+  const res = parseDXF(dxf(loop, insert("LOOP")));
+  assert.equal(res.polylines.length, 1);
+  const warning = res.diagnostics.find((d) => d.code === "BLOCK_RECURSION");
+  assert.match(warning.message, /Block "LOOP" inserts itself/);
+});
+
+test("nesting deeper than the limit stops and is reported", () => {
+  // B0 inserts B1 inserts B2 ... each adding one line
+  let blocks = "";
+  for (let k = 0; k < 20; k++) blocks += block(`B${k}`, 0, 0, `0 LINE 8 0 10 0 20 ${k} 11 1 21 ${k} ${insert(`B${k + 1}`)}`);
+  blocks += block("B20", 0, 0, "");
+  const res = parseDXF(dxf(blocks, insert("B0")));
+  assert.equal(res.polylines.length, 16);
+  assert.ok(res.diagnostics.some((d) => d.code === "BLOCK_RECURSION" && /deeper than 16 levels/.test(d.message)));
+});
@@ -0,0 +1,49 @@
+/**
+ * test/bounds.test.mjs
+ * Bulge-aware bounds: arcs reaching past their end vertices.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { polylineBounds, polylinesBounds } from "../src/geom/bounds.js";
+
+function closeBounds(actual, expected, tol = 1e-9) {
+  for (const key of ["minX", "minY", "maxX", "maxY"]) {
+    assert.ok(Math.abs(actual[key] - expected[key]) <= tol, `${key}: ${actual[key]} != ${expected[key]}`);
+  }
+}
+
+test("a slot with semicircular ends reports its full width", () => {
+  // 10 long between the arc ends, 2 wide: each end reaches 1 further out
+  const slot = {
+    closed: true,
+    vertices: [{ x: 0, y: 0 }, { x: 10, y: 0, bulge: 1 }, { x: 10, y: 2 }, { x: 0, y: 2, bulge: 1 }],
+  };
+  closeBounds(polylineBounds(slot), { minX: -1, minY: 0, maxX: 11, maxY: 2 });
+  // The closing arc only counts on closed polylines
+  closeBounds(polylineBounds({ ...slot, closed: false }), { minX: 0, minY: 0, maxX: 11, maxY: 2 });
+});
+
+test("CW and CCW arcs between the same points reach opposite sides", () => {
+  const a = { x: 0, y: 0 };
+  const b = { x: 2, y: 0 };
+  closeBounds(polylineBounds({ vertices: [{ ...a, bulge: 1 }, b] }), { minX: 0, minY: -1, maxX: 2, maxY: 0 });
+  closeBounds(polylineBounds({ vertices: [{ ...a, bulge: -1 }, b] }), { minX: 0, minY: 0, maxX: 2, maxY: 1 });
+});
+
+test("a short CCW quarter arc stays inside its ends; the CW three-quarter arc does not", () => {
+  const a = { x: 1, y: 0 };
+  const b = { x: 0, y: 1 };
+  const quarter = Math.tan(Math.PI / 8);
+  const threeQuarter = -Math.tan((3 * Math.PI) / 8);
+  closeBounds(polylineBounds({ vertices: [{ ...a, bulge: quarter }, b] }), { minX: 0, minY: 0, maxX: 1, maxY: 1 });
+  closeBounds(polylineBounds({ vertices: [{ ...a, bulge: threeQuarter }, b] }), { minX: -1, minY: -1, maxX: 1, maxY: 1 });
+});
+
+test("combined bounds and empty input", () => {
+  const circle = { closed: true, vertices: [{ x: 4, y: 5, bulge: 1 }, { x: 6, y: 5, bulge: 1 }] };
+  const line = { vertices: [{ x: 0, y: 0 }, { x: 1, y: 1 }] };
+  closeBounds(polylinesBounds([line, circle]), { minX: 0, minY: 0, maxX: 6, maxY: 6 });
+  assert.equal(polylinesBounds([]), null);
+  assert.equal(polylineBounds({ vertices: [] }), null);
+});
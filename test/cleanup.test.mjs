@@ -0,0 +1,61 @@
+/**
+ * test/cleanup.test.mjs
+ * cleanupSegments: zero-length, duplicate, reversed duplicate and overlapping segments.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { cleanupSegments } from "../src/geom/cleanup.js";
+
+const line = (x1, y1, x2, y2) => ({ layer: "0", closed: false, vertices: [{ x: x1, y: y1 }, { x: x2, y: y2 }] });
+
+test("clean polylines come back as the same objects", () => {
+  const polys = [line(0, 0, 1, 0), line(0, 1, 1, 1)];
+  const res = cleanupSegments(polys, 1e-6);
+  assert.equal(res.changed, false);
+  assert.equal(res.polylines[0], polys[0]);
+  assert.equal(res.polylines[1], polys[1]);
+  assert.deepEqual(res.report.changes, []);
+});
+
+test("zero-length segments are dropped", () => {
+  const poly = { layer: "0", closed: false, vertices: [{ x: 0, y: 0 }, { x: 0, y: 0 }, { x: 2, y: 0 }] };
+  const res = cleanupSegments([poly], 1e-6);
+  assert.equal(res.changed, true);
+  assert.equal(res.report.zeroLength, 1);
+  assert.equal(res.polylines.length, 1);
+  assert.deepEqual(res.polylines[0].vertices.map((v) => [v.x, v.y]), [[0, 0], [2, 0]]);
+});
+
+test("duplicates and reversed duplicates of an earlier segment are dropped", () => {
+  const polys = [line(0, 0, 1, 0), line(0, 0, 1, 0), line(1, 0, 0, 0)];
+  const res = cleanupSegments(polys, 1e-6);
+  assert.equal(res.report.duplicates, 1);
+  assert.equal(res.report.reversedDuplicates, 1);
+  assert.equal(res.report.polylinesRemoved, 2);
+  assert.deepEqual(res.polylines, [polys[0]]);
+  const kept = res.report.changes.map((c) => [c.kind, c.poly, c.keptPoly]);
+  assert.deepEqual(kept, [["duplicate", 1, 0], ["reversed-duplicate", 2, 0]]);
+});
+
+test("an arc is not a duplicate of the straight line between the same ends", () => {
+  const arc = { layer: "0", closed: false, vertices: [{ x: 0, y: 0, bulge: 1 }, { x: 1, y: 0 }] };
+  const res = cleanupSegments([line(0, 0, 1, 0), arc], 1e-6);
+  assert.equal(res.changed, false);
+});
+
+test("the overlap with an earlier collinear segment is trimmed away", () => {
+  const polys = [line(0, 0, 4, 0), line(3, 0, 6, 0)];
+  const res = cleanupSegments(polys, 1e-6);
+  assert.equal(res.report.overlaps, 1);
+  assert.equal(res.polylines[0], polys[0]);
+  assert.deepEqual(res.polylines[1].vertices.map((v) => [v.x, v.y]), [[4, 0], [6, 0]]);
+  assert.ok(Math.abs(res.report.changes[0].length - 1) < 1e-9);
+});
+
+test("polylines that are not editable are left alone", () => {
+  const polys = [line(0, 0, 1, 0), { ...line(0, 0, 1, 0), layer: "LOCKED" }];
+  const res = cleanupSegments(polys, 1e-6, (p) => p.layer !== "LOCKED");
+  assert.equal(res.changed, false);
+  assert.equal(res.polylines.length, 2);
+});
@@ -0,0 +1,44 @@
+/**
+ * test/dxfExport.test.mjs
+ * DXF export round trip: what toDXFFormat writes, parseDXF reads back with the same segments.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toDXFFormat } from "../src/export/dxfExport.js";
+import { parseDXF } from "../src/parse/dxfParser.js";
+import { compareSegmentGeometry } from "../src/geom/segments.js";
+
+const POLYLINES = [
+  // Closed part with a CW arc corner and a CCW arc
+  {
+    layer: "PERIMETER",
+    closed: true,
+    vertices: [{ x: 0, y: 0 }, { x: 10, y: 0, bulge: -0.414214 }, { x: 12, y: 2 }, { x: 12, y: 8, bulge: 1 }, { x: 0, y: 8 }],
+  },
+  // Circle as two semicircles
+  { layer: "HOLE", closed: true, vertices: [{ x: 3, y: 4, bulge: 1 }, { x: 5, y: 4, bulge: 1 }] },
+  // Open path ending in an arc
+  { layer: "JOINED", closed: false, vertices: [{ x: 20, y: 0 }, { x: 25, y: 0, bulge: 0.5 }, { x: 30, y: 5 }] },
+];
+
+function roundTrip(polylines, units) {
+  const parsed = parseDXF(toDXFFormat(polylines, units));
+  return { parsed, problems: compareSegmentGeometry(polylines, parsed.polylines) };
+}
+
+test("exported polylines parse back with identical points, arcs and directions", () => {
+  const { parsed, problems } = roundTrip(POLYLINES, "mm");
+  assert.deepEqual(problems, []);
+  assert.deepEqual(parsed.polylines.map((p) => [p.layer, p.closed]), [["PERIMETER", true], ["HOLE", true], ["JOINED", false]]);
+});
+
+test("units are written as $INSUNITS, unknown units as inches", () => {
+  assert.equal(roundTrip(POLYLINES, "mm").parsed.unitsAuto, "mm");
+  assert.equal(roundTrip(POLYLINES, "").parsed.unitsAuto, "in");
+});
+
+test("polylines with fewer than 2 vertices are left out", () => {
+  const { parsed } = roundTrip([...POLYLINES, { layer: "X", vertices: [{ x: 1, y: 1 }] }], "in");
+  assert.equal(parsed.polylines.length, POLYLINES.length);
+});
@@ -0,0 +1,61 @@
+/**
+ * test/gapBridge.test.mjs
+ * Gap candidates between open ends: extend vs bridge, the tol..maxGap window, one use per end.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findGapCandidates, applyGapBridges } from "../src/geom/gapBridge.js";
+
+const line = (x1, y1, x2, y2, extra = {}) => ({ layer: "0", closed: false, vertices: [{ x: x1, y: y1 }, { x: x2, y: y2 }], ...extra });
+const summary = (c) => [c.kind, c.a.poly, c.a.end, c.b.poly, c.b.end, c.moveEnd];
+
+test("only gaps longer than tol and no longer than maxGap are offered, nearest first", () => {
+  const polys = [line(0, 0, 10, 0), line(10.5, 0, 20, 0), line(20.0000001, 0, 30, 0), line(35, 0, 40, 0)];
+  const candidates = findGapCandidates(polys, 1, 1e-6);
+  assert.deepEqual(candidates.map(summary), [["extend", 0, "end", 1, "start", "a"]]);
+  assert.equal(candidates[0].distance, 0.5);
+  assert.equal(candidates[0].id, 0);
+  assert.deepEqual(findGapCandidates(polys, 0, 1e-6), []);
+});
+
+test("an end pointing at the other end is extended; otherwise the gap is bridged", () => {
+  // Second line starts 0.5 to the right of the first line's end, pointing up: the first one points at it
+  const [extend] = findGapCandidates([line(0, 0, 10, 0), line(10.5, 0, 10.5, 10)], 1, 1e-6);
+  assert.deepEqual(summary(extend), ["extend", 0, "end", 1, "start", "a"]);
+
+  // Offset sideways: neither end points at the other
+  const [bridge] = findGapCandidates([line(0, 0, 10, 0), line(10.3, 0.4, 10.3, 10)], 1, 1e-6);
+  assert.deepEqual(summary(bridge), ["bridge", 0, "end", 1, "start", undefined]);
+
+  // An arc end is never extended, even when its chord points at the other end
+  const arc = { layer: "0", closed: false, vertices: [{ x: 0, y: 0, bulge: 0.2 }, { x: 10, y: 0 }] };
+  assert.equal(findGapCandidates([arc, line(10.5, 0, 10.5, 10)], 1, 1e-6)[0].kind, "bridge");
+});
+
+test("applying moves extended ends and adds BRIDGE segments", () => {
+  const polys = [line(0, 0, 10, 0), line(10.5, 0, 10.5, 10), line(30, 0, 40, 0), line(40.3, 0.4, 40.3, 10)];
+  const candidates = findGapCandidates(polys, 1, 1e-6);
+  const { polylines, applied, skipped } = applyGapBridges(polys, candidates);
+  assert.deepEqual([applied, skipped], [2, 0]);
+  assert.deepEqual(polylines[0].vertices[1], { x: 10.5, y: 0 });
+  assert.deepEqual(polys[0].vertices[1], { x: 10, y: 0 }, "input not mutated");
+  assert.deepEqual(polylines.slice(4), [{ layer: "BRIDGE", closed: false, vertices: [{ x: 40, y: 0 }, { x: 40.3, y: 0.4 }] }]);
+});
+
+test("each end is used once: the shortest candidate wins, the rest are skipped", () => {
+  // Three ends around (10,0), every pair within maxGap
+  const polys = [line(0, 0, 10, 0), line(10.2, 0.3, 10.2, 10), line(10.6, -0.5, 10.6, -10)];
+  const candidates = findGapCandidates(polys, 1, 1e-6);
+  assert.equal(candidates.length, 3);
+  const { polylines, applied, skipped } = applyGapBridges(polys, candidates);
+  // 0-1 (0.36) is bridged; 0-2 (0.78) and 1-2 (0.89) reuse an end and are skipped
+  assert.deepEqual([applied, skipped], [1, 2]);
+  assert.deepEqual(polylines[3].vertices, [{ x: 10, y: 0 }, { x: 10.2, y: 0.3 }]);
+});
+
+test("locked and closed polylines are not considered", () => {
+  const square = { layer: "0", closed: true, vertices: [{ x: 10.5, y: 0 }, { x: 12, y: 0 }, { x: 12, y: 2 }] };
+  const polys = [line(0, 0, 10, 0), square, line(10.5, 0, 10.5, 10, { layer: "LOCKED" })];
+  assert.deepEqual(findGapCandidates(polys, 1, 1e-6, (p) => p.layer !== "LOCKED"), []);
+});
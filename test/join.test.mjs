@@ -0,0 +1,62 @@
+/**
+ * test/join.test.mjs
+ * attemptClosePerimeter: every closable loop, leftover open chains with their gaps.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { attemptClosePerimeter } from "../src/geom/join.js";
+import { signedArea } from "../src/geom/area.js";
+
+const line = (x1, y1, x2, y2) => ({ layer: "0", closed: false, vertices: [{ x: x1, y: y1 }, { x: x2, y: y2 }] });
+
+// Square as four loose lines, some drawn backwards
+function squareLines(x, y, s) {
+  return [line(x, y, x + s, y), line(x + s, y + s, x + s, y), line(x + s, y + s, x, y + s), line(x, y, x, y + s)];
+}
+
+test("loose lines of two squares close into two loops, largest first", () => {
+  const polys = [...squareLines(0, 0, 1), ...squareLines(10, 0, 3)];
+  const res = attemptClosePerimeter(polys, 1e-6);
+  assert.equal(res.closed, true);
+  assert.equal(res.loops.length, 2);
+  assert.deepEqual(res.loops.map((l) => Math.abs(signedArea(l.vertices))), [9, 1]);
+  assert.deepEqual(res.loops[0].sources.sort(), [4, 5, 6, 7]);
+  assert.equal(res.vertices, res.loops[0].vertices);
+  assert.deepEqual(res.open, []);
+});
+
+test("an already closed polyline is a loop on its own", () => {
+  const tri = { layer: "0", closed: true, vertices: [{ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 0, y: 3 }] };
+  const res = attemptClosePerimeter([tri], 1e-6);
+  assert.equal(res.loops.length, 1);
+  assert.deepEqual(res.loops[0].sources, [0]);
+});
+
+test("a chain that cannot close is returned open with its gap", () => {
+  // Square missing 0.5 of its last side
+  const polys = [line(0, 0, 2, 0), line(2, 0, 2, 2), line(2, 2, 0, 2), line(0, 2, 0, 0.5)];
+  const res = attemptClosePerimeter(polys, 1e-6);
+  assert.equal(res.closed, false);
+  assert.equal(res.loops.length, 0);
+  assert.equal(res.open.length, 1);
+  assert.ok(Math.abs(res.open[0].gap - 0.5) < 1e-9);
+  assert.deepEqual(res.open[0].sources.sort(), [0, 1, 2, 3]);
+});
+
+test("arcs survive joining: a slot from two lines and two semicircles", () => {
+  const polys = [
+    line(0, 0, 4, 0),
+    { layer: "0", closed: false, vertices: [{ x: 4, y: 0, bulge: 1 }, { x: 4, y: 2 }] },
+    line(0, 2, 4, 2),
+    { layer: "0", closed: false, vertices: [{ x: 0, y: 2, bulge: 1 }, { x: 0, y: 0 }] },
+  ];
+  const res = attemptClosePerimeter(polys, 1e-6);
+  assert.equal(res.loops.length, 1);
+  // 4x2 rectangle plus two half discs of radius 1
+  assert.ok(Math.abs(Math.abs(signedArea(res.loops[0].vertices)) - (8 + Math.PI)) < 1e-9);
+});
+
+test("nothing to join returns null", () => {
+  assert.equal(attemptClosePerimeter([], 1e-6), null);
+});
@@ -0,0 +1,102 @@
+/**
+ * test/layerOperations.test.mjs
+ * Layer name patterns -> machining operations, and the saved profile store.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_PROFILE, matchLayerOperation, isValidPattern } from "../src/export/layerOperations.js";
+import { loadProfiles, saveProfiles } from "../src/export/profileStore.js";
+
+const RULES = DEFAULT_PROFILE.rules;
+const values = (m) => [m.operation, m.diameter, m.depth];
+
+function close(actual, expected, tol = 1e-12) {
+  assert.ok(Math.abs(actual - expected) <= tol, `${actual} != ${expected}`);
+}
+
+// localStorage stand-in
+function fakeStorage(initial = {}) {
+  const data = { ...initial };
+  return { data, getItem: (k) => (k in data ? data[k] : null), setItem: (k, v) => (data[k] = String(v)) };
+}
+
+test("placeholders read diameter and depth from the layer name, any case, comma decimals", () => {
+  assert.deepEqual(values(matchLayerOperation("DRILL_5MM_12D", RULES, "mm")), ["drill", 5, 12]);
+  assert.deepEqual(values(matchLayerOperation("drill_2,5mm_10d", RULES, "mm")), ["drill", 2.5, 10]);
+});
+
+test("rule values in mm are converted into inch drawings", () => {
+  const m = matchLayerOperation("DRILL_5MM_12D", RULES, "in");
+  close(m.diameter, 5 / 25.4);
+  close(m.depth, 12 / 25.4);
+  // Values in the drawing's units (no rule unit) are kept
+  const rules = [{ pattern: "POCKET", operation: "pocket", depth: 0.25 }];
+  assert.deepEqual(values(matchLayerOperation("POCKET", rules, "in")), ["pocket", null, 0.25]);
+});
+
+test("the first matching rule wins", () => {
+  // DRILL_5MM_12D would also match DRILL*, which comes second
+  assert.equal(matchLayerOperation("DRILL_5MM_12D", RULES, "mm").rule, RULES[0]);
+  assert.equal(matchLayerOperation("DRILL_SMALL", RULES, "mm").rule, RULES[1]);
+  const rules = [{ pattern: "CUT*", operation: "groove" }, { pattern: "CUT_1", operation: "pocket" }];
+  assert.equal(matchLayerOperation("CUT_1", rules).operation, "groove");
+});
+
+test("ignore and unmatched layers", () => {
+  assert.deepEqual(values(matchLayerOperation("Defpoints", RULES)), ["ignore", null, null]);
+  const m = matchLayerOperation("OUTLINE", RULES);
+  assert.deepEqual(values(m), ["perimeter", null, null]);
+  assert.equal(m.rule, null);
+  assert.equal(matchLayerOperation("", RULES).operation, "perimeter"); // layer "0"
+});
+
+test("malformed patterns never match; other braces are literal", () => {
+  assert.equal(isValidPattern(""), false);
+  assert.equal(isValidPattern("  "), false);
+  assert.equal(isValidPattern("SLOT_{width}"), false);
+  const bad = [{ pattern: "SLOT_{width}", operation: "groove" }, { pattern: "", operation: "drill" }];
+  assert.equal(matchLayerOperation("SLOT_{width}", bad).operation, "perimeter");
+  assert.equal(matchLayerOperation("SLOT_5", bad).operation, "perimeter");
+
+  // {2} is text, not a regex quantifier
+  const rules = [{ pattern: "SLOT{2}", operation: "groove" }];
+  assert.equal(isValidPattern("SLOT{2}"), true);
+  assert.equal(matchLayerOperation("SLOT{2}", rules).operation, "groove");
+  assert.equal(matchLayerOperation("SLOTT", rules).operation, "perimeter");
+});
+
+test("loadProfiles seeds the default profile for missing or corrupt data", () => {
+  assert.deepEqual(loadProfiles(fakeStorage()).profiles.map((p) => p.name), ["Default"]);
+  const corrupt = fakeStorage({ "dxf-convert.machiningProfiles": "{not json" });
+  const store = loadProfiles(corrupt);
+  assert.equal(store.active, "Default");
+  assert.deepEqual(store.profiles[0].rules, RULES);
+});
+
+test("loadProfiles drops duplicate and unnamed profiles and normalises rules", () => {
+  const saved = {
+    active: "Gone",
+    profiles: [
+      { name: "Shop", rules: [{ pattern: "H*", operation: "drill", diameter: -1, depth: 5, unit: "" }, { operation: "bogus" }] },
+      { name: "shop", rules: [] },
+      { name: "  ", rules: [] },
+      { name: "Other", rules: "nope" },
+    ],
+  };
+  const store = loadProfiles(fakeStorage({ "dxf-convert.machiningProfiles": JSON.stringify(saved) }));
+  assert.equal(store.active, "Shop");
+  assert.deepEqual(store.profiles, [
+    { name: "Shop", rules: [{ pattern: "H*", operation: "drill", depth: 5 }, { pattern: "", operation: "perimeter" }] },
+    { name: "Other", rules: [] },
+  ]);
+});
+
+test("saveProfiles round-trips and reports unavailable storage", () => {
+  const storage = fakeStorage();
+  const store = { active: "A", profiles: [{ name: "A", rules: [{ pattern: "X", operation: "ignore" }] }] };
+  assert.equal(saveProfiles(store, storage), true);
+  assert.deepEqual(loadProfiles(storage), store);
+  const full = { getItem: () => null, setItem: () => { throw new Error("quota"); } };
+  assert.equal(saveProfiles(store, full), false);
+});
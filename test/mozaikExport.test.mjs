@@ -0,0 +1,72 @@
+/**
+ * test/mozaikExport.test.mjs
+ * buildParts: nesting into parts, cutouts and holes, loop orientation, rezeroing.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildParts } from "../src/export/mozaikExport.js";
+import { buildContainmentTree } from "../src/geom/nesting.js";
+import { signedArea } from "../src/geom/area.js";
+
+function rect(x, y, w, h, extra = {}) {
+  return { layer: "PERIMETER", closed: true, vertices: [{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }], ...extra };
+}
+
+// The same rectangle drawn clockwise
+function cwRect(x, y, w, h) {
+  const r = rect(x, y, w, h);
+  return { ...r, vertices: [...r.vertices].reverse() };
+}
+
+const circle = (cx, cy, r) => ({
+  layer: "PERIMETER",
+  closed: true,
+  vertices: [{ x: cx - r, y: cy, bulge: 1 }, { x: cx + r, y: cy, bulge: 1 }],
+});
+
+const all = (polylines) => polylines.map((_, i) => i);
+
+test("a square with an inner rectangle is one part with a CW cutout", () => {
+  const polys = [rect(0, 0, 100, 100), rect(20, 20, 30, 10)];
+  const parts = buildParts(polys, all(polys));
+  assert.equal(parts.length, 1);
+  const [part] = parts;
+  assert.equal(part.cutouts.length, 1);
+  assert.deepEqual(part.holes, []);
+  assert.ok(signedArea(part.perimeter.vertices) > 0, "perimeter is CCW");
+  assert.ok(signedArea(part.cutouts[0].vertices) < 0, "cutout is CW");
+  assert.equal(part.cutouts[0].closed, true);
+});
+
+test("an inner two-bulge circle is a hole with center and diameter", () => {
+  const polys = [rect(0, 0, 100, 100), circle(40, 60, 4)];
+  const [part] = buildParts(polys, all(polys));
+  assert.deepEqual(part.cutouts, []);
+  assert.equal(part.holes.length, 1);
+  const [hole] = part.holes;
+  assert.deepEqual(hole.center, { x: 40, y: 60 });
+  assert.equal(hole.diameter, 8);
+  assert.deepEqual(hole.vertices.map((v) => v.bulge), [-1, -1]); // CW
+});
+
+test("an island inside a cutout becomes its own part", () => {
+  const polys = [rect(0, 0, 100, 100), rect(10, 10, 50, 50), rect(20, 20, 10, 10)];
+  const tree = buildContainmentTree(polys, all(polys));
+  assert.deepEqual(tree.map((n) => [n.index, n.parent, n.depth]), [[0, null, 0], [1, 0, 1], [2, 1, 2]]);
+
+  const parts = buildParts(polys, all(polys), { nameOf: (poly, k) => `part-${k + 1}` });
+  assert.equal(parts.length, 2);
+  assert.equal(parts[0].cutouts.length, 1);
+  assert.deepEqual(parts[1].perimeter.vertices, rect(20, 20, 10, 10).vertices);
+  assert.deepEqual(parts[1].cutouts, []);
+});
+
+test("an outer loop drawn CW is written CCW; rezero moves it to the origin", () => {
+  const polys = [cwRect(50, 30, 20, 10)];
+  const [part] = buildParts(polys, [0], { rezero: true });
+  assert.ok(signedArea(part.perimeter.vertices) > 0);
+  const corners = part.perimeter.vertices.map((v) => `${v.x},${v.y}`).sort();
+  assert.deepEqual(corners, ["0,0", "0,10", "20,0", "20,10"]);
+  assert.equal(part.name, "part-1");
+});
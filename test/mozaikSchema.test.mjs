@@ -0,0 +1,68 @@
+/**
+ * test/mozaikSchema.test.mjs
+ * validateMozaikJson errors and the upgrade from older schema versions.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SCHEMA_VERSION, upgradeMozaikJson, validateMozaikJson } from "../src/export/mozaikSchema.js";
+import { signedArea } from "../src/geom/area.js";
+
+// Unit square, clockwise
+const cwSquare = () => [{ x: 0, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 1 }, { x: 1, y: 0 }];
+
+function part(name, extra = {}) {
+  return { name, perimeter: { closed: true, vertices: cwSquare().reverse() }, cutouts: [], holes: [], operations: [], ...extra };
+}
+
+function doc(parts) {
+  return { schemaVersion: SCHEMA_VERSION, meta: { source: "test" }, units: "mm", parts };
+}
+
+const paths = (result) => result.errors.map((e) => e.path);
+
+test("a well-formed document is valid", () => {
+  const result = validateMozaikJson(doc([part("Side"), part("Top")]));
+  assert.deepEqual(result, { valid: true, errors: [] });
+});
+
+test("NaN coordinates are reported by path", () => {
+  const bad = part("Side");
+  bad.perimeter.vertices[2].y = NaN;
+  const result = validateMozaikJson(doc([bad]));
+  assert.equal(result.valid, false);
+  assert.deepEqual(paths(result), ["parts[0].perimeter.vertices[2].y"]);
+  assert.match(result.errors[0].message, /NaN/);
+});
+
+test("part names must be non-empty and unique regardless of case", () => {
+  const result = validateMozaikJson(doc([part("Side"), part("  "), part("SIDE")]));
+  assert.deepEqual(paths(result), ["parts[1].name", "parts[2].name"]);
+  assert.match(result.errors[0].message, /empty/);
+  assert.match(result.errors[1].message, /duplicate.*parts\[0\]/);
+});
+
+test("a perimeter that is not closed is an error", () => {
+  const open = part("Side");
+  open.perimeter.closed = false;
+  const result = validateMozaikJson(doc([open]));
+  assert.deepEqual(paths(result), ["parts[0].perimeter.closed"]);
+});
+
+test("a v0.1 document is upgraded to the current version", () => {
+  const old = { schemaVersion: "v0.1", units: "in", parts: [{ name: "Door", perimeter: { closed: true, vertices: cwSquare() } }] };
+  const { doc: upgraded, from, steps } = upgradeMozaikJson(old);
+  assert.equal(from, "v0.1");
+  assert.deepEqual(steps, ["v0.1", "v0.2"]);
+  assert.equal(upgraded.schemaVersion, SCHEMA_VERSION);
+  const [p] = upgraded.parts;
+  assert.ok(signedArea(p.perimeter.vertices) > 0, "perimeter is CCW");
+  assert.deepEqual([p.cutouts, p.holes, p.operations], [[], [], []]);
+  assert.deepEqual(validateMozaikJson(upgraded).errors, []);
+  assert.ok(signedArea(old.parts[0].perimeter.vertices) < 0, "input not mutated");
+});
+
+test("unsupported versions are rejected", () => {
+  assert.throws(() => upgradeMozaikJson({ schemaVersion: "v9" }), /Unsupported schemaVersion "v9"/);
+  assert.throws(() => upgradeMozaikJson({}), /Unsupported schemaVersion/);
+});
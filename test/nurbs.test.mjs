@@ -0,0 +1,85 @@
+/**
+ * test/nurbs.test.mjs
+ * NURBS / fit-point evaluators and SPLINE to bulge-arc conversion.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createNurbsCurve, createFitPointCurve } from "../src/geom/nurbs.js";
+import { readSpline } from "../src/parse/readSpline.js";
+import { pointOnBulgeSegment } from "../src/geom/bulge.js";
+
+function pairs(text) {
+  const t = text.trim().split(/\s+/);
+  const out = [];
+  for (let k = 0; k + 1 < t.length; k += 2) out.push([t[k], t[k + 1]]);
+  out.push(["0", "EOF"]);
+  return out;
+}
+
+function close(actual, expected, tol = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tol, `${actual} != ${expected}`);
+}
+
+// Rational quadratic quarter circle: (1,0) -> (0,1) about the origin
+const QUARTER = {
+  controlPoints: [{ x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }],
+  knots: [0, 0, 0, 1, 1, 1],
+  weights: [1, Math.SQRT1_2, 1],
+};
+
+test("rational quadratic NURBS traces an exact circular arc", () => {
+  const { curve, domain } = createNurbsCurve(QUARTER.controlPoints, QUARTER.knots, QUARTER.weights, 2);
+  assert.deepEqual(domain, [0, 1]);
+  for (let k = 0; k <= 10; k++) {
+    const p = curve(k / 10);
+    close(Math.hypot(p.x, p.y), 1);
+  }
+});
+
+test("clamped cubic starts and ends on its end control points", () => {
+  const cps = [{ x: 0, y: 0 }, { x: 1, y: 2 }, { x: 3, y: 2 }, { x: 4, y: 0 }, { x: 6, y: 1 }];
+  // Knots omitted: clamped uniform knots are generated
+  const { curve, domain, breaks } = createNurbsCurve(cps, [], [], 3);
+  assert.deepEqual(curve(domain[0]), { x: 0, y: 0 });
+  const end = curve(domain[1]);
+  close(end.x, 6);
+  close(end.y, 1);
+  assert.equal(breaks.length, 3); // two knot spans
+});
+
+test("too few control points for the degree gives no curve", () => {
+  assert.equal(createNurbsCurve([{ x: 0, y: 0 }], [], [], 3), null);
+});
+
+test("fit-point curve passes through every fit point", () => {
+  const fit = [{ x: 0, y: 0 }, { x: 2, y: 1 }, { x: 4, y: 0 }, { x: 6, y: 2 }];
+  const { curve, domain } = createFitPointCurve(fit);
+  assert.deepEqual(domain, [0, fit.length - 1]);
+  fit.forEach((p, k) => {
+    const q = curve(k);
+    close(q.x, p.x);
+    close(q.y, p.y);
+  });
+});
+
+test("SPLINE quarter circle becomes bulge arcs on the circle", () => {
+  const text = `8 CURVES 70 4 71 2 ${QUARTER.knots.map((k) => `40 ${k}`).join(" ")} ` +
+    QUARTER.weights.map((w) => `41 ${w}`).join(" ") + " " +
+    QUARTER.controlPoints.map((p) => `10 ${p.x} 20 ${p.y}`).join(" ");
+  const { poly } = readSpline(pairs(text), 0, Infinity, { chordTolerance: 1e-4 });
+  assert.equal(poly.layer, "CURVES");
+  assert.equal(poly.closed, false);
+  const vs = poly.vertices;
+  close(vs[0].x, 1);
+  close(vs[vs.length - 1].y, 1);
+  for (let k = 0; k + 1 < vs.length; k++) {
+    assert.ok(vs[k].bulge > 0, "arcs turn counter-clockwise");
+    const m = pointOnBulgeSegment(vs[k], vs[k + 1], vs[k].bulge, 0.5);
+    close(Math.hypot(m.x, m.y), 1, 1e-4);
+  }
+});
+
+test("SPLINE without enough points is rejected", () => {
+  assert.equal(readSpline(pairs("11 0 21 0"), 0, Infinity).poly, null);
+});
@@ -0,0 +1,59 @@
+/**
+ * test/ocs.test.mjs
+ * OCS -> WCS: arbitrary axis algorithm, mirrored (0,0,-1) extrusions, elevation.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createOcsTransform, applyOcs } from "../src/parse/ocs.js";
+import { parseDXF } from "../src/parse/dxfParser.js";
+
+function close(actual, expected, tol = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tol, `${actual} != ${expected}`);
+}
+
+// "code value" tokens -> DXF text with one ENTITIES section
+function dxf(entities) {
+  return `0 SECTION 2 ENTITIES ${entities} 0 ENDSEC 0 EOF`.trim().split(/\s+/).join("\n");
+}
+
+const MIRRORED = "210 0 220 0 230 -1";
+
+test("the default extrusion needs no transform", () => {
+  assert.equal(createOcsTransform({ x: 0, y: 0, z: 1 }), null);
+  assert.equal(createOcsTransform({ x: 0, y: 0, z: 5 }), null);
+  assert.equal(createOcsTransform({ x: 0, y: 0, z: 0 }), null);
+});
+
+test("an extrusion along X uses the arbitrary axis algorithm", () => {
+  // Ax = Wz x N = +Y, Ay = N x Ax = +Z: OCS (x, y, z) is world (z, x, y)
+  const ocs = createOcsTransform({ x: 2, y: 0, z: 0 });
+  assert.deepEqual(ocs.toWorld(2, 3, 4), { x: 4, y: 2 });
+  assert.equal(ocs.mirrored, false);
+});
+
+test("a (0,0,-1) ARC lands at -x with its bulge negated; elevation is ignored", () => {
+  // Quarter arc around (5,0) from 0 to 90 degrees, 7 above the plane
+  const res = parseDXF(dxf(`0 ARC 8 0 10 5 20 0 30 7 40 1 50 0 51 90 ${MIRRORED}`));
+  const [a, b] = res.polylines[0].vertices;
+  close(a.x, -6);
+  close(a.y, 0);
+  close(b.x, -5);
+  close(b.y, 1);
+  close(a.bulge, -Math.tan(Math.PI / 8));
+});
+
+test("a (0,0,-1) CIRCLE and LWPOLYLINE are mirrored the same way", () => {
+  const res = parseDXF(dxf(`0 CIRCLE 8 0 10 5 20 5 30 2 40 2 ${MIRRORED}
+    0 LWPOLYLINE 8 0 90 2 70 0 38 3 10 1 20 1 42 0.5 10 4 20 1 ${MIRRORED}`));
+  const [circle, poly] = res.polylines;
+  assert.deepEqual(circle.vertices.map((v) => [v.x, v.y, v.bulge]), [[-7, 5, -1], [-3, 5, -1]]);
+  assert.deepEqual(poly.vertices, [{ x: -1, y: 1, bulge: -0.5 }, { x: -4, y: 1 }]);
+});
+
+test("applyOcs converts in place and keeps 2D output for any elevation", () => {
+  const poly = { vertices: [{ x: 1, y: 2, bulge: 0.25 }, { x: 3, y: 4 }] };
+  assert.equal(applyOcs(poly, { x: 0, y: 0, z: -1 }, 100), poly);
+  assert.deepEqual(poly.vertices, [{ x: -1, y: 2, bulge: -0.25 }, { x: -3, y: 4 }]);
+  assert.ok(poly.vertices.every((v) => !("z" in v)));
+});
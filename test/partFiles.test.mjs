@@ -0,0 +1,74 @@
+/**
+ * test/partFiles.test.mjs
+ * Unique part names, per-part JSON files and the STORE zip they are bundled in.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { nameParts, toPartFiles } from "../src/export/partFiles.js";
+import { createZip } from "../src/export/zipStore.js";
+import { validateMozaikJson, SCHEMA_VERSION } from "../src/export/mozaikSchema.js";
+
+const names = (parts) => parts.map((p) => p.name);
+const square = () => ({ closed: true, vertices: [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }] });
+
+test("repeated names are numbered without taking a name already in use", () => {
+  assert.deepEqual(names(nameParts([{ name: "A" }, { name: "A" }, { name: "A (2)" }], "job")), ["A", "A (3)", "A (2)"]);
+  assert.deepEqual(names(nameParts([{ name: "Side" }, { name: "side " }, { name: "SIDE" }], "job")), ["Side", "side (2)", "SIDE (3)"]);
+});
+
+test("unnamed parts get the base name, numbered, and never collide with labelled parts", () => {
+  assert.deepEqual(names(nameParts([{ name: "" }], "job")), ["job"]);
+  assert.deepEqual(names(nameParts([{}, { name: "job-1" }, { name: "  " }], "job")), ["job-1-2", "job-1", "job-3"]);
+});
+
+test("named parts always pass the validator's duplicate check", () => {
+  const parts = nameParts(
+    [{ name: "A" }, { name: "A" }, { name: "A (2)" }, {}, { name: "job-4" }].map((p) => ({
+      ...p, perimeter: square(), cutouts: [], holes: [], operations: [],
+    })),
+    "job",
+  );
+  const doc = { schemaVersion: SCHEMA_VERSION, units: "mm", parts };
+  assert.deepEqual(validateMozaikJson(doc).errors, []);
+});
+
+test("toPartFiles writes one document per part with file-safe unique names", () => {
+  const payload = { schemaVersion: SCHEMA_VERSION, units: "in", parts: [{ name: "a/b" }, { name: "a:b" }, { name: "***" }] };
+  const files = toPartFiles(payload);
+  assert.deepEqual(files.map((f) => f.name), ["a_b.json", "a_b-2.json", "_.json"]);
+  const doc = JSON.parse(files[1].data);
+  assert.equal(doc.units, "in");
+  assert.deepEqual(doc.parts, [{ name: "a:b" }]);
+});
+
+test("createZip stores every file with its name, size and CRC-32", async () => {
+  const files = [{ name: "check.txt", data: "123456789" }, { name: "Tür.json", data: new Uint8Array([1, 2, 3]) }];
+  const blob = createZip(files, new Date(2024, 0, 2, 3, 4, 6));
+  assert.equal(blob.type, "application/zip");
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+
+  // End of central directory: entry count and where the directory starts
+  const eocd = bytes.length - 22;
+  assert.equal(view.getUint32(eocd, true), 0x06054b50);
+  assert.equal(view.getUint16(eocd + 10, true), 2);
+  let at = view.getUint32(eocd + 16, true);
+
+  const entries = [];
+  for (let k = 0; k < 2; k++) {
+    assert.equal(view.getUint32(at, true), 0x02014b50);
+    const nameLength = view.getUint16(at + 28, true);
+    const local = view.getUint32(at + 42, true);
+    const size = view.getUint32(at + 24, true);
+    const name = new TextDecoder().decode(bytes.subarray(at + 46, at + 46 + nameLength));
+    assert.equal(view.getUint32(local, true), 0x04034b50);
+    const dataAt = local + 30 + view.getUint16(local + 26, true);
+    entries.push({ name, crc: view.getUint32(at + 16, true), data: Array.from(bytes.subarray(dataAt, dataAt + size)) });
+    at += 46 + nameLength;
+  }
+  assert.deepEqual(entries.map((e) => e.name), ["check.txt", "Tür.json"]);
+  assert.equal(entries[0].crc, 0xcbf43926); // the standard CRC-32 check value
+  assert.equal(new TextDecoder().decode(new Uint8Array(entries[0].data)), "123456789");
+  assert.deepEqual(entries[1].data, [1, 2, 3]);
+});
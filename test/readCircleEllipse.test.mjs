@@ -0,0 +1,81 @@
+/**
+ * test/readCircleEllipse.test.mjs
+ * CIRCLE/ELLIPSE readers and the bulge helpers they rely on.
+ * Run with `npm test` (node --test).
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readCircle, readEllipse } from "../src/parse/readCircleEllipse.js";
+import { arcFromBulge, bulgeFromThreePoints, pointOnBulgeSegment } from "../src/geom/bulge.js";
+
+// "code value" tokens -> [code, value] pairs, ending with a "0" record like the entity loop sees
+function pairs(text) {
+  const t = text.trim().split(/\s+/);
+  const out = [];
+  for (let k = 0; k + 1 < t.length; k += 2) out.push([t[k], t[k + 1]]);
+  out.push(["0", "EOF"]);
+  return out;
+}
+
+function close(actual, expected, tol = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tol, `${actual} != ${expected}`);
+}
+
+test("semicircle bulge gives the chord midpoint as center", () => {
+  const arc = arcFromBulge({ x: 0, y: 0 }, { x: 2, y: 0 }, 1);
+  close(arc.cx, 1);
+  close(arc.cy, 0);
+  close(arc.r, 1);
+  close(arc.sweep, Math.PI);
+  assert.equal(arcFromBulge({ x: 0, y: 0 }, { x: 2, y: 0 }, 0), null);
+});
+
+test("bulgeFromThreePoints matches the arc's direction", () => {
+  // Quarter circle CCW from (1,0) to (0,1) through 45 degrees
+  const mid = { x: Math.SQRT1_2, y: Math.SQRT1_2 };
+  const b = bulgeFromThreePoints({ x: 1, y: 0 }, mid, { x: 0, y: 1 });
+  close(b, Math.tan(Math.PI / 8));
+  const p = pointOnBulgeSegment({ x: 1, y: 0 }, { x: 0, y: 1 }, b, 0.5);
+  close(p.x, mid.x);
+  close(p.y, mid.y);
+  assert.equal(bulgeFromThreePoints({ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }), 0);
+});
+
+test("CIRCLE becomes a closed polyline of two semicircles", () => {
+  const { poly } = readCircle(pairs("8 HOLES 10 5 20 5 40 2"), 0, Infinity);
+  assert.equal(poly.layer, "HOLES");
+  assert.equal(poly.closed, true);
+  assert.deepEqual(poly.vertices.map((v) => [v.x, v.y, v.bulge]), [[7, 5, 1], [3, 5, 1]]);
+});
+
+test("CIRCLE with zero radius is rejected", () => {
+  assert.equal(readCircle(pairs("10 5 20 5 40 0"), 0, Infinity).poly, null);
+});
+
+test("full ELLIPSE is closed and stays within the chord tolerance", () => {
+  const tol = 0.001;
+  const { poly } = readEllipse(pairs("10 0 20 0 11 4 21 0 40 0.5"), 0, Infinity, { chordTolerance: tol });
+  assert.equal(poly.closed, true);
+  assert.ok(poly.vertices.length >= 4);
+  // Every arc midpoint lies on x²/16 + y²/4 = 1 within the tolerance
+  const n = poly.vertices.length;
+  for (let k = 0; k < n; k++) {
+    const a = poly.vertices[k];
+    const b = poly.vertices[(k + 1) % n];
+    const m = pointOnBulgeSegment(a, b, a.bulge || 0, 0.5);
+    const scale = Math.hypot(m.x / 4, m.y / 2);
+    assert.ok(Math.abs(scale - 1) * 2 <= tol, `midpoint ${m.x},${m.y} off the ellipse`);
+  }
+});
+
+test("partial ELLIPSE stays open between its end parameters", () => {
+  const { poly } = readEllipse(pairs(`10 0 20 0 11 4 21 0 40 0.5 41 0 42 ${Math.PI / 2}`), 0, Infinity, {});
+  assert.equal(poly.closed, false);
+  const first = poly.vertices[0];
+  const last = poly.vertices[poly.vertices.length - 1];
+  close(first.x, 4, 1e-6);
+  close(first.y, 0, 1e-6);
+  close(last.x, 0, 1e-6);
+  close(last.y, 2, 1e-6);
+});
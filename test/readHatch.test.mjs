@@ -0,0 +1,87 @@
+/**
+ * test/readHatch.test.mjs
+ * HATCH boundary paths: polyline and edge loops, outer/inner flags and orientation.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readHatch } from "../src/parse/readHatch.js";
+import { toSegments } from "../src/geom/segments.js";
+import { signedArea } from "../src/geom/area.js";
+
+// "code value" tokens -> [code, value] pairs, ending with a "0" record like the entity loop sees
+function pairs(text) {
+  const t = text.trim().split(/\s+/);
+  const out = [];
+  for (let k = 0; k + 1 < t.length; k += 2) out.push([t[k], t[k + 1]]);
+  out.push(["0", "EOF"]);
+  return out;
+}
+
+function close(actual, expected, tol = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tol, `${actual} != ${expected}`);
+}
+
+const HEADER = "8 PARTS 10 0 20 0 30 0 210 0 220 0 230 1 2 SOLID 70 1 71 0";
+// Pattern data and one seed point after the paths reuse 10/20
+const TRAILER = "75 1 76 1 98 1 10 5 20 5";
+
+function read(text) {
+  const p = pairs(text);
+  return readHatch(p, 0, p.length).polys;
+}
+
+test("polyline paths: outer drawn CW comes back CCW with its arc, inner comes back CW", () => {
+  const polys = read(`${HEADER} 91 2
+    92 3 72 1 73 1 93 4 10 0 20 0 10 0 20 10 10 10 20 10 10 10 20 0 42 0.5 97 0
+    92 2 72 0 73 1 93 3 10 2 20 2 10 4 20 2 10 2 20 4 97 0
+    ${TRAILER}`);
+  assert.equal(polys.length, 2);
+  const [outer, inner] = polys;
+  assert.deepEqual([outer.layer, outer.closed, outer.boundary], ["PARTS", true, "outer"]);
+  assert.ok(signedArea(outer.vertices) > 0, "outer is CCW");
+  // The bottom arc, walked the other way, keeps its shape with the bulge negated
+  const bottom = toSegments(outer).find((s) => s.a.x === 0 && s.a.y === 0);
+  assert.deepEqual(bottom, { a: { x: 0, y: 0 }, b: { x: 10, y: 0 }, bulge: -0.5 });
+  assert.equal(inner.boundary, "inner");
+  assert.ok(signedArea(inner.vertices) < 0, "inner is CW");
+});
+
+test("edge paths: lines and an arc chain into one closed loop", () => {
+  const polys = read(`${HEADER} 91 2
+    92 1 93 4
+      72 1 10 0 20 0 11 10 21 0
+      72 1 10 10 20 0 11 10 21 5
+      72 2 10 5 20 5 40 5 50 0 51 180 73 1
+      72 1 10 0 20 5 11 0 21 0
+    97 0
+    92 0 93 1
+      72 2 10 5 20 3 40 1 50 0 51 360 73 1
+    97 0
+    ${TRAILER}`);
+  assert.equal(polys.length, 2);
+  const [outer, inner] = polys;
+  assert.equal(outer.boundary, "outer");
+  const expected = [[0, 0, 0], [10, 0, 0], [10, 5, 1], [0, 5, 0]];
+  assert.equal(outer.vertices.length, expected.length);
+  outer.vertices.forEach((v, k) => {
+    close(v.x, expected[k][0]);
+    close(v.y, expected[k][1]);
+    close(v.bulge || 0, expected[k][2]); // the arc edge is one exact semicircle
+  });
+  assert.ok(signedArea(outer.vertices) > 0, "outer is CCW");
+
+  // Full-circle arc edge: two half circles, CW as an inner loop
+  assert.equal(inner.boundary, "inner");
+  assert.equal(inner.vertices.length, 2);
+  for (const v of inner.vertices) close(v.bulge, -1);
+  assert.ok(signedArea(inner.vertices) < 0, "inner is CW");
+});
+
+test("without path flags the largest loop is the outer one", () => {
+  const polys = read(`${HEADER} 91 2
+    92 2 72 0 73 1 93 3 10 2 20 2 10 4 20 2 10 2 20 4 97 0
+    92 2 72 0 73 1 93 4 10 0 20 0 10 10 20 0 10 10 20 10 10 0 20 10 97 0
+    ${TRAILER}`);
+  assert.deepEqual(polys.map((p) => p.boundary), ["inner", "outer"]);
+});
@@ -0,0 +1,61 @@
+/**
+ * test/readMozaikJson.test.mjs
+ * Mozaik JSON import: parts back to polylines, and operations surviving a re-export.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readMozaikJson } from "../src/parse/readMozaikJson.js";
+import { buildParts } from "../src/export/mozaikExport.js";
+import { SCHEMA_VERSION } from "../src/export/mozaikSchema.js";
+import { DEFAULT_PROFILE, matchLayerOperation } from "../src/export/layerOperations.js";
+import { scalePolylines } from "../src/units/units.js";
+
+const square = (s) => [{ x: 0, y: 0 }, { x: s, y: 0 }, { x: s, y: s }, { x: 0, y: s }];
+
+function docText(operations) {
+  return JSON.stringify({
+    schemaVersion: SCHEMA_VERSION,
+    units: "mm",
+    parts: [{ name: "Side", perimeter: { closed: true, vertices: square(100) }, cutouts: [], holes: [], operations }],
+  });
+}
+
+test("the perimeter keeps its part name and operations go onto their layers", () => {
+  const ops = [
+    { type: "drill", layer: "DRILL_5MM_12D", x: 10, y: 10, diameter: 5, depth: 12 },
+    { type: "groove", closed: false, vertices: [{ x: 10, y: 50 }, { x: 90, y: 50 }] },
+  ];
+  const { polylines, diagnostics, unitsAuto } = readMozaikJson(docText(ops));
+  assert.deepEqual(diagnostics, []);
+  assert.equal(unitsAuto, "mm");
+  assert.deepEqual(polylines.map((p) => [p.layer, p.closed]), [["PERIMETER", true], ["DRILL_5MM_12D", true], ["GROOVE", false]]);
+  assert.equal(polylines[0].partName, "Side");
+});
+
+test("depth and diameter survive import and re-export, whatever the layer rule says", () => {
+  const ops = [
+    { type: "drill", layer: "DRILL_5MM_12D", x: 10, y: 20, diameter: 8, depth: 15 },
+    { type: "pocket", layer: "POCKET_3", depth: 6, closed: true, vertices: [{ x: 30, y: 30 }, { x: 30, y: 40 }, { x: 40, y: 40 }, { x: 40, y: 30 }] },
+    { type: "groove", layer: "GROOVE", closed: false, vertices: [{ x: 10, y: 50 }, { x: 90, y: 50 }] },
+  ];
+  const { polylines } = readMozaikJson(docText(ops));
+  const [part] = buildParts(polylines, [0], {
+    operationOf: (poly) => matchLayerOperation(poly.layer, DEFAULT_PROFILE.rules, "mm"),
+  });
+  const values = part.operations.map(({ type, diameter, depth }) => ({ type, diameter, depth }));
+  assert.deepEqual(values, [
+    { type: "drill", diameter: 8, depth: 15 }, // not the layer's 5 and 12
+    { type: "pocket", diameter: undefined, depth: 6 }, // not the layer's 3
+    { type: "groove", diameter: undefined, depth: undefined },
+  ]);
+  const drill = part.operations[0];
+  assert.ok(Math.abs(drill.x - 10) < 1e-9 && Math.abs(drill.y - 20) < 1e-9);
+});
+
+test("rescaling the imported geometry rescales its operation values", () => {
+  const { polylines } = readMozaikJson(docText([{ type: "drill", x: 10, y: 10, diameter: 5, depth: 12 }]));
+  const [, drill] = scalePolylines(polylines, 0.1);
+  assert.equal(drill.diameter, 0.5);
+  assert.ok(Math.abs(drill.depth - 1.2) < 1e-12);
+});
@@ -0,0 +1,67 @@
+/**
+ * test/readText.test.mjs
+ * TEXT/MTEXT label readers: justified TEXT placement and MTEXT formatting stripped to plain text.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readText, readMText, stripMTextFormatting } from "../src/parse/readText.js";
+
+// [code, value] records (values may hold spaces), ending with a "0" record like the entity loop sees
+function entity(...records) {
+  return [...records, ["0", "EOF"]];
+}
+
+function read(reader, pairs) {
+  return reader(pairs, 0, pairs.length).label;
+}
+
+test("MTEXT strips \\P, font groups and \\U+XXXX to plain text", () => {
+  const label = read(
+    readMText,
+    entity(["8", "LABELS"], ["10", "5"], ["20", "6"], ["40", "2.5"], ["1", "{\\fArial|b1|i0;Side A}\\PW\\U+00D8 12 \\U+00B1 1"])
+  );
+  assert.equal(label.kind, "MTEXT");
+  assert.equal(label.layer, "LABELS");
+  assert.equal(label.text, "Side A\nWØ 12 ± 1");
+  assert.deepEqual([label.x, label.y, label.height], [5, 6, 2.5]);
+});
+
+test("MTEXT joins code 3 chunks before code 1 and keeps escaped braces", () => {
+  const label = read(readMText, entity(["3", "{\\H1.5x;Door "], ["3", "\\{left\\}}"], ["1", "\\P\\S1^2;"]));
+  assert.equal(label.text, "Door {left}\n1/2");
+});
+
+test("MTEXT rotation follows the 11/21 direction vector", () => {
+  const label = read(readMText, entity(["1", "Top"], ["50", "30"], ["11", "0"], ["21", "1"]));
+  assert.equal(label.rotation, 90);
+});
+
+test("formatting-only MTEXT gives no label", () => {
+  assert.equal(read(readMText, entity(["1", "{\\fArial;}\\P"])), null);
+  assert.equal(stripMTextFormatting("\\\\server\\P"), "\\server\n");
+});
+
+test("justified TEXT (72/73) is placed at the 11/21 alignment point", () => {
+  const label = read(
+    readText,
+    entity(["1", "Shelf %%c5"], ["10", "1"], ["20", "2"], ["11", "10"], ["21", "20"], ["72", "1"], ["73", "2"], ["40", "3"])
+  );
+  assert.equal(label.kind, "TEXT");
+  assert.equal(label.text, "Shelf Ø5");
+  assert.deepEqual([label.x, label.y, label.height], [10, 20, 3]);
+});
+
+test("left-aligned TEXT keeps the 10/20 insertion point even when 11/21 is present", () => {
+  const label = read(readText, entity(["1", "Back"], ["10", "1"], ["20", "2"], ["11", "10"], ["21", "20"]));
+  assert.deepEqual([label.x, label.y], [1, 2]);
+  // Justified without an alignment point also falls back to 10/20
+  const fallback = read(readText, entity(["1", "Back"], ["10", "1"], ["20", "2"], ["72", "4"]));
+  assert.deepEqual([fallback.x, fallback.y], [1, 2]);
+});
+
+test("TEXT in a mirrored OCS is placed in WCS with its rotation mirrored", () => {
+  const label = read(readText, entity(["1", "Under"], ["10", "3"], ["20", "4"], ["50", "30"], ["230", "-1"]));
+  assert.deepEqual([label.x, label.y], [-3, 4]);
+  assert.equal(label.rotation, 150);
+});
@@ -0,0 +1,59 @@
+/**
+ * test/regions.test.mjs
+ * buildRegions / findRegionAt: faces from crossing lines, islands as holes.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildRegions, findRegionAt } from "../src/geom/regions.js";
+
+const line = (x1, y1, x2, y2) => ({ layer: "0", closed: false, vertices: [{ x: x1, y: y1 }, { x: x2, y: y2 }] });
+
+function close(actual, expected, tol = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tol, `${actual} != ${expected}`);
+}
+
+function square(x, y, s) {
+  return {
+    layer: "0",
+    closed: true,
+    vertices: [{ x, y }, { x: x + s, y }, { x: x + s, y: y + s }, { x, y: y + s }],
+  };
+}
+
+test("lines crossing past each other's ends close into one face", () => {
+  // # shape: each side overshoots the corners by 1
+  const polys = [line(-1, 0, 5, 0), line(4, -1, 4, 4), line(5, 3, -1, 3), line(0, 4, 0, -1)];
+  const { faces } = buildRegions(polys, 1e-6);
+  assert.equal(faces.length, 1);
+  close(faces[0].area, 12);
+  assert.deepEqual(faces[0].holes, []);
+});
+
+test("a line across a square splits it into two faces, smallest first", () => {
+  const polys = [square(0, 0, 4), line(1, -1, 1, 5)];
+  const { faces } = buildRegions(polys, 1e-6);
+  assert.equal(faces.length, 2);
+  close(faces[0].area, 4);
+  close(faces[1].area, 12);
+});
+
+test("an island inside a face is a hole of that face", () => {
+  const regions = buildRegions([square(0, 0, 10), square(4, 4, 2)], 1e-6);
+  assert.equal(regions.faces.length, 2);
+  const [island, outer] = regions.faces;
+  close(island.area, 4);
+  close(outer.area, 100);
+  assert.equal(outer.holes.length, 1);
+
+  assert.equal(findRegionAt(regions, { x: 1, y: 1 }), outer);
+  assert.equal(findRegionAt(regions, { x: 5, y: 5 }), island);
+  assert.equal(findRegionAt(regions, { x: 20, y: 20 }), null);
+});
+
+test("only editable polylines contribute segments", () => {
+  const polys = [square(0, 0, 4), { ...line(1, -1, 1, 5), layer: "LOCKED" }];
+  const { faces } = buildRegions(polys, 1e-6, (p) => p.layer !== "LOCKED");
+  assert.equal(faces.length, 1);
+  close(faces[0].area, 16);
+});
@@ -0,0 +1,95 @@
+/**
+ * test/segments.test.mjs
+ * Bulges stay on their segment when reversing, exploding and concatenating polylines.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  toSegments, segmentLength, reversePolyline, reverseVertices, concatVertices, splitAtVertex, explodeSegments, compareSegmentGeometry,
+} from "../src/geom/segments.js";
+
+// Straight, then a CCW semicircle, then straight
+const OPEN = {
+  closed: false,
+  vertices: [{ x: 0, y: 0 }, { x: 2, y: 0, bulge: 1 }, { x: 4, y: 0 }, { x: 4, y: 3 }],
+};
+
+test("reversing an open polyline moves each bulge to the segment's new start and negates it", () => {
+  assert.deepEqual(reverseVertices(OPEN.vertices), [
+    { x: 4, y: 3 },
+    { x: 4, y: 0, bulge: -1 },
+    { x: 2, y: 0 },
+    { x: 0, y: 0 },
+  ]);
+});
+
+test("reversing twice gives back the same segments", () => {
+  const twice = reversePolyline(reversePolyline(OPEN));
+  assert.deepEqual(compareSegmentGeometry([OPEN], [twice]), []);
+});
+
+test("reversing a closed polyline keeps the closing arc", () => {
+  const circle = { closed: true, vertices: [{ x: 0, y: 0, bulge: 1 }, { x: 2, y: 0, bulge: 1 }] };
+  const rev = reversePolyline(circle);
+  assert.equal(rev.closed, true);
+  assert.deepEqual(toSegments(rev).map((s) => s.bulge), [-1, -1]);
+  // Same arcs walked the other way
+  const back = toSegments(rev).map((s) => ({ a: s.b, b: s.a, bulge: -s.bulge })).reverse();
+  assert.deepEqual(back, toSegments(circle));
+});
+
+test("splitting an open polyline at a vertex keeps the arc on the second piece", () => {
+  const [first, second] = splitAtVertex(OPEN, 1);
+  assert.deepEqual(first.vertices, [{ x: 0, y: 0 }, { x: 2, y: 0 }]);
+  assert.deepEqual(second.vertices, [{ x: 2, y: 0, bulge: 1 }, { x: 4, y: 0 }, { x: 4, y: 3 }]);
+  assert.deepEqual(compareSegmentGeometry([OPEN], [{ closed: false, vertices: concatVertices(first.vertices, second.vertices) }]), []);
+  // Splitting after the arc: the first piece ends without a bulge
+  const [before] = splitAtVertex(OPEN, 2);
+  assert.equal(before.vertices[before.vertices.length - 1].bulge, undefined);
+  assert.deepEqual(toSegments(before).map((s) => s.bulge), [0, 1]);
+});
+
+test("splitting a closed polyline rotates it into one open polyline", () => {
+  const slot = { closed: true, layer: "0", vertices: [{ x: 0, y: 0 }, { x: 4, y: 0, bulge: 1 }, { x: 4, y: 2 }, { x: 0, y: 2, bulge: 1 }] };
+  const pieces = splitAtVertex(slot, 2);
+  assert.equal(pieces.length, 1);
+  const [open] = pieces;
+  assert.equal(open.closed, false);
+  assert.equal(open.layer, "0");
+  const expected = { closed: false, vertices: [{ x: 4, y: 2 }, { x: 0, y: 2, bulge: 1 }, { x: 0, y: 0 }, { x: 4, y: 0, bulge: 1 }, { x: 4, y: 2 }] };
+  assert.deepEqual(compareSegmentGeometry([expected], [open]), []);
+  // Same segments as the closed loop, starting at vertex 2
+  const segs = toSegments(slot);
+  assert.deepEqual(toSegments(open), [...segs.slice(2), ...segs.slice(0, 2)]);
+});
+
+test("segmentLength measures arcs along the arc", () => {
+  const a = { x: 0, y: 0 };
+  const b = { x: 2, y: 0 };
+  assert.equal(segmentLength({ a, b, bulge: 0 }), 2);
+  assert.ok(Math.abs(segmentLength({ a, b, bulge: 1 }) - Math.PI) < 1e-12);
+  assert.ok(Math.abs(segmentLength({ a, b, bulge: -1 }) - Math.PI) < 1e-12);
+  assert.ok(Math.abs(segmentLength({ a, b, bulge: 1e-6 }) - 2) < 1e-9);
+});
+
+test("exploding keeps every bulge on its own piece", () => {
+  const pieces = explodeSegments(OPEN, { layer: "UNJOINED" });
+  assert.equal(pieces.length, 3);
+  assert.deepEqual(pieces.map((p) => p.vertices.map((v) => v.bulge || 0)), [[0, 0], [1, 0], [0, 0]]);
+  assert.ok(pieces.every((p) => p.layer === "UNJOINED" && p.closed === false));
+});
+
+test("concatenating takes the joint bulge from the second part", () => {
+  const a = [{ x: 0, y: 0 }, { x: 1, y: 0, bulge: 0.5 }];
+  const b = [{ x: 1, y: 0, bulge: -0.25 }, { x: 2, y: 0 }];
+  assert.deepEqual(concatVertices(a, b), [{ x: 0, y: 0 }, { x: 1, y: 0, bulge: -0.25 }, { x: 2, y: 0 }]);
+});
+
+test("compareSegmentGeometry reports moved points and changed arcs", () => {
+  const moved = { ...OPEN, vertices: OPEN.vertices.map((v, i) => (i === 3 ? { x: 5, y: 3 } : v)) };
+  const flipped = { ...OPEN, vertices: OPEN.vertices.map((v) => (v.bulge ? { ...v, bulge: -v.bulge } : v)) };
+  assert.deepEqual(compareSegmentGeometry([OPEN], [moved]), ["polyline 0 segment 2: endpoints differ"]);
+  assert.deepEqual(compareSegmentGeometry([OPEN], [flipped]), ["polyline 0 segment 1: bulge 1 != -1"]);
+  assert.deepEqual(compareSegmentGeometry([OPEN], []), ["polyline count 1 != 0"]);
+});
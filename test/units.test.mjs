@@ -0,0 +1,80 @@
+/**
+ * test/units.test.mjs
+ * $INSUNITS table, unit factors, working-unit conversion and batch unit choice.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  mapInsunits, insunitsCode, isKnownUnit, unitScale, convertToWorkingUnits, pickBatchUnit,
+} from "../src/units/units.js";
+
+function close(actual, expected, tol = 1e-12) {
+  assert.ok(Math.abs(actual - expected) <= tol * Math.max(1, Math.abs(expected)), `${actual} != ${expected}`);
+}
+
+// $INSUNITS code -> [unit id, meters]
+const TABLE = [
+  [1, "in", 0.0254], [2, "ft", 0.3048], [3, "mi", 1609.344], [4, "mm", 0.001], [5, "cm", 0.01],
+  [6, "m", 1], [7, "km", 1000], [8, "uin", 0.0254e-6], [9, "mil", 0.0254e-3], [10, "yd", 0.9144],
+  [11, "A", 1e-10], [12, "nm", 1e-9], [13, "um", 1e-6], [14, "dm", 0.1], [15, "dam", 10],
+  [16, "hm", 100], [17, "Gm", 1e9], [18, "AU", 149597870700], [19, "ly", 9460730472580800],
+  [20, "pc", 30856775814913673], [21, "ftUS", 1200 / 3937],
+];
+
+test("every $INSUNITS code maps to its unit and back", () => {
+  for (const [code, id, meters] of TABLE) {
+    assert.equal(mapInsunits(code), id, `code ${code}`);
+    assert.equal(insunitsCode(id), code);
+    assert.ok(isKnownUnit(id));
+    close(unitScale(id, "m"), meters);
+  }
+});
+
+test("unitless and unknown codes map to null", () => {
+  for (const code of [0, 22, -1, undefined, NaN]) assert.equal(mapInsunits(code), null);
+  assert.equal(insunitsCode("furlong"), 0);
+  assert.equal(insunitsCode(null), 0);
+});
+
+test("unitScale converts between any two known units", () => {
+  assert.equal(unitScale("in", "in"), 1);
+  close(unitScale("in", "mm"), 25.4);
+  close(unitScale("mm", "in"), 1 / 25.4);
+  close(unitScale("ft", "in"), 12);
+  assert.equal(unitScale("in", "furlong"), null);
+  assert.equal(unitScale(null, "mm"), null);
+});
+
+test("convertToWorkingUnits rescales coordinates only when both units are known", () => {
+  const polys = [{ layer: "0", closed: false, vertices: [{ x: 1, y: 2, bulge: 0.5 }, { x: 3, y: 4 }] }];
+  const res = convertToWorkingUnits(polys, "in", "mm");
+  assert.deepEqual([res.units, res.converted, res.factor], ["mm", true, 25.4]);
+  const [a, b] = res.polylines[0].vertices;
+  assert.deepEqual(a, { x: 25.4, y: 50.8, bulge: 0.5 });
+  close(b.x, 76.2);
+  close(b.y, 101.6);
+  assert.deepEqual(polys[0].vertices[0], { x: 1, y: 2, bulge: 0.5 }, "input not mutated");
+
+  for (const [from, to, units] of [["mm", "", "mm"], [null, "mm", null], ["mm", "mm", "mm"], ["furlong", "mm", "furlong"]]) {
+    const same = convertToWorkingUnits(polys, from, to);
+    assert.equal(same.polylines, polys);
+    assert.deepEqual([same.units, same.converted, same.factor], [units, false, 1]);
+  }
+});
+
+test("a batch with mixed units is brought to one unit", () => {
+  const files = [
+    { units: "mm", polylines: [{ vertices: [{ x: 254, y: 0 }] }] },
+    { units: "in", polylines: [{ vertices: [{ x: 10, y: 0 }] }] },
+    { units: "mm", polylines: [{ vertices: [{ x: 25.4, y: 0 }] }] },
+    { units: null, polylines: [{ vertices: [{ x: 7, y: 0 }] }] },
+  ];
+  const batch = pickBatchUnit(files.map((f) => f.units), "");
+  assert.equal(batch, "mm"); // most files
+  const xs = files.map((f) => convertToWorkingUnits(f.polylines, f.units, batch).polylines[0].vertices[0].x);
+  assert.deepEqual(xs, [254, 254, 25.4, 7]); // unitless files are left as drawn
+  assert.equal(pickBatchUnit(files.map((f) => f.units), "in"), "in"); // the working unit wins
+  assert.equal(pickBatchUnit([null, null], ""), null);
+  assert.equal(pickBatchUnit(["in", "mm"], ""), "in"); // ties go to the first seen
+});
@@ -0,0 +1,45 @@
+/**
+ * test/validity.test.mjs
+ * analysePart: self-intersections, spikes, duplicate closing vertices and arcs.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { analysePart } from "../src/geom/validity.js";
+
+const part = (points, extra = {}) => ({ closed: true, vertices: points.map(([x, y]) => ({ x, y })), ...extra });
+const kinds = (result) => result.issues.map((i) => i.kind);
+
+test("a clean square has no issues", () => {
+  assert.deepEqual(analysePart(part([[0, 0], [4, 0], [4, 4], [0, 4]])), { valid: true, issues: [] });
+});
+
+test("a bow-tie crosses itself once, at the crossing point", () => {
+  const result = analysePart(part([[0, 0], [2, 2], [2, 0], [0, 2]]));
+  assert.equal(result.valid, false);
+  assert.deepEqual(kinds(result), ["self-intersection"]);
+  assert.equal(result.issues[0].x, 1);
+  assert.equal(result.issues[0].y, 1);
+});
+
+test("a snapped duplicate closing vertex is not reported", () => {
+  const result = analysePart(part([[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]]));
+  assert.deepEqual(result.issues, []);
+});
+
+test("a back-tracking spike is reported", () => {
+  const result = analysePart(part([[0, 0], [4, 0], [4, 4], [2.1, 4], [2.05, 8], [2, 4], [0, 4]]));
+  assert.deepEqual(kinds(result), ["spike"]);
+  assert.equal(result.issues[0].x, 2.05);
+  assert.equal(result.issues[0].y, 8);
+});
+
+test("a two-bulge circle is valid", () => {
+  const circle = { closed: true, vertices: [{ x: 0, y: 0, bulge: 1 }, { x: 2, y: 0, bulge: 1 }] };
+  assert.deepEqual(analysePart(circle), { valid: true, issues: [] });
+});
+
+test("duplicate vertices and tiny segments are reported", () => {
+  const result = analysePart(part([[0, 0], [4, 0], [4, 0], [4, 4], [3.998, 4], [0, 4]]), { tolerance: 1e-3 });
+  assert.deepEqual(kinds(result).sort(), ["duplicate-vertex", "tiny-segment"]);
+});